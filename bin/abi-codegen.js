@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Generate a typed TypeScript wrapper module from a JSON ABI file:
+//   abi-codegen <abi.json> [--name Informer] [--import <module>] [--out informer.ts]
+// The file may hold a bare ABI array or a compiler artifact with an `abi` field.
+
+import { writeFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { generateTypeScript } from '../lib/core/codegen.js';
+import { readAbiFile } from './cli-utils.js';
+
+const USAGE = 'Usage: abi-codegen <abi.json> [--name <ContractName>] [--import <module>] [--out <file.ts>]';
+
+function parseArgs(argv) {
+  const options = { file: null, name: null, importPath: null, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--name' || arg === '--import' || arg === '--out') {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      options[arg === '--import' ? 'importPath' : arg.slice(2)] = argv[++i];
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+// "token-trader.json" -> "TokenTrader"
+function nameFromFile(file) {
+  return basename(file, extname(file))
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.file) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const source = generateTypeScript(readAbiFile(options.file), {
+    name: options.name || nameFromFile(options.file),
+    importPath: options.importPath
+  });
+
+  if (options.out) {
+    writeFileSync(options.out, source);
+  } else {
+    process.stdout.write(source);
+  }
+} catch (error) {
+  console.error(`abi-codegen: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// Command-line access to the codec. Every command prints JSON:
+//   abi-toolkit selector "transfer(address,uint256)"
+//   abi-toolkit topic "Transfer(address,address,uint256)"
+//   abi-toolkit encode --abi erc20.json transfer 0x... 1000
+//   abi-toolkit decode-calldata [--abi erc20.json] [--value 0] 0xa9059cbb...
+//   abi-toolkit decode-result [--abi erc20.json] balanceOf 0x...
+//   abi-toolkit decode-log [--abi pair.json] --topics 0xddf2...,0x... --data 0x... [--event Name]
+//   abi-toolkit decode-receipt receipt.json [--abi pair.json]
+//   abi-toolkit lookup [--signatures 4byte.json] 0xa9059cbb
+//   abi-toolkit collisions proxy.json implementation.json
+// Without --abi the bundled ABIs (ERC-20, ERC-165, Uniswap V2, Informer,
+// TokenTrader) are used.
+
+import { readFileSync } from 'fs';
+import { basename, extname } from 'path';
+import { ABICodec } from '../lib/core/abi-codec.js';
+import { Result } from '../lib/core/result.js';
+import { parseABI, getFunctionSignature, getEventSignature } from '../lib/core/utils.js';
+import * as selectorUtils from '../lib/core/selector-utils.js';
+import { LogDecoder } from '../lib/common/utils/log-decoder.js';
+import { BUNDLED_ABIS } from '../lib/common/utils/bundled-abis.js';
+import { readAbiFile } from './cli-utils.js';
+
+const USAGE = `Usage: abi-toolkit <command> [options]
+
+Commands:
+  selector <signature>                         Function selector
+  topic <signature>                            Event topic (topic0)
+  encode --abi <file> <function> [args...]     Encode function calldata
+  decode-calldata [--value <wei>] <data>       Decode function calldata
+  decode-result <function> <data>              Decode function return data
+  decode-log --topics <t0,t1,...> [--data <data>] [--event <name>]
+                                               Decode an event log
+  decode-receipt <receipt.json | ->            Decode the logs of a receipt
+  lookup <selector | topic | data>             Candidate signatures
+  collisions <abi.json> [<abi.json>...]        Selector and topic clashes between
+                                               ABIs; exits with 2 when any are found
+
+Options:
+  --abi <file>          ABI array or compiler artifact (default: bundled ABIs)
+  --signatures <file>   Signature dump ({ "0xa9059cbb": ["transfer(address,uint256)"] })
+                        added to the offline registry used by lookup and decode-calldata
+
+Arguments that look like JSON arrays, objects or booleans are parsed as JSON.`;
+
+const VALUE_OPTIONS = new Set(['--abi', '--topics', '--data', '--event', '--value', '--signatures']);
+
+function parseArgs(argv) {
+  const options = { command: null, positional: [], topics: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_OPTIONS.has(arg)) {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      const value = argv[++i];
+      if (arg === '--topics') {
+        // Comma-separated and/or repeated
+        options.topics.push(...value.split(',').map(topic => topic.trim()).filter(Boolean));
+      } else {
+        options[arg.slice(2)] = value;
+      }
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+function expectArgs(options, count, usage) {
+  if (options.positional.length !== count) {
+    throw new Error(`Usage: abi-toolkit ${options.command} ${usage}`);
+  }
+  return options.positional;
+}
+
+// The --abi file, or the bundled ABIs with shared fragments (e.g. the
+// pair's ERC-20 functions) listed once
+function loadAbi(options) {
+  if (options.abi) {
+    return readAbiFile(options.abi);
+  }
+
+  const seen = new Set();
+  const abi = [];
+  for (const fragment of Object.values(BUNDLED_ABIS).flatMap(parseABI)) {
+    const key = `${fragment.type} ${getFragmentSignature(fragment)}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      abi.push(fragment);
+    }
+  }
+  return abi;
+}
+
+function getFragmentSignature(fragment) {
+  if (fragment.type === 'function') return getFunctionSignature(fragment);
+  if (fragment.type === 'event') return getEventSignature(fragment);
+  return fragment.type;
+}
+
+// "transfer(address to, uint256)" -> "transfer(address,uint256)"
+function normalizeSignature(kind, signature) {
+  const text = signature.trim();
+  const [fragment] = parseABI([text.startsWith(`${kind} `) ? text : `${kind} ${text}`]);
+  return kind === 'function' ? getFunctionSignature(fragment) : getEventSignature(fragment);
+}
+
+// The bundled registry, plus the --signatures dump
+function getRegistry(options) {
+  const registry = selectorUtils.getSelectorRegistry();
+  if (options.signatures) {
+    registry.importSignatures(readJsonFile(options.signatures));
+  }
+  return registry;
+}
+
+function parseValue(text) {
+  if (/^[[{]/.test(text) || text === 'true' || text === 'false') {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON argument: ${text}`);
+    }
+  }
+  return text;
+}
+
+function readJsonFile(file) {
+  return JSON.parse(readFileSync(file === '-' ? 0 : file, 'utf8'));
+}
+
+const commands = {
+  selector(options) {
+    const [input] = expectArgs(options, 1, '<signature>');
+    const signature = normalizeSignature('function', input);
+    return { signature, selector: selectorUtils.getFunctionSelectorFromSignature(signature) };
+  },
+
+  topic(options) {
+    const [input] = expectArgs(options, 1, '<signature>');
+    const signature = normalizeSignature('event', input);
+    return { signature, topic: selectorUtils.getEventTopicFromSignature(signature) };
+  },
+
+  encode(options) {
+    if (!options.abi) throw new Error('encode requires --abi <file>');
+    const [name, ...args] = options.positional;
+    if (!name) throw new Error('Usage: abi-toolkit encode --abi <file> <function> [args...]');
+
+    const codec = new ABICodec(loadAbi(options));
+    const { signature, selector } = codec.getFunction(name);
+    return {
+      function: signature,
+      selector,
+      data: codec.encodeFunction(signature, args.map(parseValue))
+    };
+  },
+
+  'decode-calldata'(options) {
+    const [data] = expectArgs(options, 1, '[--abi <file>] [--value <wei>] <data>');
+    const codec = new ABICodec(loadAbi(options));
+    const parsed = codec.parseTransaction({ data, value: options.value || 0 });
+    if (parsed.name === null) {
+      // Label unknown calldata from the offline registry
+      parsed.candidates = getRegistry(options).lookupSelector(data);
+    }
+    return parsed;
+  },
+
+  'decode-result'(options) {
+    const [name, data] = expectArgs(options, 2, '[--abi <file>] <function> <data>');
+    const codec = new ABICodec(loadAbi(options));
+    const { signature } = codec.getFunction(name);
+    return { function: signature, result: codec.decodeFunctionResult(signature, data) };
+  },
+
+  'decode-log'(options) {
+    expectArgs(options, 0, '[--abi <file>] --topics <t0,t1,...> [--data <data>] [--event <name>]');
+    if (options.topics.length === 0 && !options.event) {
+      throw new Error('decode-log requires --topics (or --event for an anonymous event)');
+    }
+    const codec = new ABICodec(loadAbi(options));
+    return codec.decodeLog(options.data || '0x', options.topics, options.event);
+  },
+
+  'decode-receipt'(options) {
+    const [file] = expectArgs(options, 1, '[--abi <file>] <receipt.json | ->');
+    let receipt = readJsonFile(file);
+    // Accept a raw eth_getTransactionReceipt response
+    if (receipt && receipt.result !== undefined && receipt.jsonrpc) {
+      receipt = receipt.result;
+    }
+    if (!receipt) throw new Error('Receipt not found');
+
+    const decoder = new LogDecoder();
+    if (options.abi) {
+      decoder.addABI(readAbiFile(options.abi), basename(options.abi, extname(options.abi)));
+    } else {
+      for (const [name, abi] of Object.entries(BUNDLED_ABIS)) {
+        decoder.addABI(abi, name);
+      }
+    }
+    return decoder.decodeLogs(receipt);
+  },
+
+  lookup(options) {
+    const [hash] = expectArgs(options, 1, '[--signatures <file>] <selector | topic | data>');
+    if (!/^0x[0-9a-fA-F]{8}/.test(hash)) {
+      throw new Error(`Expected a selector, topic or calldata: ${hash}`);
+    }
+    const registry = getRegistry(options);
+    return hash.length === 66
+      ? { topic: hash.toLowerCase(), signatures: registry.lookupTopic(hash) }
+      : { selector: hash.slice(0, 10).toLowerCase(), signatures: registry.lookupSelector(hash) };
+  },
+
+  collisions(options) {
+    if (options.positional.length === 0) {
+      throw new Error('Usage: abi-toolkit collisions <abi.json> [<abi.json>...]');
+    }
+    const report = selectorUtils.findCollisions(...options.positional.map(file => ({
+      name: basename(file, extname(file)),
+      abi: readAbiFile(file)
+    })));
+    if (report.functions.length > 0 || report.events.length > 0 || report.duplicates.length > 0) {
+      process.exitCode = 2;
+    }
+    return report;
+  }
+};
+
+// Results become objects keyed by name (or index), bigints decimal strings
+function toJson(key, value) {
+  if (value instanceof Result) return value.toObject();
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.command) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const command = commands[options.command];
+  if (!command) {
+    throw new Error(`Unknown command: ${options.command}`);
+  }
+  process.stdout.write(JSON.stringify(command(options), toJson, 2) + '\n');
+} catch (error) {
+  console.error(`abi-toolkit: ${error.message}`);
+  process.exit(1);
+}
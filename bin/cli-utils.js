@@ -0,0 +1,16 @@
+// Helpers shared by the command-line tools
+
+import { readFileSync } from 'fs';
+
+// Read a JSON ABI file: a bare ABI array or a compiler artifact with an
+// `abi` field
+function readAbiFile(file) {
+  const json = JSON.parse(readFileSync(file, 'utf8'));
+  const abi = Array.isArray(json) ? json : json.abi;
+  if (!Array.isArray(abi)) {
+    throw new Error(`No ABI array found in ${file}`);
+  }
+  return abi;
+}
+
+export { readAbiFile };
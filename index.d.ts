@@ -0,0 +1,80 @@
+// Core functionality
+export { ABICodec } from './lib/core/abi-codec.js';
+export type { FunctionInfo, EventInfo, ParsedTransaction, AbiFormat, EventArgs, EventKey } from './lib/core/abi-codec.js';
+export { default as Encoder } from './lib/core/encoder.js';
+export { default as Decoder } from './lib/core/decoder.js';
+export type { DecodedParameter } from './lib/core/decoder.js';
+export type { CodegenOptions } from './lib/core/codegen.js';
+export type { TypedData, TypedDataDomain, TypedDataField, TypedDataTypes } from './lib/core/typed-data.js';
+export { ABIDecodingError, DecodingErrorCode, ContractRevertError } from './lib/core/errors.js';
+export type { DecodingErrorCodeValue } from './lib/core/errors.js';
+export { Result } from './lib/core/result.js';
+export { Indexed } from './lib/core/indexed.js';
+export * as utils from './lib/core/utils.js';
+export * as selectorUtils from './lib/core/selector-utils.js';
+export * as hashUtils from './lib/core/hash-utils.js';
+export * as revertUtils from './lib/core/revert-utils.js';
+export * as codegen from './lib/core/codegen.js';
+export * as typedData from './lib/core/typed-data.js';
+export type * from './lib/core/types.js';
+
+// Individual exports for convenience
+export * as erc20 from './lib/common/erc20/index.js';
+export * as erc165 from './lib/common/erc165/index.js';
+export { uniswapV2 } from './lib/common/uniswap/index.js';
+export { informer } from './lib/common/informer/index.js';
+export { tokenTrader } from './lib/common/tokentrader/index.js';
+export type { ContractCallProvider } from './lib/common/erc20/index.js';
+export type { PairDetails, TokenDetails, Reserves, PairDetailsResult, ReservesResult } from './lib/common/informer/index.js';
+export type {
+  LogMetadata,
+  TransferRecord,
+  MintRecord,
+  PairCreatedRecord,
+  CustomDecodedLog,
+  DecodedLogs,
+  LogSource
+} from './lib/common/utils/log-decoder.js';
+
+import * as erc20 from './lib/common/erc20/index.js';
+import * as erc165 from './lib/common/erc165/index.js';
+import * as uniswapV2 from './lib/common/uniswap/index.js';
+import * as informer from './lib/common/informer/index.js';
+import * as tokenTrader from './lib/common/tokentrader/index.js';
+import * as logDecoder from './lib/common/utils/log-decoder.js';
+
+import { ABICodec } from './lib/core/abi-codec.js';
+import Encoder from './lib/core/encoder.js';
+import Decoder from './lib/core/decoder.js';
+import * as utils from './lib/core/utils.js';
+import * as selectorUtils from './lib/core/selector-utils.js';
+import * as hashUtils from './lib/core/hash-utils.js';
+import * as revertUtils from './lib/core/revert-utils.js';
+import * as codegen from './lib/core/codegen.js';
+import * as typedData from './lib/core/typed-data.js';
+
+// Organized exports
+export const common: {
+  erc20: typeof erc20;
+  erc165: typeof erc165;
+  uniswapV2: typeof uniswapV2;
+  informer: typeof informer;
+  tokenTrader: typeof tokenTrader;
+  decoder: typeof logDecoder;
+};
+
+// Default export with all functionality
+declare const toolkit: {
+  ABICodec: typeof ABICodec;
+  Encoder: typeof Encoder;
+  Decoder: typeof Decoder;
+  utils: typeof utils;
+  selectorUtils: typeof selectorUtils;
+  hashUtils: typeof hashUtils;
+  revertUtils: typeof revertUtils;
+  codegen: typeof codegen;
+  typedData: typeof typedData;
+  common: typeof common;
+};
+
+export default toolkit;
@@ -2,17 +2,26 @@
 export { ABICodec } from './lib/core/abi-codec.js';
 export { default as Encoder } from './lib/core/encoder.js';
 export { default as Decoder } from './lib/core/decoder.js';
+export { ABIDecodingError, DecodingErrorCode, ContractRevertError } from './lib/core/errors.js';
+export { Result } from './lib/core/result.js';
+export { Indexed } from './lib/core/indexed.js';
 export * as utils from './lib/core/utils.js';
 export * as selectorUtils from './lib/core/selector-utils.js';
+export * as hashUtils from './lib/core/hash-utils.js';
+export * as revertUtils from './lib/core/revert-utils.js';
+export * as codegen from './lib/core/codegen.js';
+export * as typedData from './lib/core/typed-data.js';
 
 // Individual exports for convenience
 export * as erc20 from './lib/common/erc20/index.js';
+export * as erc165 from './lib/common/erc165/index.js';
 export { uniswapV2 } from './lib/common/uniswap/index.js';
 export { informer } from './lib/common/informer/index.js';
 export { tokenTrader } from './lib/common/tokentrader/index.js';
 
 // Common utilities
 import * as erc20 from './lib/common/erc20/index.js';
+import * as erc165 from './lib/common/erc165/index.js';
 import * as uniswapV2 from './lib/common/uniswap/index.js';
 import * as informer from './lib/common/informer/index.js';
 import * as tokenTrader from './lib/common/tokentrader/index.js';
@@ -24,10 +33,15 @@ import Encoder from './lib/core/encoder.js';
 import Decoder from './lib/core/decoder.js';
 import * as utils from './lib/core/utils.js';
 import * as selectorUtils from './lib/core/selector-utils.js';
+import * as hashUtils from './lib/core/hash-utils.js';
+import * as revertUtils from './lib/core/revert-utils.js';
+import * as codegen from './lib/core/codegen.js';
+import * as typedData from './lib/core/typed-data.js';
 
 // Organized exports
 export const common = {
     erc20,
+    erc165,
     uniswapV2,
     informer,
     tokenTrader,
@@ -41,5 +55,9 @@ export default {
     Decoder,
     utils,
     selectorUtils,
+    hashUtils,
+    revertUtils,
+    codegen,
+    typedData,
     common
 };
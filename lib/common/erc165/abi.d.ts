@@ -0,0 +1,22 @@
+import type { AbiFragment } from '../../core/types.js';
+
+export const ERC165_ABI: AbiFragment[];
+
+export const INTERFACE_IDS: {
+  readonly ERC165: '0x01ffc9a7';
+  readonly ERC20: '0x36372b07';
+  readonly ERC173: '0x7f5828d0';
+  readonly ERC721: '0x80ac58cd';
+  readonly ERC721Metadata: '0x5b5e139f';
+  readonly ERC721Enumerable: '0x780e9d63';
+  readonly ERC721Receiver: '0x150b7a02';
+  readonly ERC1155: '0xd9b67a26';
+  readonly ERC1155MetadataURI: '0x0e89341c';
+  readonly ERC1155Receiver: '0x4e2312e0';
+  readonly ERC2981: '0x2a55205a';
+  readonly ERC4906: '0x49064906';
+  readonly ERC4907: '0xad092b5c';
+  readonly ERC5192: '0xb45a3c0e';
+  readonly AccessControl: '0x7965db0b';
+  readonly INVALID: '0xffffffff';
+};
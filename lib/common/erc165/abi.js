@@ -0,0 +1,31 @@
+export const ERC165_ABI = [
+    {
+        "inputs": [{"internalType": "bytes4","name": "interfaceId","type": "bytes4"}],
+        "name": "supportsInterface",
+        "outputs": [{"internalType": "bool","name": "","type": "bool"}],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+// ERC-165 interface IDs of common standards. Most are the XOR of the
+// standard's function selectors; ERC-4906 defines its ID as a constant.
+export const INTERFACE_IDS = {
+    ERC165: '0x01ffc9a7',
+    ERC20: '0x36372b07',
+    ERC173: '0x7f5828d0',
+    ERC721: '0x80ac58cd',
+    ERC721Metadata: '0x5b5e139f',
+    ERC721Enumerable: '0x780e9d63',
+    ERC721Receiver: '0x150b7a02',
+    ERC1155: '0xd9b67a26',
+    ERC1155MetadataURI: '0x0e89341c',
+    ERC1155Receiver: '0x4e2312e0',
+    ERC2981: '0x2a55205a',
+    ERC4906: '0x49064906',
+    ERC4907: '0xad092b5c',
+    ERC5192: '0xb45a3c0e',
+    AccessControl: '0x7965db0b',
+    // Must be reported as unsupported by every ERC-165 contract
+    INVALID: '0xffffffff'
+};
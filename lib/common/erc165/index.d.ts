@@ -0,0 +1,33 @@
+import type { Result } from '../../core/result.js';
+import type { ContractCallProvider } from '../erc20/index.js';
+import type { INTERFACE_IDS } from './abi.js';
+
+export type InterfaceName = keyof typeof INTERFACE_IDS;
+
+// A bytes4 interface ID or the name of a known interface
+export type InterfaceIdOrName = InterfaceName | (string & {});
+
+export function resolveInterfaceId(interfaceIdOrName: InterfaceIdOrName): string;
+export function getInterfaceName(interfaceId: string): InterfaceName | null;
+
+export function encodeSupportsInterface(interfaceIdOrName: InterfaceIdOrName): string;
+// Decode supportsInterface calldata
+export function decodeSupportsInterface(data: string): Result;
+export function decodeSupportsInterfaceResult(data: string): boolean;
+
+// Reverts reject with ContractRevertError
+export function supportsInterface(
+  provider: ContractCallProvider,
+  contractAddress: string,
+  interfaceIdOrName: InterfaceIdOrName
+): Promise<boolean>;
+
+export function supportsERC165(provider: ContractCallProvider, contractAddress: string): Promise<boolean>;
+
+export function getSupportedInterfaces<T extends InterfaceIdOrName = InterfaceName>(
+  provider: ContractCallProvider,
+  contractAddress: string,
+  interfaces?: readonly T[]
+): Promise<T[]>;
+
+export { ERC165_ABI, INTERFACE_IDS } from './abi.js';
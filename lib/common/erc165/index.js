@@ -0,0 +1,85 @@
+import { ABICodec } from '../../core/abi-codec.js';
+import { ERC165_ABI, INTERFACE_IDS } from './abi.js';
+import { createContractCall, isValidAddress } from '../utils/contract-call.js';
+
+// Create singleton ABICodec instance with the ERC165 ABI
+const abiCoder = new ABICodec(ERC165_ABI);
+
+const interfaceIdRegex = /^0x[0-9a-fA-F]{8}$/;
+
+// Interface ID from a bytes4 hex string or a name in INTERFACE_IDS
+export const resolveInterfaceId = (interfaceIdOrName) => {
+    if (Object.prototype.hasOwnProperty.call(INTERFACE_IDS, interfaceIdOrName)) {
+        return INTERFACE_IDS[interfaceIdOrName];
+    }
+    if (typeof interfaceIdOrName === 'string' && interfaceIdRegex.test(interfaceIdOrName)) {
+        return interfaceIdOrName.toLowerCase();
+    }
+    throw new Error(`Unknown interface: ${interfaceIdOrName}`);
+};
+
+// Name of a known interface ID, or null
+export const getInterfaceName = (interfaceId) => {
+    const id = typeof interfaceId === 'string' ? interfaceId.toLowerCase() : interfaceId;
+    return Object.keys(INTERFACE_IDS).find(name => INTERFACE_IDS[name] === id) || null;
+};
+
+export const encodeSupportsInterface = (interfaceIdOrName) =>
+    abiCoder.encodeFunction('supportsInterface', [resolveInterfaceId(interfaceIdOrName)]);
+
+export const decodeSupportsInterface = (data) => abiCoder.decodeFunction('supportsInterface', data);
+
+export const decodeSupportsInterfaceResult = (data) =>
+    abiCoder.decodeFunctionResult('supportsInterface', data)[0];
+
+// supportsInterface(bytes4) through provider.call, like the erc20 getters.
+// Resolves to a boolean; reverts reject with ContractRevertError.
+export const supportsInterface = createContractCall(
+    abiCoder,
+    encodeSupportsInterface,
+    (data) => abiCoder.decodeFunctionResult('supportsInterface', data),
+    'checking interface support'
+);
+
+// A single supportsInterface answer, or null when the call fails or does not
+// return exactly one boolean word
+const querySupport = async (provider, contractAddress, interfaceId) => {
+    try {
+        const response = await provider.call(contractAddress, encodeSupportsInterface(interfaceId));
+        if (typeof response !== 'string' || response.length !== 66) return null;
+        const value = BigInt(response);
+        return value === 1n ? true : value === 0n ? false : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// ERC-165 detection: the contract must report support for ERC165 and not for
+// 0xffffffff. Contracts without supportsInterface resolve to false.
+export const supportsERC165 = async (provider, contractAddress) => {
+    if (!provider) throw new Error('Provider is required');
+    if (!isValidAddress(contractAddress)) throw new Error('Invalid contract address');
+
+    return await querySupport(provider, contractAddress, INTERFACE_IDS.ERC165) === true &&
+        await querySupport(provider, contractAddress, INTERFACE_IDS.INVALID) === false;
+};
+
+// Names (or IDs) from `interfaces` the contract supports, e.g. to tell
+// ERC-721 and ERC-1155 tokens apart. Defaults to every known interface and
+// resolves to [] for contracts without ERC-165.
+export const getSupportedInterfaces = async (provider, contractAddress, interfaces) => {
+    if (!await supportsERC165(provider, contractAddress)) return [];
+
+    const candidates = interfaces ||
+        Object.keys(INTERFACE_IDS).filter(name => name !== 'ERC165' && name !== 'INVALID');
+    const supported = [];
+    for (const candidate of candidates) {
+        if (await querySupport(provider, contractAddress, resolveInterfaceId(candidate)) === true) {
+            supported.push(candidate);
+        }
+    }
+    return supported;
+};
+
+// Export ABI and known interface IDs
+export { ERC165_ABI, INTERFACE_IDS } from './abi.js';
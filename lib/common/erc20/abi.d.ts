@@ -0,0 +1,22 @@
+import type { AbiFragment } from '../../core/types.js';
+
+export const ERC20_ABI: AbiFragment[];
+
+// Function selectors of the common ERC-20 calls
+export const ERC20_SIGNATURES: {
+  TRANSFER: '0xa9059cbb';
+  TRANSFER_FROM: '0x23b872dd';
+  APPROVE: '0x095ea7b3';
+  BALANCE_OF: '0x70a08231';
+  ALLOWANCE: '0xdd62ed3e';
+  TOTAL_SUPPLY: '0x18160ddd';
+  NAME: '0x06fdde03';
+  SYMBOL: '0x95d89b41';
+  DECIMALS: '0x313ce567';
+};
+
+// Event topics (topic0)
+export const ERC20_EVENTS: {
+  TRANSFER: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+  APPROVAL: '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925';
+};
@@ -75,6 +75,45 @@ export const ERC20_ABI = [
         "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
         "stateMutability": "nonpayable",
         "type": "function"
+    },
+    // ERC-6093 custom errors (OpenZeppelin Contracts v5)
+    {
+        "inputs": [
+            {"internalType": "address", "name": "sender", "type": "address"},
+            {"internalType": "uint256", "name": "balance", "type": "uint256"},
+            {"internalType": "uint256", "name": "needed", "type": "uint256"}
+        ],
+        "name": "ERC20InsufficientBalance",
+        "type": "error"
+    },
+    {
+        "inputs": [{"internalType": "address", "name": "sender", "type": "address"}],
+        "name": "ERC20InvalidSender",
+        "type": "error"
+    },
+    {
+        "inputs": [{"internalType": "address", "name": "receiver", "type": "address"}],
+        "name": "ERC20InvalidReceiver",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {"internalType": "address", "name": "spender", "type": "address"},
+            {"internalType": "uint256", "name": "allowance", "type": "uint256"},
+            {"internalType": "uint256", "name": "needed", "type": "uint256"}
+        ],
+        "name": "ERC20InsufficientAllowance",
+        "type": "error"
+    },
+    {
+        "inputs": [{"internalType": "address", "name": "approver", "type": "address"}],
+        "name": "ERC20InvalidApprover",
+        "type": "error"
+    },
+    {
+        "inputs": [{"internalType": "address", "name": "spender", "type": "address"}],
+        "name": "ERC20InvalidSpender",
+        "type": "error"
     }
 ];
 
@@ -0,0 +1,52 @@
+import type { Result } from '../../core/result.js';
+import type { DecodedError, Numeric } from '../../core/types.js';
+
+// Anything with an eth_call style `call(to, data)` returning the result hex
+export interface ContractCallProvider {
+  call(to: string, data: string): Promise<string>;
+}
+
+export function encodeBalanceOf(account: string): string;
+export function encodeAllowance(owner: string, spender: string): string;
+export function encodeTotalSupply(): string;
+export function encodeName(): string;
+export function encodeSymbol(): string;
+export function encodeDecimals(): string;
+export function encodeApprove(spender: string, amount: Numeric): string;
+export function encodeTransfer(to: string, amount: Numeric): string;
+export function encodeTransferFrom(from: string, to: string, amount: Numeric): string;
+
+// Decode calldata of the named function
+export function decodeBalanceOf(data: string): Result;
+export function decodeAllowance(data: string): Result;
+export function decodeTotalSupply(data: string): Result;
+export function decodeName(data: string): Result;
+export function decodeSymbol(data: string): Result;
+export function decodeDecimals(data: string): Result;
+export function decodeApprove(data: string): Result;
+export function decodeTransfer(data: string): Result;
+export function decodeTransferFrom(data: string): Result;
+
+// Return-data decoder for the named function
+export function decodeUint256Result(functionName: string): (data: string) => Result;
+export function decodeStringResult(functionName: string): (data: string) => Result;
+export function decodeUint8Result(functionName: string): (data: string) => Result;
+export function decodeBoolResult(functionName: string): (data: string) => Result;
+
+// Integers resolve to decimal strings. Reverts reject with ContractRevertError.
+export function getBalanceOf(provider: ContractCallProvider, tokenAddress: string, account: string): Promise<string>;
+export function getAllowance(provider: ContractCallProvider, tokenAddress: string, owner: string, spender: string): Promise<string>;
+export function getTokenTotalSupply(provider: ContractCallProvider, tokenAddress: string): Promise<string>;
+export function getTokenName(provider: ContractCallProvider, tokenAddress: string): Promise<string>;
+export function getTokenSymbol(provider: ContractCallProvider, tokenAddress: string): Promise<string>;
+export function getTokenDecimals(provider: ContractCallProvider, tokenAddress: string): Promise<string>;
+
+// Revert data, including the ERC-6093 errors in ERC20_ABI
+export function decodeError(data: string): DecodedError;
+export function parseRevert(data: string): DecodedError | null;
+
+export function approve(spender: string, amount: Numeric): string;
+export function transfer(to: string, amount: Numeric): string;
+export function transferFrom(from: string, to: string, amount: Numeric): string;
+
+export { ERC20_ABI } from './abi.js';
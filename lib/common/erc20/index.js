@@ -1,20 +1,13 @@
 import { ABICodec } from '../../core/abi-codec.js';
 import { ERC20_ABI } from './abi.js';
+import { createContractCall as createCall, isValidAddress } from '../utils/contract-call.js';
 
 // Create singleton ABICodec instance with the ERC20 ABI
 const abiCoder = new ABICodec(ERC20_ABI);
 
-// Pre-compile address validation regex
-const addressRegex = /^0x[0-9a-fA-F]{40}$/;
-
 // Cache for function selectors
 const functionSelectors = new Map();
 
-// Helper function to validate Ethereum address with regex
-const isValidAddress = (address) => {
-    return typeof address === 'string' && addressRegex.test(address);
-};
-
 // Helper function to get cached function selector
 const getFunctionSelector = (functionName) => {
     if (!functionSelectors.has(functionName)) {
@@ -82,29 +75,9 @@ export const decodeStringResult = createResultDecoder;
 export const decodeUint8Result = createResultDecoder;
 export const decodeBoolResult = createResultDecoder;
 
-// Optimized helper functions with error handling
-const createContractCall = (encodeFn, decodeFn, errorMsg) => {
-    return async (provider, tokenAddress, ...params) => {
-        if (!provider) throw new Error('Provider is required');
-        if (!isValidAddress(tokenAddress)) throw new Error('Invalid token address');
-        
-        try {
-            const txData = encodeFn(...params);
-            const response = await provider.call(tokenAddress, txData);
-            if (!response) throw new Error('No response from contract');
-            
-            const decoded = decodeFn(response);
-            if (!decoded || !Array.isArray(decoded) || decoded.length === 0) {
-                throw new Error('Invalid response format');
-            }
-            
-            return decoded[0];
-        } catch (error) {
-            console.error(`Error ${errorMsg}:`, error.message);
-            throw error;
-        }
-    };
-};
+// Contract calls decode reverts with the ERC20 ABI, including ERC-6093 errors
+const createContractCall = (encodeFn, decodeFn, errorMsg) =>
+    createCall(abiCoder, encodeFn, decodeFn, errorMsg);
 
 // Create optimized contract interaction functions
 export const getBalanceOf = createContractCall(
@@ -143,6 +116,10 @@ export const getTokenDecimals = createContractCall(
     'getting token decimals'
 );
 
+// Decode revert data, including the ERC-6093 errors in ERC20_ABI
+export const decodeError = (data) => abiCoder.decodeError(data);
+export const parseRevert = (data) => abiCoder.parseRevert(data);
+
 // Transaction data generators
 export const approve = (spender, amount) => encodeApprove(spender, amount);
 export const transfer = (to, amount) => encodeTransfer(to, amount);
@@ -0,0 +1,3 @@
+import type { AbiFragment } from '../../core/types.js';
+
+export const INFORMER_ABI: AbiFragment[];
@@ -0,0 +1,62 @@
+import type { ABICodec } from '../../core/abi-codec.js';
+import type { Result } from '../../core/result.js';
+import type { AbiFragment, ValueResult } from '../../core/types.js';
+
+// Decoded structs are Results: positional entries plus the named fields
+// below. Integers are decimal strings.
+export interface TokenDetails extends Result {
+  tokenAddress: string;
+  name: string;
+  decimals: string;
+  symbol: string;
+  totalSupply: string;
+}
+
+// UniswapPairTokenDetails.PairDetails
+export interface PairDetails extends Result {
+  pairAddress: string;
+  name: string;
+  decimals: string;
+  symbol: string;
+  totalSupply: string;
+  token0Details: TokenDetails;
+  token1Details: TokenDetails;
+}
+
+// UniswapPairTokenDetails.Reserves
+export interface Reserves extends Result {
+  reserve0: string;
+  reserve1: string;
+  blockNumber: string;
+}
+
+export interface PairDetailsResult extends Result {
+  0: PairDetails;
+  pairDetails: PairDetails;
+}
+
+export interface ReservesResult extends Result {
+  0: Reserves;
+  reserves: Reserves;
+}
+
+export const informer: {
+  abi: AbiFragment[];
+  codec: ABICodec;
+
+  getOwner(contractAddress: string): string;
+  getPairAndTokenDetails(pairAddress: string): string;
+  getReserves(pairAddress: string): string;
+  getTokenBalance(tokenAddress: string, walletAddress: string): string;
+  getTotalSupply(tokenAddress: string): string;
+
+  decode: {
+    getOwner(data: string): ValueResult<string>;
+    getPairAndTokenDetails(data: string): PairDetailsResult;
+    getReserves(data: string): ReservesResult;
+    getTokenBalance(data: string): ValueResult<string>;
+    getTotalSupply(data: string): ValueResult<string>;
+  };
+};
+
+export { INFORMER_ABI } from './abi.js';
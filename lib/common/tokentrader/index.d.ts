@@ -0,0 +1,19 @@
+import type { ABICodec } from '../../core/abi-codec.js';
+import type { AbiFragment, Numeric, ValueResult } from '../../core/types.js';
+
+export const tokenTrader: {
+  abi: AbiFragment[];
+  codec: ABICodec;
+
+  aw(): string;
+  btwr(tokenAddress: string, pairAddress: string, tokenSupply: Numeric, reserve: Numeric, high: Numeric, bool: boolean): string;
+  stwr(tokenAddress: string, pairAddress: string, eth: Numeric, tokenSupply: Numeric, bool: boolean): string;
+  gmeft(pairAddress: string, tokens: Numeric, bool: boolean): string;
+
+  decode: {
+    // uint256 as a decimal string
+    gmeft(data: string): ValueResult<string>;
+  };
+};
+
+export { TOKEN_TRADER_ABI } from './abi.js';
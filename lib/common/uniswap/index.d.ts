@@ -0,0 +1,130 @@
+import type { Numeric } from '../../core/types.js';
+
+// Deadlines are unix timestamps in seconds
+export type Deadline = string | number;
+
+// Encoders return calldata for the named function and throw
+// "Invalid parameters for <name>" when validation fails
+
+// =============================================================================
+// UNISWAP V2 FACTORY FUNCTIONS
+// =============================================================================
+
+export function encodeGetPair(tokenA: string, tokenB: string): string;
+export function encodeAllPairs(index: string | number): string;
+export function encodeAllPairsLength(): string;
+export function encodeFeeTo(): string;
+export function encodeFeeToSetter(): string;
+export function encodeCreatePair(tokenA: string, tokenB: string): string;
+export function encodeSetFeeTo(feeTo: string): string;
+export function encodeSetFeeToSetter(feeToSetter: string): string;
+
+// =============================================================================
+// UNISWAP V2 PAIR FUNCTIONS
+// =============================================================================
+
+export function encodeToken0(): string;
+export function encodeToken1(): string;
+export function encodeGetReserves(): string;
+export function encodeFactory(): string;
+export function encodeKLast(): string;
+export function encodePrice0CumulativeLast(): string;
+export function encodePrice1CumulativeLast(): string;
+export function encodePairBalanceOf(owner: string): string;
+export function encodePairTotalSupply(): string;
+export function encodePairAllowance(owner: string, spender: string): string;
+export function encodePairApprove(spender: string, value: Numeric): string;
+export function encodePairTransfer(to: string, value: Numeric): string;
+export function encodePairTransferFrom(from: string, to: string, value: Numeric): string;
+export function encodeMint(to: string): string;
+export function encodeBurn(to: string): string;
+export function encodeSwap(amount0Out: Numeric, amount1Out: Numeric, to: string, data: string): string;
+export function encodeSkim(to: string): string;
+export function encodeSync(): string;
+export function encodePermit(owner: string, spender: string, value: Numeric, deadline: Deadline, v: string, r: string, s: string): string;
+
+// =============================================================================
+// UNISWAP V2 ROUTER FUNCTIONS
+// =============================================================================
+
+export function encodeWETH(): string;
+export function encodeRouterFactory(): string;
+export function encodeQuote(amountA: Numeric, reserveA: Numeric, reserveB: Numeric): string;
+export function encodeGetAmountOut(amountIn: Numeric, reserveIn: Numeric, reserveOut: Numeric): string;
+export function encodeGetAmountIn(amountOut: Numeric, reserveIn: Numeric, reserveOut: Numeric): string;
+export function encodeGetAmountsOut(amountIn: Numeric, path: readonly string[]): string;
+export function encodeGetAmountsIn(amountOut: Numeric, path: readonly string[]): string;
+export function encodeAddLiquidity(tokenA: string, tokenB: string, amountADesired: Numeric, amountBDesired: Numeric, amountAMin: Numeric, amountBMin: Numeric, to: string, deadline: Deadline): string;
+export function encodeAddLiquidityETH(token: string, amountTokenDesired: Numeric, amountTokenMin: Numeric, amountETHMin: Numeric, to: string, deadline: Deadline): string;
+export function encodeRemoveLiquidity(tokenA: string, tokenB: string, liquidity: Numeric, amountAMin: Numeric, amountBMin: Numeric, to: string, deadline: Deadline): string;
+export function encodeRemoveLiquidityETH(token: string, liquidity: Numeric, amountTokenMin: Numeric, amountETHMin: Numeric, to: string, deadline: Deadline): string;
+export function encodeSwapExactTokensForTokens(amountIn: Numeric, amountOutMin: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapTokensForExactTokens(amountOut: Numeric, amountInMax: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapExactETHForTokens(amountOutMin: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapTokensForExactETH(amountOut: Numeric, amountInMax: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapExactTokensForETH(amountIn: Numeric, amountOutMin: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapETHForExactTokens(amountOut: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn: Numeric, amountOutMin: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapExactETHForTokensSupportingFeeOnTransferTokens(amountOutMin: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+export function encodeSwapExactTokensForETHSupportingFeeOnTransferTokens(amountIn: Numeric, amountOutMin: Numeric, path: readonly string[], to: string, deadline: Deadline): string;
+
+// =============================================================================
+// CONVENIENCE FUNCTIONS
+// =============================================================================
+
+export const uniswapV2: {
+  factory: {
+    getPair: typeof encodeGetPair;
+    createPair: typeof encodeCreatePair;
+    allPairs: typeof encodeAllPairs;
+    allPairsLength: typeof encodeAllPairsLength;
+    feeTo: typeof encodeFeeTo;
+    feeToSetter: typeof encodeFeeToSetter;
+    setFeeTo: typeof encodeSetFeeTo;
+    setFeeToSetter: typeof encodeSetFeeToSetter;
+  };
+  pair: {
+    token0: typeof encodeToken0;
+    token1: typeof encodeToken1;
+    getReserves: typeof encodeGetReserves;
+    factory: typeof encodeFactory;
+    balanceOf: typeof encodePairBalanceOf;
+    totalSupply: typeof encodePairTotalSupply;
+    allowance: typeof encodePairAllowance;
+    approve: typeof encodePairApprove;
+    transfer: typeof encodePairTransfer;
+    transferFrom: typeof encodePairTransferFrom;
+    mint: typeof encodeMint;
+    burn: typeof encodeBurn;
+    swap: typeof encodeSwap;
+    skim: typeof encodeSkim;
+    sync: typeof encodeSync;
+    permit: typeof encodePermit;
+  };
+  router: {
+    WETH: typeof encodeWETH;
+    factory: typeof encodeRouterFactory;
+    quote: typeof encodeQuote;
+    getAmountOut: typeof encodeGetAmountOut;
+    getAmountIn: typeof encodeGetAmountIn;
+    getAmountsOut: typeof encodeGetAmountsOut;
+    getAmountsIn: typeof encodeGetAmountsIn;
+    addLiquidity: typeof encodeAddLiquidity;
+    addLiquidityETH: typeof encodeAddLiquidityETH;
+    removeLiquidity: typeof encodeRemoveLiquidity;
+    removeLiquidityETH: typeof encodeRemoveLiquidityETH;
+    swapExactTokensForTokens: typeof encodeSwapExactTokensForTokens;
+    swapTokensForExactTokens: typeof encodeSwapTokensForExactTokens;
+    swapExactETHForTokens: typeof encodeSwapExactETHForTokens;
+    swapTokensForExactETH: typeof encodeSwapTokensForExactETH;
+    swapExactTokensForETH: typeof encodeSwapExactTokensForETH;
+    swapETHForExactTokens: typeof encodeSwapETHForExactTokens;
+    swapExactTokensForTokensSupportingFeeOnTransferTokens: typeof encodeSwapExactTokensForTokensSupportingFeeOnTransferTokens;
+    swapExactETHForTokensSupportingFeeOnTransferTokens: typeof encodeSwapExactETHForTokensSupportingFeeOnTransferTokens;
+    swapExactTokensForETHSupportingFeeOnTransferTokens: typeof encodeSwapExactTokensForETHSupportingFeeOnTransferTokens;
+  };
+};
+
+export { UNISWAP_V2_FACTORY_ABI } from './factory-abi.js';
+export { UNISWAP_V2_PAIR_ABI } from './pair-abi.js';
+export { UNISWAP_V2_ROUTER_ABI } from './router-abi.js';
@@ -0,0 +1,3 @@
+import type { AbiFragment } from '../../core/types.js';
+
+export const UNISWAP_V2_PAIR_ABI: AbiFragment[];
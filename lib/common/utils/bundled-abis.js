@@ -0,0 +1,20 @@
+import { ERC20_ABI } from '../erc20/abi.js';
+import { ERC165_ABI } from '../erc165/abi.js';
+import { UNISWAP_V2_FACTORY_ABI } from '../uniswap/factory-abi.js';
+import { UNISWAP_V2_PAIR_ABI } from '../uniswap/pair-abi.js';
+import { UNISWAP_V2_ROUTER_ABI } from '../uniswap/router-abi.js';
+import { INFORMER_ABI } from '../informer/abi.js';
+import { TOKEN_TRADER_ABI } from '../tokentrader/abi.js';
+
+// Contract ABIs shipped with the toolkit, keyed by contract name. They seed
+// the default selector registry and are the abi-toolkit command's fallback
+// when no --abi is given.
+export const BUNDLED_ABIS = {
+    ERC20: ERC20_ABI,
+    ERC165: ERC165_ABI,
+    UniswapV2Factory: UNISWAP_V2_FACTORY_ABI,
+    UniswapV2Pair: UNISWAP_V2_PAIR_ABI,
+    UniswapV2Router: UNISWAP_V2_ROUTER_ABI,
+    Informer: INFORMER_ABI,
+    TokenTrader: TOKEN_TRADER_ABI
+};
@@ -0,0 +1,53 @@
+import { ContractRevertError } from '../../core/errors.js';
+import { getRevertData } from '../../core/revert-utils.js';
+
+// Pre-compile address validation regex
+const addressRegex = /^0x[0-9a-fA-F]{40}$/;
+
+// Helper function to validate Ethereum address with regex
+const isValidAddress = (address) => {
+    return typeof address === 'string' && addressRegex.test(address);
+};
+
+// Revert data is a selector plus whole words, which a valid return value never is
+const isRevertResponse = (response) =>
+    typeof response === 'string' && response.length >= 10 && (response.length - 10) % 64 === 0;
+
+// Wrap an encoder/decoder pair into `(provider, tokenAddress, ...params)`
+// calling `provider.call(to, data)`. Reverts are decoded with `codec`.
+const createContractCall = (codec, encodeFn, decodeFn, errorMsg) => {
+    return async (provider, tokenAddress, ...params) => {
+        if (!provider) throw new Error('Provider is required');
+        if (!isValidAddress(tokenAddress)) throw new Error('Invalid token address');
+        
+        try {
+            const txData = encodeFn(...params);
+            let response;
+            try {
+                response = await provider.call(tokenAddress, txData);
+            } catch (callError) {
+                // Surface the decoded revert reason when the provider reports one
+                const revertData = getRevertData(callError);
+                if (!revertData) throw callError;
+                throw new ContractRevertError(codec.parseRevert(revertData), revertData, callError);
+            }
+            if (!response) throw new Error('No response from contract');
+
+            // Some providers return revert data instead of throwing
+            const revert = isRevertResponse(response) ? codec.parseRevert(response) : null;
+            if (revert) throw new ContractRevertError(revert, response);
+            
+            const decoded = decodeFn(response);
+            if (!decoded || !Array.isArray(decoded) || decoded.length === 0) {
+                throw new Error('Invalid response format');
+            }
+            
+            return decoded[0];
+        } catch (error) {
+            console.error(`Error ${errorMsg}:`, error.message);
+            throw error;
+        }
+    };
+};
+
+export { createContractCall, isValidAddress };
@@ -0,0 +1,72 @@
+import type { Result } from '../../core/result.js';
+import type { AbiInput, Log, Receipt } from '../../core/types.js';
+
+// Chain metadata copied from the source log
+export interface LogMetadata {
+  contractAddress: string | undefined;
+  blockNumber: number | string | undefined;
+  transactionHash: string | undefined;
+  logIndex: number | string | undefined;
+}
+
+// Integers are decimal strings and addresses lower-case
+export interface TransferRecord extends LogMetadata {
+  type: 'Transfer';
+  from: string;
+  to: string;
+  value: string;
+}
+
+export interface MintRecord extends LogMetadata {
+  type: 'Mint';
+  sender: string;
+  amount0: string;
+  amount1: string;
+}
+
+export interface PairCreatedRecord extends LogMetadata {
+  type: 'PairCreated';
+  token0: string;
+  token1: string;
+  pair: string;
+  pairIndex: string;
+}
+
+// A log decoded by an ABI registered with addABI
+export interface CustomDecodedLog extends LogMetadata {
+  name: string;
+  args: Result;
+  codecName: string;
+  removed: boolean | undefined;
+}
+
+export interface DecodedLogs {
+  transfers: TransferRecord[];
+  mints: MintRecord[];
+  pairCreated: PairCreatedRecord[];
+  custom: CustomDecodedLog[];
+}
+
+// An array of logs, a receipt, an array of receipts or a single log
+export type LogSource = Log | Receipt | readonly Log[] | readonly Receipt[];
+
+export class LogDecoder {
+  constructor();
+
+  // Logs not matching the built-in events are tried against each added ABI
+  addABI(abi: AbiInput, name: string): void;
+
+  decodeLogs(receipts: LogSource): DecodedLogs;
+  decodeTransferLogs(receipts: LogSource): TransferRecord[];
+  decodeMintLogs(receipts: LogSource): MintRecord[];
+  decodePairCreatedLogs(receipts: LogSource): PairCreatedRecord[];
+}
+
+export function decodeLogs(receipts: LogSource): DecodedLogs;
+export function decodeTransferLogs(receipts: LogSource): TransferRecord[];
+export function decodeMintLogs(receipts: LogSource): MintRecord[];
+export function decodePairCreatedLogs(receipts: LogSource): PairCreatedRecord[];
+export function addCustomABI(abi: AbiInput, name: string): void;
+
+// Topic of 'transfer', 'mint' or 'pair_created'
+export function getEventSignature(eventType: string): string | undefined;
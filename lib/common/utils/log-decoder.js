@@ -111,19 +111,19 @@ class LogDecoder {
                 if (!topic0) continue;
 
                 const eventType = this.signatureToType.get(topic0);
+                // A known topic0 with another layout (e.g. an ERC-721 Transfer,
+                // which indexes the token id) falls through to the custom codecs
+                const decoded = eventType ? this._decodeCommonEvent(eventType, log) : null;
                 
-                if (eventType) {
-                    const decoded = this._decodeCommonEvent(eventType, log);
-                    if (decoded) {
-                        // Ensure each log has its own unique properties
-                        decoded.contractAddress = log.address;
-                        decoded.blockNumber = log.blockNumber;
-                        decoded.transactionHash = log.transactionHash;
-                        decoded.logIndex = log.logIndex;
-                        decoded.removed = log.removed;
-                        
-                        this._categorizeDecodedLog(decoded, decodedLogs);
-                    }
+                if (decoded) {
+                    // Ensure each log has its own unique properties
+                    decoded.contractAddress = log.address;
+                    decoded.blockNumber = log.blockNumber;
+                    decoded.transactionHash = log.transactionHash;
+                    decoded.logIndex = log.logIndex;
+                    decoded.removed = log.removed;
+                    
+                    this._categorizeDecodedLog(decoded, decodedLogs);
                 } else {
                     // Try custom codecs
                     const customDecoded = this._tryCustomCodecs(log);
@@ -161,9 +161,11 @@ class LogDecoder {
     }
 
     // Private methods for optimization
+    // Returns null when the log does not have the expected layout
     _decodeCommonEvent(eventType, log) {
         // For Transfer events, manually decode the indexed parameters from topics
         if (eventType === 'ERC20_TRANSFER') {
+            if (log.topics.length !== 3) return null;
             return {
                 name: 'Transfer',
                 args: {
@@ -176,7 +178,11 @@ class LogDecoder {
         
         // For other events, use the codec
         const codec = getCodec(eventType);
-        return codec.decodeLog(log.data, log.topics);
+        try {
+            return codec.decodeLog(log.data, log.topics);
+        } catch (error) {
+            return null;
+        }
     }
 
     _tryCustomCodecs(log) {
@@ -0,0 +1,103 @@
+import type Decoder from './decoder.js';
+import type Encoder from './encoder.js';
+import type { Result } from './result.js';
+import type {
+  AbiFragment,
+  AbiInput,
+  AbiParameter,
+  CallOptions,
+  CodecOptions,
+  DecodedError,
+  DecodedEvent,
+  DecodedNumber,
+  DecodedReceiptLog,
+  DecoderCacheStats,
+  EncoderCacheStats,
+  EventLog,
+  FilterTopic,
+  Numeric,
+  Receipt,
+  StateMutability
+} from './types.js';
+
+export interface FunctionInfo {
+  name: string;
+  signature: string;
+  selector: string;
+  inputs: readonly AbiParameter[];
+  outputs: readonly AbiParameter[];
+  stateMutability: StateMutability;
+  fragment: AbiFragment;
+}
+
+export interface EventInfo {
+  name: string;
+  signature: string;
+  topic: string;
+  inputs: readonly AbiParameter[];
+  anonymous: boolean;
+  fragment: AbiFragment;
+}
+
+// parseTransaction result; name, signature, args and stateMutability are
+// null for selectors not in the ABI
+export interface ParsedTransaction {
+  name: string | null;
+  signature: string | null;
+  selector: string | null;
+  args: Result | null;
+  value: DecodedNumber;
+  stateMutability: StateMutability | null;
+}
+
+export type AbiFormat = 'human' | 'minimal' | 'json' | 'sighash';
+
+// A topic, signature or bare name, or the event fragment itself (JSON or
+// "event Transfer(...)") to pick between events sharing a signature
+export type EventKey = string | AbiFragment;
+
+// Event arguments in ABI input order, or keyed by input name
+export type EventArgs = readonly unknown[] | Record<string, unknown>;
+
+export class ABICodec {
+  constructor(abi: AbiInput, options?: CodecOptions);
+
+  readonly abi: AbiFragment[];
+  readonly encoder: Encoder;
+  readonly decoder: Decoder;
+  readonly options: CodecOptions;
+
+  // Lookups by selector/topic, canonical signature or unambiguous bare name
+  getFunction(key: string): FunctionInfo;
+  getEvent(key: EventKey): EventInfo;
+
+  encodeFunction(nameOrSelector: string, params?: readonly unknown[]): string;
+  decodeFunction(nameOrSelector: string, data: string, options?: CallOptions): Result;
+  parseTransaction(tx: { data: string; value?: Numeric }, options?: CallOptions): ParsedTransaction;
+  decodeFunctionResult(nameOrSelector: string, data: string, options?: CallOptions): Result;
+
+  // Creation bytecode followed by the encoded constructor arguments
+  encodeDeploy(bytecode: string, args?: readonly unknown[]): string;
+  decodeDeployArgs(creationInput: string, bytecode: string, options?: CallOptions): Result;
+
+  // Anonymous events must be named
+  decodeLog(data: string, topics: readonly string[], nameOrTopic0?: EventKey, options?: CallOptions): DecodedEvent;
+  encodeFilterTopics(eventName: EventKey, values?: EventArgs | null): FilterTopic[];
+  encodeEventLog(eventName: EventKey, args: EventArgs): EventLog;
+
+  decodeError(data: string, options?: CallOptions): DecodedError;
+  parseRevert(data: string, options?: CallOptions): DecodedError | null;
+
+  decodeReceiptLogs(receipt: Receipt | null | undefined, options?: CallOptions): DecodedReceiptLog[];
+  decodeMultipleReceipts(receipts: readonly Receipt[], options?: CallOptions): DecodedReceiptLog[];
+  filterLogsByEvent<T extends { name: string }>(decodedLogs: readonly T[], eventName: string): T[];
+  getKnownEventTopics(): string[];
+
+  format(kind?: 'human' | 'sighash'): string[];
+  format(kind: 'minimal' | 'json'): string;
+
+  getCacheStats(): { encoder: EncoderCacheStats; decoder: DecoderCacheStats };
+  clearCache(): void;
+}
+
+export default ABICodec;
@@ -1,29 +1,142 @@
 import { keccak256, toUtf8Bytes } from './crypto-utils.js';
 import Encoder from './encoder.js';
 import Decoder from './decoder.js';
-import { parseABI, getFunctionSelector, getEventSelector } from './utils.js';
+import { parseABI, isHex, getFunctionSelector, getEventSelector, getFunctionSignature, getEventSignature } from './utils.js';
+import { decodeError, parseRevert } from './revert-utils.js';
+import { formatFragment, minimizeFragment, getMutability } from './abi-parser.js';
+
+// Output formats of ABICodec.format
+const ABI_FORMATS = ['human', 'minimal', 'json', 'sighash'];
+
+function addOverload(names, item) {
+  if (!names.has(item.name)) {
+    names.set(item.name, []);
+  }
+  names.get(item.name).push(item);
+}
+
+// Look up a fragment by selector/topic (case-insensitive), canonical
+// signature or bare name. Bare names shared by overloads are rejected with
+// the list of candidates.
+function resolveFragment(fragments, names, key, kind, getSignature) {
+  if (typeof key === 'string') {
+    const normalized = key.startsWith('0x') ? key.toLowerCase() : key.replace(/\s+/g, '');
+    const fragment = fragments.get(normalized);
+    if (fragment) return fragment;
+
+    const overloads = names.get(key);
+    if (overloads && overloads.length === 1) return overloads[0];
+    if (overloads) {
+      const candidates = overloads.map(getSignature).join(', ');
+      throw new Error(`Ambiguous ${kind.toLowerCase()} name "${key}", use the signature or selector: ${candidates}`);
+    }
+  }
+  throw new Error(`${kind} not found: ${key}`);
+}
+
+// An event given as a fragment (JSON or "event Transfer(...)") rather than
+// a topic, signature or name
+function isEventFragment(key) {
+  return (key !== null && typeof key === 'object') || (typeof key === 'string' && /^event\s/.test(key.trim()));
+}
+
+// Which inputs are indexed, and whether the event is anonymous
+function getIndexedLayout(event) {
+  return `${event.anonymous === true}:${event.inputs.map(input => input.indexed === true).join()}`;
+}
+
+// Event argument values in ABI input order
+function getEventArgValues(event, args) {
+  if (Array.isArray(args)) {
+    if (args.length !== event.inputs.length) {
+      throw new Error(`Argument count mismatch for ${event.name}: expected ${event.inputs.length}, got ${args.length}`);
+    }
+    return args;
+  }
+  if (args === null || typeof args !== 'object') {
+    throw new Error(`Expected array or object of event arguments, got: ${typeof args}`);
+  }
+  return event.inputs.map((input, i) => {
+    if (!input.name || !(input.name in args)) {
+      throw new Error(`Missing event argument: ${input.name || i}`);
+    }
+    return args[input.name];
+  });
+}
+
+// Pair each indexed event input with its filter value
+function getIndexedFilterValues(event, values) {
+  // null matches every value, like {}
+  if (values === null || values === undefined) {
+    return event.inputs.filter(input => input.indexed).map(input => ({ input, value: null }));
+  }
+  if (typeof values !== 'object') {
+    throw new Error(`Invalid filter values for ${event.name}: expected an array, an object or null`);
+  }
+  if (Array.isArray(values)) {
+    if (values.length > event.inputs.length) {
+      throw new Error(`Too many filter values for ${event.name}: expected at most ${event.inputs.length}, got ${values.length}`);
+    }
+    return event.inputs
+      .map((input, i) => {
+        if (!input.indexed && values[i] !== null && values[i] !== undefined) {
+          throw new Error(`Cannot filter on non-indexed parameter: ${input.name || i}`);
+        }
+        return { input, value: values[i] };
+      })
+      .filter(({ input }) => input.indexed);
+  }
+
+  for (const key of Object.keys(values)) {
+    const input = event.inputs.find(candidate => candidate.name === key);
+    if (!input) {
+      throw new Error(`Unknown parameter for ${event.name}: ${key}`);
+    }
+    if (!input.indexed) {
+      throw new Error(`Cannot filter on non-indexed parameter: ${key}`);
+    }
+  }
+  return event.inputs
+    .filter(input => input.indexed)
+    .map(input => ({ input, value: input.name ? values[input.name] : undefined }));
+}
 
 class ABICodec {
-  constructor(abi) {
+  // options are passed to the Decoder, e.g. { strict: true } for untrusted data
+  // or { numberFormat: 'bigint' } for integer output. Cache options
+  // ({ cache: false } or { cacheSize: n }) apply to both Encoder and Decoder.
+  constructor(abi, options = {}) {
     this.abi = parseABI(abi);
+    // Fragments keyed by selector/topic and by canonical signature
     this.functions = new Map();
     this.events = new Map();
+    this.errors = new Map();
+    // Bare names map to every overload, so ambiguous lookups can be detected
+    this.functionNames = new Map();
+    this.eventNames = new Map();
+    // Events sharing a signature but indexing different inputs (ERC-20 vs
+    // ERC-721 Transfer), keyed by canonical signature
+    this.eventLayouts = new Map();
+    // Contracts without an explicit constructor take no deploy arguments
+    this.constructorFragment = this.abi.find(item => item.type === 'constructor') ||
+      { type: 'constructor', inputs: [], stateMutability: 'nonpayable' };
     
-    // Pre-compile function and event info for performance
+    // Pre-compile function, event and error info for performance
     this._compileFunctions();
     this._compileEvents();
+    this._compileErrors();
     
-    this.encoder = new Encoder();
-    this.decoder = new Decoder();
+    this.encoder = new Encoder(options);
+    this.decoder = new Decoder(options);
+    this.options = options;
   }
   
   _compileFunctions() {
     for (const item of this.abi) {
       if (item.type === 'function') {
-        const selector = getFunctionSelector(item);
-        this.functions.set(selector, item);
-        // Also map by name for convenience
-        this.functions.set(item.name, item);
+        this.functions.set(getFunctionSelector(item), item);
+        this.functions.set(getFunctionSignature(item), item);
+        addOverload(this.functionNames, item);
       }
     }
   }
@@ -31,20 +144,101 @@ class ABICodec {
   _compileEvents() {
     for (const item of this.abi) {
       if (item.type === 'event') {
-        const selector = getEventSelector(item);
-        this.events.set(selector, item);
-        // Also map by name for convenience
-        this.events.set(item.name, item);
+        const signature = getEventSignature(item);
+        // Anonymous events emit no signature topic, so they are only
+        // reachable by name or signature. The topic goes to the first
+        // regular layout, even when an anonymous one is declared before it.
+        const topic = getEventSelector(item);
+        if (!item.anonymous && !this.events.has(topic)) {
+          this.events.set(topic, item);
+        }
+
+        if (this.eventLayouts.has(signature)) {
+          this.eventLayouts.get(signature).push(item);
+          continue;
+        }
+
+        this.eventLayouts.set(signature, [item]);
+        this.events.set(signature, item);
+        addOverload(this.eventNames, item);
+      }
+    }
+  }
+  
+  _compileErrors() {
+    for (const item of this.abi) {
+      if (item.type === 'error') {
+        // Custom errors are selected like functions
+        this.errors.set(getFunctionSelector(item), item);
+        this.errors.set(getFunctionSignature(item), item);
+      }
+    }
+  }
+  
+  // Resolve a function by selector, signature or unambiguous bare name
+  _getFunctionFragment(key) {
+    return resolveFragment(this.functions, this.functionNames, key, 'Function', getFunctionSignature);
+  }
+  
+  // Resolve an event by topic, signature or unambiguous bare name. Events
+  // that share a signature but index different inputs (ERC-20 and ERC-721
+  // Transfer) are told apart by passing the fragment itself.
+  _getEventFragment(key) {
+    if (isEventFragment(key)) {
+      const [event] = parseABI([key]);
+      if (!event || event.type !== 'event') {
+        throw new Error(`Expected an event fragment: ${JSON.stringify(key)}`);
       }
+      const layouts = this.eventLayouts.get(getEventSignature(event)) || [];
+      const layout = layouts.find(candidate => getIndexedLayout(candidate) === getIndexedLayout(event));
+      if (!layout) {
+        throw new Error(`Event not found: ${getEventSignature(event)} with this indexed layout`);
+      }
+      return layout;
     }
+    return resolveFragment(this.events, this.eventNames, key, 'Event', getEventSignature);
+  }
+  
+  // The layout of an event whose indexed inputs match the number of topics.
+  // Falls back to `event` itself so the decoder reports the mismatch.
+  _getEventLayout(event, topics) {
+    const count = Array.isArray(topics) ? topics.length : 0;
+    const layouts = this.eventLayouts.get(getEventSignature(event)) || [event];
+    const match = layouts.find(layout =>
+      layout.inputs.filter(input => input.indexed).length + (layout.anonymous ? 0 : 1) === count);
+    return match || event;
+  }
+  
+  // Function metadata for a selector, signature or unambiguous bare name
+  getFunction(key) {
+    const func = this._getFunctionFragment(key);
+    return {
+      name: func.name,
+      signature: getFunctionSignature(func),
+      selector: getFunctionSelector(func),
+      inputs: func.inputs,
+      outputs: func.outputs || [],
+      stateMutability: getMutability(func),
+      fragment: func
+    };
+  }
+  
+  // Event metadata for a topic, signature or unambiguous bare name
+  getEvent(key) {
+    const event = this._getEventFragment(key);
+    return {
+      name: event.name,
+      signature: getEventSignature(event),
+      topic: getEventSelector(event),
+      inputs: event.inputs,
+      anonymous: event.anonymous === true,
+      fragment: event
+    };
   }
   
   // Encode function call data
   encodeFunction(nameOrSelector, params = []) {
-    const func = this.functions.get(nameOrSelector);
-    if (!func) {
-      throw new Error(`Function not found: ${nameOrSelector}`);
-    }
+    const func = this._getFunctionFragment(nameOrSelector);
     
     // Always get the proper function selector, regardless of input type
     const selector = getFunctionSelector(func);
@@ -54,46 +248,157 @@ class ABICodec {
   }
   
   // Decode function call data
-  decodeFunction(nameOrSelector, data) {
-    const func = this.functions.get(nameOrSelector);
-    if (!func) {
-      throw new Error(`Function not found: ${nameOrSelector}`);
-    }
+  // options.numberFormat overrides the codec's integer output format
+  decodeFunction(nameOrSelector, data, options = {}) {
+    const func = this._getFunctionFragment(nameOrSelector);
     
     // Remove function selector (first 4 bytes)
     const paramData = '0x' + data.slice(10);
-    return this.decoder.decodeParameters(func.inputs, paramData);
+    return this.decoder.decodeParameters(func.inputs, paramData, options);
   }
   
-  // Decode function return data
-  decodeFunctionResult(nameOrSelector, data) {
-    const func = this.functions.get(nameOrSelector);
+  // Identify and decode calldata by its 4-byte selector. Returns
+  // { name, signature, selector, args, value, stateMutability }; for selectors
+  // not in the ABI (or data without one) name, signature, args and
+  // stateMutability are null instead of throwing.
+  parseTransaction({ data, value = 0 }, options = {}) {
+    const selector = typeof data === 'string' && data.length >= 10 ? data.slice(0, 10).toLowerCase() : null;
+    const func = selector ? this.functions.get(selector) : undefined;
+    const formattedValue = this.decoder.formatNumber(value, options);
+
     if (!func) {
-      throw new Error(`Function not found: ${nameOrSelector}`);
+      return { name: null, signature: null, selector, args: null, value: formattedValue, stateMutability: null };
     }
+
+    return {
+      name: func.name,
+      signature: getFunctionSignature(func),
+      selector,
+      args: this.decodeFunction(selector, data, options),
+      value: formattedValue,
+      stateMutability: getMutability(func)
+    };
+  }
+  
+  // Decode function return data
+  decodeFunctionResult(nameOrSelector, data, options = {}) {
+    const func = this._getFunctionFragment(nameOrSelector);
     
-    return this.decoder.decodeParameters(func.outputs || [], data);
+    return this.decoder.decodeParameters(func.outputs || [], data, options);
   }
   
-  // Decode event log
-  decodeLog(data, topics, nameOrTopic0) {
-    let event;
+  // Contract creation data: creation bytecode followed by the ABI-encoded
+  // constructor arguments
+  encodeDeploy(bytecode, args = []) {
+    if (!isHex(bytecode) || bytecode.length % 2 !== 0) {
+      throw new Error('Invalid bytecode: expected 0x-prefixed hex');
+    }
     
-    if (nameOrTopic0) {
-      event = this.events.get(nameOrTopic0);
-    } else if (topics && topics.length > 0) {
-      event = this.events.get(topics[0]);
+    const encoded = this.encoder.encodeParameters(this.constructorFragment.inputs, args);
+    return bytecode + encoded.slice(2);
+  }
+  
+  // Recover the constructor arguments from a contract-creation transaction's
+  // input, given the creation bytecode it was deployed with
+  decodeDeployArgs(creationInput, bytecode, options = {}) {
+    if (!isHex(creationInput) || !isHex(bytecode)) {
+      throw new Error('Invalid creation input or bytecode: expected 0x-prefixed hex');
     }
     
-    if (!event) {
-      throw new Error(`Event not found: ${nameOrTopic0 || topics[0]}`);
+    const code = bytecode.toLowerCase();
+    const input = creationInput.toLowerCase();
+    if (!input.startsWith(code)) {
+      throw new Error('Creation input does not start with the given bytecode');
     }
     
-    return this.decoder.decodeLog(event, data, topics);
+    const argsData = '0x' + input.slice(code.length);
+    return this.decoder.decodeParameters(this.constructorFragment.inputs, argsData, options);
+  }
+  
+  // Decode event log. Anonymous events have no signature topic and must be
+  // named; every topic is then an indexed argument.
+  decodeLog(data, topics, nameOrTopic0, options = {}) {
+    const event = this._getEventFragment(nameOrTopic0 || (topics && topics[0]));
+    // An explicit fragment fixes the layout; otherwise it is picked by topic count
+    const layout = isEventFragment(nameOrTopic0) ? event : this._getEventLayout(event, topics);
+    
+    return this.decoder.decodeLog(layout, data, topics, options);
+  }
+  
+  // Topics array for eth_getLogs. `values` is an object keyed by indexed input
+  // name, or an array over all event inputs with null for non-indexed ones.
+  // null/undefined matches any value, and for value types, strings and bytes
+  // an array of values matches any of them. Trailing wildcards are dropped.
+  encodeFilterTopics(eventName, values = {}) {
+    const event = this._getEventFragment(eventName);
+    const indexedValues = getIndexedFilterValues(event, values);
+
+    const topics = event.anonymous ? [] : [getEventSelector(event)];
+    for (const { input, value } of indexedValues) {
+      // Arrays and tuples take JS arrays as values, so they have no OR form
+      const { kind } = this.encoder.typePlans.get(input);
+      const isOrList = Array.isArray(value) && kind !== 'array' && kind !== 'tuple';
+
+      if (value === null || value === undefined) {
+        topics.push(null);
+      } else if (isOrList) {
+        topics.push(value.map(option => this.encoder.encodeTopic(input, option)));
+      } else {
+        topics.push(this.encoder.encodeTopic(input, value));
+      }
+    }
+
+    while (topics.length > 0 && topics[topics.length - 1] === null) {
+      topics.pop();
+    }
+    return topics;
+  }
+  
+  // Encode a log as a node emits it: { topics, data }. `args` is an array in
+  // ABI input order (a decoded Result works) or an object keyed by input name.
+  // Anonymous events have no signature topic.
+  encodeEventLog(eventName, args) {
+    const event = this._getEventFragment(eventName);
+    const values = getEventArgValues(event, args);
+
+    const topics = event.anonymous ? [] : [getEventSelector(event)];
+    const dataInputs = [];
+    const dataValues = [];
+    event.inputs.forEach((input, i) => {
+      if (input.indexed) {
+        topics.push(this.encoder.encodeTopic(input, values[i]));
+      } else {
+        dataInputs.push(input);
+        dataValues.push(values[i]);
+      }
+    });
+
+    return { topics, data: this.encoder.encodeParameters(dataInputs, dataValues) };
+  }
+  
+  // Decode revert data: Error(string), Panic(uint256) or a custom error from
+  // the ABI. Returns { name, signature, selector, args, reason }.
+  decodeError(data, options = {}) {
+    return decodeError(data, this.errors, this._getRevertDecoder(), options);
+  }
+  
+  // Like decodeError, but returns null when the data is not a recognised revert
+  parseRevert(data, options = {}) {
+    return parseRevert(data, this.errors, this._getRevertDecoder(), options);
+  }
+  
+  // Strict decoder with this codec's other options, matching revert-utils' strict default
+  _getRevertDecoder() {
+    if (!this.revertDecoder) {
+      this.revertDecoder = this.decoder.strict
+        ? this.decoder
+        : new Decoder({ ...this.options, strict: true });
+    }
+    return this.revertDecoder;
   }
   
   // Decode all logs in a receipt that match any ABI events
-  decodeReceiptLogs(receipt) {
+  decodeReceiptLogs(receipt, options = {}) {
     if (!receipt || !receipt.logs || !Array.isArray(receipt.logs)) {
       return [];
     }
@@ -108,12 +413,13 @@ class ABICodec {
         continue;
       }
       
-      const topic0 = log.topics[0];
+      const topic0 = log.topics[0].toLowerCase();
       const event = this.events.get(topic0);
       
       if (event) {
         try {
-          const decoded = this.decoder.decodeLog(event, log.data, log.topics);
+          const layout = this._getEventLayout(event, log.topics);
+          const decoded = this.decoder.decodeLog(layout, log.data, log.topics, options);
           decodedLogs.push({
             ...decoded,
             logIndex: i,
@@ -135,7 +441,7 @@ class ABICodec {
   }
   
   // Decode all logs from multiple receipts
-  decodeMultipleReceipts(receipts) {
+  decodeMultipleReceipts(receipts, options = {}) {
     if (!Array.isArray(receipts)) {
       throw new Error('Expected array of receipts');
     }
@@ -143,7 +449,7 @@ class ABICodec {
     const allDecodedLogs = [];
     
     for (const receipt of receipts) {
-      const decodedLogs = this.decodeReceiptLogs(receipt);
+      const decodedLogs = this.decodeReceiptLogs(receipt, options);
       allDecodedLogs.push(...decodedLogs);
     }
     
@@ -165,6 +471,37 @@ class ABICodec {
     }
     return topics;
   }
+
+  // Render the ABI as 'human' (array of human-readable fragments), 'minimal'
+  // (JSON string with only what encoding and decoding need), 'json' (full
+  // JSON string) or 'sighash' (array of canonical function, event and error
+  // signatures). Every format re-parses to the same selectors.
+  format(kind = 'human') {
+    switch (kind) {
+      case 'human':
+        return this.abi.map(formatFragment);
+      case 'minimal':
+        return JSON.stringify(this.abi.map(minimizeFragment));
+      case 'json':
+        return JSON.stringify(this.abi);
+      case 'sighash':
+        return this.abi
+          .filter(item => item.type === 'function' || item.type === 'event' || item.type === 'error')
+          .map(item => (item.type === 'event' ? getEventSignature(item) : getFunctionSignature(item)));
+      default:
+        throw new Error(`Unsupported ABI format: ${kind}. Expected one of: ${ABI_FORMATS.join(', ')}`);
+    }
+  }
+
+  // Encoder and decoder cache counters
+  getCacheStats() {
+    return { encoder: this.encoder.getCacheStats(), decoder: this.decoder.getCacheStats() };
+  }
+
+  clearCache() {
+    this.encoder.clearCache();
+    this.decoder.clearCache();
+  }
 }
 
 export { ABICodec };
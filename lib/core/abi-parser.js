@@ -0,0 +1,372 @@
+// Parser for human-readable ABI fragments, normalized into JSON ABI entries:
+//   "function balanceOf(address owner) view returns (uint256)"
+//   "event Transfer(address indexed from, address indexed to, uint256 value)"
+//   "error InsufficientBalance(uint256 available)"
+//   "struct Order { address maker; uint256 amount; }"
+// Struct declarations are not ABI entries themselves; they can be used as
+// parameter types in the other fragments of the same ABI.
+
+const FRAGMENT_KINDS = new Set(['function', 'event', 'error', 'constructor', 'fallback', 'receive']);
+const NAMED_KINDS = new Set(['function', 'event', 'error']);
+const MUTABILITIES = new Set(['pure', 'view', 'nonpayable', 'payable']);
+const VISIBILITIES = new Set(['external', 'public', 'internal', 'private', 'virtual', 'override']);
+const DATA_LOCATIONS = new Set(['memory', 'calldata', 'storage']);
+
+// Identifiers (with any attached array suffix), detached array suffixes and punctuation
+const tokenPattern = /\s*(?:([A-Za-z_$][\w$]*(?:\[\d*\])*)|((?:\[\d*\])+)|([(),;{}]))/y;
+const typeWithSuffixPattern = /^([^[]+)((?:\[\d*\])*)$/;
+const payablePattern = /^payable(?:\[\d*\])*$/;
+const structPattern = /^struct\s+([A-Za-z_$][\w$]*)\s*\{([\s\S]*)\}\s*;?$/;
+const intPattern = /^u?int(\d*)$/;
+const fixedBytesPattern = /^bytes(\d+)$/;
+
+// Parse an ABI given as an array of human-readable strings, possibly mixed
+// with JSON fragments (which are passed through unchanged)
+function parseHumanReadableABI(items) {
+  const structs = createStructRegistry(
+    items.filter(item => typeof item === 'string' && item.trim().startsWith('struct')));
+
+  return items
+    .filter(item => typeof item !== 'string' || !item.trim().startsWith('struct'))
+    .map(item => (typeof item === 'string' ? parseFragment(item, structs) : item));
+}
+
+// Parse a single human-readable fragment into a JSON ABI entry
+function parseFragment(signature, structs = createStructRegistry([])) {
+  const parser = new FragmentParser(signature, structs);
+  const kind = parser.next();
+  if (!FRAGMENT_KINDS.has(kind)) {
+    throw new Error(`Unknown fragment type "${kind}" in: ${signature}`);
+  }
+
+  const fragment = { type: kind };
+  if (NAMED_KINDS.has(kind)) {
+    fragment.name = parser.expectIdentifier();
+  }
+
+  const inputs = parser.parseParams(kind === 'event');
+  let outputs = [];
+  let stateMutability = 'nonpayable';
+  let anonymous = false;
+
+  while (!parser.done()) {
+    const token = parser.next();
+    if (token === 'returns' && kind === 'function') {
+      outputs = parser.parseParams(false);
+    } else if (MUTABILITIES.has(token) && kind !== 'event' && kind !== 'error') {
+      stateMutability = token;
+    } else if (token === 'constant' && kind === 'function') {
+      stateMutability = 'view';
+    } else if (token === 'anonymous' && kind === 'event') {
+      anonymous = true;
+    } else if (!VISIBILITIES.has(token)) {
+      throw new Error(`Unexpected "${token}" in: ${signature}`);
+    }
+  }
+
+  switch (kind) {
+    case 'function':
+      return { ...fragment, inputs, outputs, stateMutability };
+    case 'event':
+      return { ...fragment, inputs, anonymous };
+    case 'error':
+      return { ...fragment, inputs };
+    case 'constructor':
+      return { ...fragment, inputs, stateMutability };
+    default:
+      // fallback and receive take no parameters
+      if (inputs.length > 0) {
+        throw new Error(`${kind} cannot have parameters: ${signature}`);
+      }
+      return { ...fragment, stateMutability: kind === 'receive' ? 'payable' : stateMutability };
+  }
+}
+
+// Struct declarations, resolved on first use so they may reference each
+// other regardless of declaration order
+function createStructRegistry(declarations) {
+  const bodies = new Map();
+  const resolved = new Map();
+  const resolving = new Set();
+
+  const registry = {
+    has: name => bodies.has(name),
+    get(name) {
+      if (resolved.has(name)) return resolved.get(name);
+      if (resolving.has(name)) {
+        throw new Error(`Recursive struct: ${name}`);
+      }
+
+      resolving.add(name);
+      const components = new FragmentParser(bodies.get(name), registry).parseStructMembers();
+      resolving.delete(name);
+      resolved.set(name, components);
+      return components;
+    }
+  };
+
+  for (const declaration of declarations) {
+    const match = structPattern.exec(declaration.trim());
+    if (!match) {
+      throw new Error(`Invalid struct declaration: ${declaration}`);
+    }
+    if (bodies.has(match[1])) {
+      throw new Error(`Duplicate struct: ${match[1]}`);
+    }
+    bodies.set(match[1], match[2]);
+  }
+
+  return registry;
+}
+
+class FragmentParser {
+  constructor(text, structs) {
+    this.text = text;
+    this.structs = structs;
+    this.tokens = tokenize(text);
+    this.position = 0;
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    if (this.done()) {
+      throw new Error(`Unexpected end of fragment: ${this.text}`);
+    }
+    return this.tokens[this.position++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual !== token) {
+      throw new Error(`Expected "${token}" but found "${actual}" in: ${this.text}`);
+    }
+  }
+
+  expectIdentifier() {
+    const token = this.next();
+    if (!/^[A-Za-z_$][\w$]*$/.test(token)) {
+      throw new Error(`Expected a name but found "${token}" in: ${this.text}`);
+    }
+    return token;
+  }
+
+  // "(type name, ...)"
+  parseParams(allowIndexed) {
+    this.expect('(');
+    const params = [];
+    if (this.peek() === ')') {
+      this.next();
+      return params;
+    }
+
+    for (;;) {
+      params.push(this.parseParam(allowIndexed, [',', ')']));
+      if (this.next() === ')') return params;
+    }
+  }
+
+  // "type member; ..." inside a struct body
+  parseStructMembers() {
+    const members = [];
+    while (!this.done()) {
+      members.push(this.parseParam(false, [';']));
+      this.expect(';');
+    }
+    return members;
+  }
+
+  // A type followed by optional modifiers and name, up to one of `terminators`
+  parseParam(allowIndexed, terminators) {
+    const param = this.parseType();
+    let indexed = false;
+    let name = '';
+
+    while (!this.done() && !terminators.includes(this.peek())) {
+      const token = this.expectIdentifier();
+      if (token === 'indexed' && allowIndexed && !indexed && !name) {
+        indexed = true;
+      } else if (DATA_LOCATIONS.has(token) && !name) {
+        continue;
+      } else if (!name) {
+        name = token;
+      } else {
+        throw new Error(`Unexpected "${token}" in: ${this.text}`);
+      }
+    }
+
+    const result = { name, type: param.type };
+    if (param.internalType) result.internalType = param.internalType;
+    if (param.components) result.components = param.components;
+    if (allowIndexed) result.indexed = indexed;
+    return result;
+  }
+
+  parseType() {
+    let token = this.peek();
+    if (token === 'tuple' && this.tokens[this.position + 1] === '(') {
+      this.next();
+      token = '(';
+    }
+
+    if (token === '(') {
+      // Inline tuple: "(address to, uint256 amount)[]"
+      const components = this.parseParams(false);
+      return { type: 'tuple' + this.parseArraySuffix(), components };
+    }
+
+    let typeToken = this.next();
+    // "address payable" is a plain address in the ABI; any array suffix
+    // follows the modifier, as in "address payable[]"
+    if (typeToken === 'address' && !this.done() && payablePattern.test(this.peek())) {
+      typeToken += this.next().slice('payable'.length);
+    }
+
+    const match = typeWithSuffixPattern.exec(typeToken);
+    const suffix = match[2] + this.parseArraySuffix();
+    const base = match[1];
+
+    if (this.structs.has(base)) {
+      return {
+        type: 'tuple' + suffix,
+        internalType: `struct ${base}${suffix}`,
+        components: this.structs.get(base)
+      };
+    }
+
+    return { type: normalizeElementaryType(base, this.text) + suffix };
+  }
+
+  // Array suffix written after a closing parenthesis or separated by spaces
+  parseArraySuffix() {
+    let suffix = '';
+    while (!this.done() && this.peek().startsWith('[')) {
+      suffix += this.next();
+    }
+    return suffix;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  tokenPattern.lastIndex = 0;
+
+  while (tokenPattern.lastIndex < text.length) {
+    const start = tokenPattern.lastIndex;
+    const match = tokenPattern.exec(text);
+    if (!match) {
+      if (text.slice(start).trim() === '') break;
+      throw new Error(`Invalid character "${text.slice(start).trim()[0]}" in: ${text}`);
+    }
+    tokens.push(match[1] || match[2] || match[3]);
+  }
+
+  return tokens;
+}
+
+// Validate an elementary type and expand the uint/int aliases
+function normalizeElementaryType(type, text) {
+  if (type === 'address' || type === 'bool' || type === 'string' || type === 'bytes') {
+    return type;
+  }
+
+  let match = intPattern.exec(type);
+  if (match) {
+    const bits = match[1] === '' ? 256 : parseInt(match[1]);
+    if (bits % 8 === 0 && bits >= 8 && bits <= 256) {
+      return `${type.startsWith('u') ? 'uint' : 'int'}${bits}`;
+    }
+  }
+
+  match = fixedBytesPattern.exec(type);
+  if (match && parseInt(match[1]) >= 1 && parseInt(match[1]) <= 32) {
+    return type;
+  }
+
+  throw new Error(`Invalid type "${type}" in: ${text}`);
+}
+
+// Render a JSON ABI entry as a human-readable fragment that parseFragment
+// accepts. Tuples are written inline as "tuple(...)".
+function formatFragment(fragment) {
+  const inputs = formatParams(fragment.inputs || [], fragment.type === 'event');
+  const mutability = getMutability(fragment);
+
+  switch (fragment.type) {
+    case 'function': {
+      let text = `function ${fragment.name}${inputs}`;
+      if (mutability !== 'nonpayable') text += ` ${mutability}`;
+      if (fragment.outputs && fragment.outputs.length > 0) {
+        text += ` returns ${formatParams(fragment.outputs, false)}`;
+      }
+      return text;
+    }
+    case 'event':
+      return `event ${fragment.name}${inputs}${fragment.anonymous ? ' anonymous' : ''}`;
+    case 'error':
+      return `error ${fragment.name}${inputs}`;
+    case 'constructor':
+      return `constructor${inputs}${mutability === 'payable' ? ' payable' : ''}`;
+    case 'fallback':
+      return `fallback() external${mutability === 'payable' ? ' payable' : ''}`;
+    case 'receive':
+      return 'receive() external payable';
+    default:
+      throw new Error(`Unsupported fragment type: ${fragment.type}`);
+  }
+}
+
+function formatParams(params, allowIndexed) {
+  return `(${params.map(param => formatParam(param, allowIndexed)).join(', ')})`;
+}
+
+function formatParam(param, allowIndexed) {
+  let text = formatType(param);
+  if (allowIndexed && param.indexed) text += ' indexed';
+  if (param.name) text += ` ${param.name}`;
+  return text;
+}
+
+function formatType(param) {
+  if (!param.type.startsWith('tuple')) {
+    return param.type;
+  }
+  return `tuple${formatParams(param.components, false)}${param.type.slice('tuple'.length)}`;
+}
+
+// Older ABIs only carry the `constant` and `payable` flags
+function getMutability(fragment) {
+  if (fragment.stateMutability) return fragment.stateMutability;
+  if (fragment.constant) return 'view';
+  return fragment.payable ? 'payable' : 'nonpayable';
+}
+
+// Strip a JSON ABI entry down to what encoding and decoding need: no
+// internalType, mutability, gas or default-valued flags
+function minimizeFragment(fragment) {
+  const minimal = { type: fragment.type };
+  if (fragment.name) minimal.name = fragment.name;
+  if (fragment.inputs) minimal.inputs = fragment.inputs.map(minimizeParam);
+  if (fragment.outputs && fragment.outputs.length > 0) {
+    minimal.outputs = fragment.outputs.map(minimizeParam);
+  }
+  if (fragment.anonymous) minimal.anonymous = true;
+  return minimal;
+}
+
+function minimizeParam(param) {
+  const minimal = {};
+  if (param.name) minimal.name = param.name;
+  minimal.type = param.type;
+  if (param.components) minimal.components = param.components.map(minimizeParam);
+  if (param.indexed) minimal.indexed = true;
+  return minimal;
+}
+
+export { parseHumanReadableABI, parseFragment, formatFragment, minimizeFragment, getMutability };
@@ -0,0 +1,11 @@
+import type { AbiInput } from './types.js';
+
+export interface CodegenOptions {
+  // Contract name, used for the ABI constant and the grouped object (default "Contract")
+  name?: string;
+  // Module ABICodec is imported from (default "@bcoders.gr/abi-toolkit")
+  importPath?: string;
+}
+
+// TypeScript source of a typed wrapper module for `abi`
+export function generateTypeScript(abi: AbiInput, options?: CodegenOptions): string;
@@ -0,0 +1,255 @@
+// Generate a typed TypeScript wrapper module for an ABI, in the style of the
+// hand-written modules in lib/common: per-function `encodeX` /
+// `decodeXResult`, per-event `decodeXEvent`, and an object grouping them.
+// Integers are typed as bigint (the generated codec decodes with
+// numberFormat: 'bigint'), addresses and bytes as `0x${string}`, and
+// structs become interfaces named after their internalType.
+
+import { parseABI, getFunctionSignature, getEventSignature } from './utils.js';
+import { minimizeFragment } from './abi-parser.js';
+import { Result } from './result.js';
+
+const DEFAULT_IMPORT_PATH = '@bcoders.gr/abi-toolkit';
+const HEX = '`0x${string}`';
+
+// Words that cannot be used as parameter names in the generated code
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'implements', 'interface',
+  'package', 'private', 'protected', 'public', 'await', 'arguments', 'eval', 'codec'
+]);
+
+const arrayPattern = /^(.*)\[(\d*)\]$/;
+const structNamePattern = /^struct\s+(?:([\w$]+)\.)?([\w$]+)/;
+
+// Generate the TypeScript source for `abi`. options.name names the contract
+// (e.g. "Informer"), options.importPath is where ABICodec is imported from.
+function generateTypeScript(abi, options = {}) {
+  const name = options.name || 'Contract';
+  if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+    throw new Error(`Invalid contract name: ${name}`);
+  }
+
+  const fragments = parseABI(abi);
+  const generator = new ModuleGenerator(name, options.importPath || DEFAULT_IMPORT_PATH);
+  return generator.generate(fragments);
+}
+
+class ModuleGenerator {
+  constructor(name, importPath) {
+    this.name = name;
+    this.importPath = importPath;
+    this.abiConstant = `${toConstantCase(name)}_ABI`;
+    // Struct interfaces by name, in order of first use
+    this.structs = new Map();
+    this.usesIndexed = false;
+  }
+
+  generate(fragments) {
+    const functions = fragments.filter(item => item.type === 'function');
+    const events = fragments.filter(item => item.type === 'event');
+    const functionNames = getExportNames(functions, getFunctionSignature);
+    const eventNames = getExportNames(events, getEventSignature);
+
+    // Bodies first, so every struct and import they use is known
+    const functionCode = functions.map((func, i) => this.generateFunction(func, functionNames[i]));
+    const eventCode = events.map((event, i) => this.generateEvent(event, eventNames[i]));
+
+    const imports = this.usesIndexed ? 'ABICodec, type AbiFragment, type Indexed' : 'ABICodec, type AbiFragment';
+    const sections = [
+      `// Generated by @bcoders.gr/abi-toolkit from the ${this.name} ABI. Do not edit.\n` +
+      `import { ${imports} } from '${this.importPath}';`,
+      `export const ${this.abiConstant}: AbiFragment[] = ${JSON.stringify(fragments.map(minimizeFragment), null, 2)};`,
+      `const codec = new ABICodec(${this.abiConstant}, { numberFormat: 'bigint' });`,
+      ...Array.from(this.structs.values(), struct => struct.code),
+      ...functionCode,
+      ...eventCode,
+      this.generateGroup(functions, functionNames, eventNames)
+    ];
+    return sections.join('\n\n') + '\n';
+  }
+
+  generateFunction(func, exportName) {
+    const signature = getFunctionSignature(func);
+    const params = getParamNames(func.inputs);
+    const args = func.inputs.map((input, i) => `${params[i]}: ${this.getType(input)}`).join(', ');
+    const blocks = [
+      `// ${signature}\n` +
+      `export function encode${exportName}(${args}): ${HEX} {\n` +
+      `  return codec.encodeFunction('${signature}', [${params.join(', ')}]) as ${HEX};\n` +
+      '}'
+    ];
+
+    const outputs = func.outputs || [];
+    if (outputs.length === 1) {
+      blocks.push(
+        `export function decode${exportName}Result(data: string): ${this.getType(outputs[0])} {\n` +
+        `  return codec.decodeFunctionResult('${signature}', data)[0];\n` +
+        '}');
+    } else if (outputs.length > 1) {
+      const fields = getParamNames(outputs, 'output', false);
+      const resultType = `${exportName}Result`;
+      blocks.push(
+        `export interface ${resultType} {\n` +
+        outputs.map((output, i) => `  ${fields[i]}: ${this.getType(output)};\n`).join('') +
+        '}\n\n' +
+        `export function decode${exportName}Result(data: string): ${resultType} {\n` +
+        `  const result = codec.decodeFunctionResult('${signature}', data);\n` +
+        `  return { ${fields.map((field, i) => `${field}: result[${i}]`).join(', ')} };\n` +
+        '}');
+    }
+    return blocks.join('\n\n');
+  }
+
+  generateEvent(event, exportName) {
+    const signature = getEventSignature(event);
+    const fields = getParamNames(event.inputs, 'arg', false);
+    const eventType = `${exportName}Event`;
+
+    return `export interface ${eventType} {\n` +
+      event.inputs.map((input, i) => `  ${fields[i]}: ${this.getType(input, input.indexed)};\n`).join('') +
+      '}\n\n' +
+      `// ${signature}${event.anonymous ? ' (anonymous)' : ''}\n` +
+      `export function decode${eventType}(log: { data: string; topics: readonly string[] }): ${eventType} {\n` +
+      `  const { args } = codec.decodeLog(log.data, log.topics, '${signature}');\n` +
+      `  return { ${fields.map((field, i) => `${field}: args[${i}]`).join(', ')} };\n` +
+      '}';
+  }
+
+  // Grouped encoders and decoders, like the objects in lib/common
+  generateGroup(functions, functionNames, eventNames) {
+    const encoders = functionNames.map(name => `  ${toCamelCase(name)}: encode${name}`);
+    const decoders = functionNames
+      .filter((name, i) => (functions[i].outputs || []).length > 0)
+      .map(name => `    ${toCamelCase(name)}: decode${name}Result`);
+    const events = eventNames.map(name => `    ${name}: decode${name}Event`);
+
+    return `export const ${toCamelCase(this.name)} = {\n` +
+      [
+        `  abi: ${this.abiConstant}`,
+        '  codec',
+        ...encoders,
+        `  decode: {${formatEntries(decoders)}}`,
+        `  events: {${formatEntries(events)}}`
+      ].join(',\n') +
+      '\n};';
+  }
+
+  // TypeScript type of a parameter. Indexed strings, bytes, arrays and
+  // tuples are only available as their topic hash.
+  getType(param, indexed = false) {
+    if (indexed && (param.type === 'string' || param.type === 'bytes' ||
+        param.type.endsWith(']') || param.type.startsWith('tuple'))) {
+      this.usesIndexed = true;
+      return 'Indexed';
+    }
+
+    const array = arrayPattern.exec(param.type);
+    if (array) {
+      const element = this.getType({ ...param, type: array[1], internalType: stripArraySuffix(param.internalType) });
+      return `readonly ${element.startsWith('readonly') ? `(${element})` : element}[]`;
+    }
+
+    if (param.type === 'tuple') {
+      return this.getStructType(param);
+    }
+    if (/^u?int\d*$/.test(param.type)) return 'bigint';
+    if (param.type === 'bool') return 'boolean';
+    if (param.type === 'string') return 'string';
+    if (param.type === 'address' || /^bytes\d*$/.test(param.type)) return HEX;
+
+    throw new Error(`Unsupported type: ${param.type}`);
+  }
+
+  // Named structs become interfaces; anonymous tuples are written inline
+  getStructType(param) {
+    const components = param.components || [];
+    const match = structNamePattern.exec(param.internalType || '');
+    const named = components.length > 0 && components.every(component => component.name);
+
+    if (!named) {
+      return `readonly [${components.map(component => this.getType(component)).join(', ')}]`;
+    }
+
+    // Decoded structs are Results, which only expose names that are unique
+    // and do not shadow an Array or Result member
+    const label = match ? match[2] : `(${components.map(component => component.name).join(', ')})`;
+    components.forEach((component, i) => {
+      if (component.name in Result.prototype) {
+        throw new Error(`Cannot type struct ${label}: field "${component.name}" shadows a member of the decoded Result`);
+      }
+      if (components.findIndex(other => other.name === component.name) !== i) {
+        throw new Error(`Cannot type struct ${label}: duplicate field "${component.name}"`);
+      }
+    });
+
+    const fields = components.map(component => `  ${component.name}: ${this.getType(component)};\n`).join('');
+    if (!match) {
+      return `{ ${fields.trim().replace(/\n\s*/g, ' ')} }`;
+    }
+
+    const key = fields;
+    // Same name, different layout: qualify with the declaring contract, then
+    // number it (Order2, Order3...) until the name is free or has this layout
+    const candidates = [match[2]];
+    if (match[1]) candidates.push(match[1] + match[2]);
+    let structName = candidates.find(name => !this.structs.has(name) || this.structs.get(name).key === key);
+    for (let n = 2; !structName; n++) {
+      const numbered = `${match[2]}${n}`;
+      if (!this.structs.has(numbered) || this.structs.get(numbered).key === key) structName = numbered;
+    }
+    if (!this.structs.has(structName)) {
+      this.structs.set(structName, { key, code: `export interface ${structName} {\n${fields}}` });
+    }
+    return structName;
+  }
+}
+
+// PascalCase export names; overloads are suffixed with their parameter types
+function getExportNames(fragments, getSignature) {
+  const counts = new Map();
+  for (const fragment of fragments) {
+    counts.set(fragment.name, (counts.get(fragment.name) || 0) + 1);
+  }
+
+  return fragments.map(fragment => {
+    const base = fragment.name.charAt(0).toUpperCase() + fragment.name.slice(1);
+    if (counts.get(fragment.name) === 1) return base;
+
+    const types = getSignature(fragment).slice(fragment.name.length + 1, -1);
+    return types ? `${base}_${types.replace(/[^\w]+/g, '_').replace(/^_+|_+$/g, '')}` : base;
+  });
+}
+
+// Unique names for parameters, unnamed ones become arg0, arg1... Names used
+// as function parameters (rather than object keys) must not be reserved.
+function getParamNames(params, prefix = 'arg', isIdentifier = true) {
+  const names = [];
+  params.forEach((param, i) => {
+    let name = param.name && /^[A-Za-z_$][\w$]*$/.test(param.name) ? param.name : `${prefix}${i}`;
+    if (isIdentifier && RESERVED_WORDS.has(name)) name += '_';
+    while (names.includes(name)) name += `_${i}`;
+    names.push(name);
+  });
+  return names;
+}
+
+function formatEntries(entries) {
+  return entries.length > 0 ? `\n${entries.join(',\n')}\n  ` : '';
+}
+
+function stripArraySuffix(internalType) {
+  return internalType ? internalType.replace(/\[\d*\]$/, '') : internalType;
+}
+
+function toConstantCase(name) {
+  return name.replace(/([a-z\d])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function toCamelCase(name) {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+export { generateTypeScript };
@@ -0,0 +1,58 @@
+/// <reference types="node" />
+import type { Result } from './result.js';
+import type {
+  AbiFragment,
+  AbiParameter,
+  CallOptions,
+  DecodedEvent,
+  DecodedNumber,
+  DecoderCacheStats,
+  DecoderOptions,
+  NumberFormat,
+  Numeric,
+  ParamType
+} from './types.js';
+
+// A decoded value and the offset of the next head word
+export interface DecodedParameter<T = any> {
+  value: T;
+  nextOffset: number;
+}
+
+declare class Decoder {
+  constructor(options?: DecoderOptions);
+
+  numberFormat: NumberFormat;
+  strict: boolean;
+  maxDynamicLength: number;
+  maxInflation: number;
+
+  getCacheStats(): DecoderCacheStats;
+  clearCache(): void;
+
+  decodeParameters(types: readonly ParamType[], data: string, options?: CallOptions): Result;
+
+  // Format an integer from outside the ABI data (e.g. a transaction value)
+  // like decoded integers
+  formatNumber(value: Numeric, options?: CallOptions): DecodedNumber;
+
+  // Topics must match the event's indexed inputs; hashed indexed arguments
+  // decode to Indexed markers
+  decodeLog(eventAbi: AbiFragment, data: string, topics: readonly string[], options?: CallOptions): DecodedEvent;
+
+  decodeParameter(type: ParamType, buffer: Buffer, offset: number): DecodedParameter;
+  decodeBool(buffer: Buffer, offset: number): DecodedParameter<boolean>;
+  decodeUint(buffer: Buffer, offset: number, bits?: number): DecodedParameter<DecodedNumber>;
+  decodeInt(buffer: Buffer, offset: number, bits?: number): DecodedParameter<DecodedNumber>;
+  decodeAddress(buffer: Buffer, offset: number): DecodedParameter<string>;
+  decodeFixedBytes(buffer: Buffer, offset: number, size: number): DecodedParameter<string>;
+  decodeBytes(buffer: Buffer, offset: number): DecodedParameter<string>;
+  decodeBytesAt(buffer: Buffer, offset: number): DecodedParameter<string>;
+  decodeString(buffer: Buffer, offset: number): DecodedParameter<string>;
+  decodeArray(type: ParamType, buffer: Buffer, offset: number): DecodedParameter<any[]>;
+  decodeTuple(type: ParamType, buffer: Buffer, offset: number): DecodedParameter<Result>;
+  parseTupleComponents(componentStr: string): AbiParameter[];
+  isDynamicType(type: ParamType): boolean;
+}
+
+export default Decoder;
@@ -1,94 +1,248 @@
-import { hexToBuffer, bufferToHex, padLeft, padRight, toBigInt, isHex } from './utils.js';
+import { hexToBuffer, bufferToHex, padLeft, padRight, toBigInt, isHex, getEventSelector, getEventSignature } from './utils.js';
+import { ABIDecodingError, DecodingErrorCode } from './errors.js';
+import { Result } from './result.js';
+import { Indexed } from './indexed.js';
+import { TypePlanCache, parseTupleComponents } from './type-plan.js';
+
+// Strict mode defaults
+const DEFAULT_MAX_DYNAMIC_LENGTH = 1000000;
+const DEFAULT_MAX_INFLATION = 16;
+
+const DEFAULT_CACHE_SIZE = 1000;
+
+// Output formats for decoded integers
+const NUMBER_FORMATS = ['string', 'bigint', 'hex', 'number'];
+
+// Indexed parameter kinds whose topic is a hash rather than the value
+const HASHED_TOPIC_KINDS = new Set(['string', 'bytes', 'array', 'tuple']);
 
 class Decoder {
-  constructor() {
-    // Cache for commonly decoded values and type checks
-    this.cache = new Map();
-    this.typeCache = new Map();
-    
-    // Pre-compile common type patterns for performance
-    this.uintRegex = /^uint(\d+)?$/;
-    this.intRegex = /^int(\d+)?$/;
-    this.bytesRegex = /^bytes(\d+)$/;
-    this.arrayRegex = /^(.+)\[(\d*)\]$/;
+  // options.strict: validate bounds and canonical encoding of untrusted data
+  // options.maxDynamicLength: cap for bytes/string/array lengths in strict mode
+  // options.maxInflation: cap on bytes read per byte of input in strict mode,
+  //   guarding against offsets that alias the same tail many times
+  // options.numberFormat: output of uintN/intN values, one of 'string'
+  //   (decimal, default), 'bigint', 'hex' or 'number' (throws past 2^53 - 1)
+  // options.cache: set to false to disable type plan caching
+  // options.cacheSize: maximum number of cached type plans (default 1000)
+  constructor(options = {}) {
+    this.numberFormat = this._validateNumberFormat(options.numberFormat ?? 'string');
+    this.strict = options.strict === true;
+    this.maxDynamicLength = options.maxDynamicLength ?? DEFAULT_MAX_DYNAMIC_LENGTH;
+    this.maxInflation = options.maxInflation ?? DEFAULT_MAX_INFLATION;
+    this._readBudget = Infinity;
+
+    // Parsed type descriptions. Decoded values are never cached: they depend
+    // on the whole payload, and Results are mutable objects.
+    const cacheSize = options.cache === false ? 0 : (options.cacheSize ?? DEFAULT_CACHE_SIZE);
+    this.typePlans = new TypePlanCache(cacheSize);
+  }
+
+  // Cache counters, e.g. for benchmarking
+  getCacheStats() {
+    return { types: this.typePlans.getStats() };
+  }
+
+  clearCache() {
+    this.typePlans.clear();
   }
 
   // Main decoding function for parameters
-  decodeParameters(types, data) {
+  // options.numberFormat overrides the instance setting for this call
+  decodeParameters(types, data, options = {}) {
     if (!data || data === '0x') {
-      return types.length === 0 ? [] : new Array(types.length).fill(null);
+      if (this.strict && types.length > 0) {
+        throw new ABIDecodingError(DecodingErrorCode.OUT_OF_BOUNDS, 'Empty data', 0);
+      }
+      return Result.fromValues(new Array(types.length).fill(null), this._getNames(types));
+    }
+
+    if (this.strict && data.length % 2 !== 0) {
+      throw new ABIDecodingError(DecodingErrorCode.NON_CANONICAL, 'Odd-length hex data', 0);
     }
 
     const buffer = hexToBuffer(data);
-    const results = [];
-    let staticOffset = 0;
+    const values = this._withCallOptions(options, () =>
+      this._withReadBudget(buffer, () => this._decodeSequence(types, buffer, 0).values));
+    return Result.fromValues(values, this._getNames(types));
+  }
+
+  // Parameter names for a Result, '' for string types and unnamed parameters
+  _getNames(types) {
+    return types.map(type => (typeof type === 'object' && type.name) || '');
+  }
+
+  // Apply per-call options for the duration of a synchronous decode
+  _withCallOptions(options, decodeFn) {
+    if (!options.numberFormat || options.numberFormat === this.numberFormat) {
+      return decodeFn();
+    }
+
+    const previousFormat = this.numberFormat;
+    this.numberFormat = this._validateNumberFormat(options.numberFormat);
+    try {
+      return decodeFn();
+    } finally {
+      this.numberFormat = previousFormat;
+    }
+  }
+
+  _validateNumberFormat(format) {
+    if (!NUMBER_FORMATS.includes(format)) {
+      throw new Error(`Unsupported number format: ${format}. Expected one of: ${NUMBER_FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+
+  // Format an integer from outside the ABI data (e.g. a transaction value)
+  // like decoded integers; options.numberFormat overrides the instance setting
+  formatNumber(value, options = {}) {
+    return this._withCallOptions(options, () => this._formatNumber(toBigInt(value)));
+  }
+
+  // Convert a decoded integer to the configured output format
+  _formatNumber(value) {
+    switch (this.numberFormat) {
+      case 'bigint':
+        return value;
+      case 'hex':
+        return value < 0n ? '-0x' + (-value).toString(16) : '0x' + value.toString(16);
+      case 'number':
+        if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < BigInt(Number.MIN_SAFE_INTEGER)) {
+          throw new Error(`Value ${value} overflows number output format`);
+        }
+        return Number(value);
+      default:
+        return value.toString();
+    }
+  }
+
+  // Limit the bytes a strict decode may read to a multiple of the input size
+  _withReadBudget(buffer, decodeFn) {
+    if (!this.strict) {
+      return decodeFn();
+    }
+
+    const previousBudget = this._readBudget;
+    this._readBudget = Math.max(buffer.length, 32) * this.maxInflation;
+    try {
+      return decodeFn();
+    } finally {
+      this._readBudget = previousBudget;
+    }
+  }
+
+  // Head/tail decoding shared by parameter lists, tuples and arrays.
+  // Offsets of dynamic values are relative to `start`, the beginning of
+  // the enclosing encoding.
+  _decodeSequence(types, buffer, start, isArray = false) {
+    const values = [];
+    let headOffset = start;
 
-    // First pass: handle static types and collect dynamic offsets
     for (let i = 0; i < types.length; i++) {
-      const currentType = types[i];
-      const typeStr = typeof currentType === 'string' ? currentType : currentType.type;
-      
-      if (this.isDynamicType(currentType)) {
-        // Dynamic type: read offset from static section
-        const offsetResult = this.decodeUint(buffer, staticOffset);
-        const dataOffset = Number(offsetResult.value);
-        const { value } = this.decodeParameter(currentType, buffer, dataOffset);
-        results.push(value);
-      } else {
-        // Static type: decode directly
-        const { value } = this.decodeParameter(currentType, buffer, staticOffset);
-        results.push(value);
+      const type = types[i];
+      try {
+        if (this.isDynamicType(type)) {
+          // Dynamic type: read offset from static section
+          const dataOffset = this._readOffset(buffer, headOffset, start);
+          const { value } = this.decodeParameter(type, buffer, dataOffset);
+          values.push(value);
+          headOffset += 32;
+        } else {
+          // Static type: decode directly, it may span several words
+          const { value, nextOffset } = this.decodeParameter(type, buffer, headOffset);
+          values.push(value);
+          headOffset = nextOffset;
+        }
+      } catch (error) {
+        if (error instanceof ABIDecodingError) {
+          const name = typeof type === 'object' && !isArray ? type.name : '';
+          error.addPathSegment(name || `[${i}]`);
+        }
+        throw error;
       }
-      staticOffset += 32; // Each parameter takes 32 bytes in static section
     }
 
-    return results;
+    return { values, nextOffset: headOffset };
   }
 
-  // Decode single parameter with performance optimizations
-  decodeParameter(type, buffer, offset) {
-    // Check cache first for performance
-    const cacheKey = `${JSON.stringify(type)}:${offset}:${buffer.length}`;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+  // Resolve a head offset pointer to an absolute position
+  _readOffset(buffer, headOffset, start) {
+    if (!this.strict) {
+      return start + Number(this._readUint(buffer, headOffset));
     }
 
-    // Handle ABI object format
-    let typeStr, components;
-    if (typeof type === 'object' && type.type) {
-      typeStr = type.type;
-      components = type.components;
-    } else {
-      typeStr = type;
-      components = null;
+    const pointer = this._readWord(buffer, headOffset);
+    if (BigInt(start) + pointer >= BigInt(buffer.length)) {
+      throw new ABIDecodingError(DecodingErrorCode.INVALID_OFFSET,
+        `Offset ${pointer} points outside the data`, headOffset);
     }
+    return start + Number(pointer);
+  }
 
-    let result;
+  // Read a bytes/string/array length word
+  _readLength(buffer, offset) {
+    if (!this.strict) {
+      return Number(this._readUint(buffer, offset));
+    }
 
-    // Handle arrays first
-    if (typeStr.includes('[')) {
-      result = this.decodeArray(typeStr, buffer, offset);
+    const length = this._readWord(buffer, offset);
+    if (length > BigInt(this.maxDynamicLength)) {
+      throw new ABIDecodingError(DecodingErrorCode.LENGTH_LIMIT,
+        `Length ${length} exceeds limit of ${this.maxDynamicLength}`, offset);
     }
-    // Handle tuple (struct)
-    else if (typeStr.startsWith('tuple')) {
-      result = this.decodeTuple(type, buffer, offset);
+    return Number(length);
+  }
+
+  // Strict mode: read a full 32-byte word as BigInt after a bounds check
+  _readWord(buffer, offset) {
+    this._checkBounds(buffer, offset, 32);
+    return BigInt('0x' + buffer.toString('hex', offset, offset + 32));
+  }
+
+  // Strict mode: ensure `size` bytes at `offset` lie inside the buffer
+  _checkBounds(buffer, offset, size) {
+    if (offset < 0 || offset + size > buffer.length) {
+      throw new ABIDecodingError(DecodingErrorCode.OUT_OF_BOUNDS,
+        `Read of ${size} bytes exceeds data length ${buffer.length}`, offset);
     }
-    // Handle basic types with optimized pattern matching
-    else {
-      result = this._decodeBasicType(typeStr, buffer, offset);
+
+    this._readBudget -= size;
+    if (this._readBudget < 0) {
+      throw new ABIDecodingError(DecodingErrorCode.INFLATION_LIMIT,
+        'Decoded size exceeds inflation limit', offset);
     }
+  }
 
-    // Cache result for future use (limit cache size)
-    if (this.cache.size < 1000) {
-      this.cache.set(cacheKey, result);
+  // Strict mode: bytes in [from, to) must be zero
+  _checkZero(buffer, from, to, what) {
+    for (let i = from; i < to; i++) {
+      if (buffer[i] !== 0) {
+        throw new ABIDecodingError(DecodingErrorCode.NON_CANONICAL, `Non-zero ${what}`, from);
+      }
     }
+  }
 
-    return result;
+  // Decode single parameter
+  decodeParameter(type, buffer, offset) {
+    const plan = this.typePlans.get(type);
+
+    if (plan.kind === 'array') {
+      return this.decodeArray(type, buffer, offset);
+    }
+    if (plan.kind === 'tuple') {
+      return this.decodeTuple(type, buffer, offset);
+    }
+    return this._decodeBasicType(plan, buffer, offset);
   }
 
-  // Optimized basic type decoding
-  _decodeBasicType(typeStr, buffer, offset) {
-    switch (typeStr) {
+  // Elementary type decoding, dispatched on a type plan
+  _decodeBasicType(plan, buffer, offset) {
+    if (this.strict) {
+      this._checkBounds(buffer, offset, 32);
+    }
+
+    switch (plan.kind) {
       case 'bool':
         return this.decodeBool(buffer, offset);
       case 'address':
@@ -97,38 +251,41 @@ class Decoder {
         return this.decodeBytes(buffer, offset);
       case 'string':
         return this.decodeString(buffer, offset);
+      case 'uint':
+        return this.decodeUint(buffer, offset, plan.bits);
+      case 'int':
+        return this.decodeInt(buffer, offset, plan.bits);
+      case 'fixedBytes':
+        return this.decodeFixedBytes(buffer, offset, plan.size);
       default:
-        // Use pre-compiled regex for better performance
-        let match = this.uintRegex.exec(typeStr);
-        if (match) {
-          const bits = parseInt(match[1]) || 256;
-          return this.decodeUint(buffer, offset, bits);
-        }
-        
-        match = this.intRegex.exec(typeStr);
-        if (match) {
-          const bits = parseInt(match[1]) || 256;
-          return this.decodeInt(buffer, offset, bits);
-        }
-        
-        match = this.bytesRegex.exec(typeStr);
-        if (match) {
-          const size = parseInt(match[1]);
-          return this.decodeFixedBytes(buffer, offset, size);
-        }
-        
-        throw new Error(`Unsupported type: ${typeStr}`);
+        throw new Error(`Unsupported type: ${plan.typeStr}`);
     }
   }
 
   // Type decoders
   decodeBool(buffer, offset) {
+    if (this.strict) {
+      this._checkZero(buffer, offset, offset + 31, 'bool padding');
+      if (buffer[offset + 31] > 1) {
+        throw new ABIDecodingError(DecodingErrorCode.NON_CANONICAL, 'Invalid bool value', offset);
+      }
+    }
+
     const value = buffer.readUInt8(offset + 31) !== 0;
     return { value, nextOffset: offset + 32 };
   }
 
   decodeUint(buffer, offset, bits = 256) {
-    const slice = buffer.slice(offset, offset + 32);
+    if (this.strict) {
+      this._checkZero(buffer, offset, offset + 32 - bits / 8, `high bits for uint${bits}`);
+    }
+
+    const value = this._readUint(buffer, offset, bits);
+    return { value: this._formatNumber(value), nextOffset: offset + 32 };
+  }
+
+  // Range-checked unsigned word as BigInt, also used for offsets and lengths
+  _readUint(buffer, offset, bits = 256) {
     let value = 0n;
     
     // Fast path for common sizes
@@ -139,7 +296,7 @@ class Decoder {
       value = (BigInt(high) << 32n) | BigInt(low);
     } else {
       // General case: convert full 32-byte slice
-      const hex = slice.toString('hex');
+      const hex = buffer.slice(offset, offset + 32).toString('hex');
       value = hex ? BigInt('0x' + hex) : 0n;
     }
 
@@ -149,8 +306,7 @@ class Decoder {
       throw new Error(`Value too large for uint${bits}: ${value}`);
     }
 
-    // Return as string instead of BigInt
-    return { value: value.toString(), nextOffset: offset + 32 };
+    return value;
   }
 
   decodeInt(buffer, offset, bits = 256) {
@@ -158,25 +314,39 @@ class Decoder {
     const hex = slice.toString('hex');
     let value = BigInt('0x' + hex);
 
-    // Handle two's complement for negative values
-    const signBit = 1n << (BigInt(bits) - 1n);
-    if (value >= signBit) {
-      const maxUint = 1n << BigInt(bits);
-      value = value - maxUint;
+    if (this.strict) {
+      // The full word must be the sign-extended 256-bit two's complement value
+      if (value >= 1n << 255n) {
+        value -= 1n << 256n;
+      }
+    } else {
+      // Lenient: only the low `bits` bits are significant
+      value &= (1n << BigInt(bits)) - 1n;
+      const signBit = 1n << (BigInt(bits) - 1n);
+      if (value >= signBit) {
+        value -= 1n << BigInt(bits);
+      }
     }
 
     // Validate range
     const minValue = -(1n << (BigInt(bits) - 1n));
     const maxValue = (1n << (BigInt(bits) - 1n)) - 1n;
     if (value < minValue || value > maxValue) {
+      if (this.strict) {
+        throw new ABIDecodingError(DecodingErrorCode.NON_CANONICAL,
+          `Value out of range for int${bits}`, offset);
+      }
       throw new Error(`Value out of range for int${bits}: ${value}`);
     }
 
-    // Return as string instead of BigInt
-    return { value: value.toString(), nextOffset: offset + 32 };
+    return { value: this._formatNumber(value), nextOffset: offset + 32 };
   }
 
   decodeAddress(buffer, offset) {
+    if (this.strict) {
+      this._checkZero(buffer, offset, offset + 12, 'address padding');
+    }
+
     // Address is in the last 20 bytes of the 32-byte word
     const addressBytes = buffer.slice(offset + 12, offset + 32);
     // Ensure consistent case (lowercase) for addresses
@@ -185,6 +355,10 @@ class Decoder {
   }
 
   decodeFixedBytes(buffer, offset, size) {
+    if (this.strict) {
+      this._checkZero(buffer, offset + size, offset + 32, `bytes${size} padding`);
+    }
+
     const slice = buffer.slice(offset, offset + size);
     const value = '0x' + slice.toString('hex');
     return { value, nextOffset: offset + 32 };
@@ -197,15 +371,20 @@ class Decoder {
 
   decodeBytesAt(buffer, offset) {
     // Read length first
-    const length = Number(this.decodeUint(buffer, offset).value);
+    const length = this._readLength(buffer, offset);
     const dataOffset = offset + 32;
     
-    // Read the actual bytes
-    const value = '0x' + buffer.slice(dataOffset, dataOffset + length).toString('hex');
-    
     // Calculate next offset (data is padded to 32-byte boundary)
     const paddedLength = Math.ceil(length / 32) * 32;
     const nextOffset = dataOffset + paddedLength;
+
+    if (this.strict) {
+      this._checkBounds(buffer, dataOffset, paddedLength);
+      this._checkZero(buffer, dataOffset + length, nextOffset, 'bytes padding');
+    }
+    
+    // Read the actual bytes
+    const value = '0x' + buffer.slice(dataOffset, dataOffset + length).toString('hex');
     
     return { value, nextOffset };
   }
@@ -222,229 +401,132 @@ class Decoder {
     return { value, nextOffset: bytesResult.nextOffset };
   }
 
+  // `offset` points at the array encoding itself: the length word for T[],
+  // the first element for T[k]
   decodeArray(type, buffer, offset) {
-    // Parse array type
-    const bracketIndex = type.indexOf('[');
-    const baseType = type.slice(0, bracketIndex);
-    const arraySpec = type.slice(bracketIndex);
-    
-    const isFixedSize = arraySpec !== '[]';
-    const fixedSize = isFixedSize ? parseInt(arraySpec.slice(1, -1)) : null;
+    const plan = this.typePlans.get(type);
+    if (plan.kind !== 'array') {
+      throw new Error(`Invalid array type: ${plan.typeStr}`);
+    }
 
-    let currentOffset = offset;
-    let arrayLength;
+    const { elementType } = plan;
+    const isFixedSize = plan.fixedSize !== null;
 
-    if (this.isDynamicType(type)) {
-      // Dynamic array: read offset first
-      const dataOffset = Number(this.decodeUint(buffer, offset).value);
-      currentOffset = dataOffset;
-    }
+    let arrayLength;
+    let elementsOffset = offset;
 
     if (isFixedSize) {
-      arrayLength = fixedSize;
+      arrayLength = plan.fixedSize;
     } else {
       // Dynamic array: read length
-      const lengthResult = this.decodeUint(buffer, currentOffset);
-      arrayLength = Number(lengthResult.value);
-      currentOffset = lengthResult.nextOffset;
+      arrayLength = this._readLength(buffer, offset);
+      elementsOffset = offset + 32;
     }
 
-    const results = [];
-    
-    if (this.isDynamicType(baseType)) {
-      // Dynamic element type: elements are stored with offsets
-      const staticOffset = currentOffset;
-      
-      for (let i = 0; i < arrayLength; i++) {
-        const elementOffset = Number(this.decodeUint(buffer, staticOffset + i * 32).value);
-        const absoluteOffset = (this.isDynamicType(type) ? 
-          Math.floor(offset / 32) * 32 : 0) + elementOffset;
-        const { value } = this.decodeParameter(baseType, buffer, absoluteOffset);
-        results.push(value);
-      }
-      
-      // Calculate next offset (this is complex for dynamic arrays)
-      const nextOffset = currentOffset + arrayLength * 32;
-      return { value: results, nextOffset };
-    } else {
-      // Static element type: elements are stored sequentially
-      for (let i = 0; i < arrayLength; i++) {
-        const { value, nextOffset } = this.decodeParameter(baseType, buffer, currentOffset);
-        results.push(value);
-        currentOffset = nextOffset;
-      }
-      
-      return { value: results, nextOffset: currentOffset };
+    // Every element takes at least one head word, so a length that cannot
+    // fit is rejected before allocating anything
+    if (this.strict && elementsOffset + arrayLength * 32 > buffer.length) {
+      throw new ABIDecodingError(DecodingErrorCode.OUT_OF_BOUNDS,
+        `Array of ${arrayLength} elements exceeds data length ${buffer.length}`, offset);
     }
+
+    // Elements are encoded like a tuple of identical types
+    const { values, nextOffset } = this._decodeSequence(
+      new Array(arrayLength).fill(elementType), buffer, elementsOffset, true);
+
+    return { value: values, nextOffset };
   }
 
   decodeTuple(type, buffer, offset) {
-    let components;
-    
-    // Handle ABI object format
-    if (typeof type === 'object' && type.components) {
-      components = type.components;
-    } else if (typeof type === 'string') {
-      // Parse tuple type to extract components
-      // Expected format: tuple(type1,type2,...) or tuple(type1 name1,type2 name2,...)
-      const match = type.match(/^tuple\((.+)\)$/);
-      if (!match) {
-        throw new Error(`Invalid tuple type format: ${type}`);
-      }
-      
-      const componentStr = match[1];
-      components = this.parseTupleComponents(componentStr);
-    } else {
-      throw new Error(`Invalid tuple type: ${JSON.stringify(type)}`);
-    }
-    
-    const result = {};
-    let currentOffset = offset;
-    const dynamicOffsets = [];
-    
-    // First pass: decode static types and collect dynamic offsets
-    for (let i = 0; i < components.length; i++) {
-      const component = components[i];
-      const fieldName = component.name || `field${i}`;
-      
-      if (this.isDynamicType(component)) {
-        // Read offset pointer for dynamic types (relative to tuple start)
-        const offsetResult = this.decodeUint(buffer, currentOffset);
-        const relativeOffset = Number(offsetResult.value);
-        const absoluteOffset = offset + relativeOffset;
-        
-        dynamicOffsets.push({ 
-          index: i, 
-          offset: absoluteOffset, 
-          fieldName, 
-          component: component 
-        });
-        currentOffset += 32;
-      } else {
-        // Decode static types directly
-        const decoded = this.decodeParameter(component, buffer, currentOffset);
-        result[fieldName] = decoded.value;
-        currentOffset = decoded.nextOffset;
-      }
-    }
-    
-    // Second pass: decode dynamic types
-    for (const dynamicInfo of dynamicOffsets) {
-      const decoded = this.decodeParameter(dynamicInfo.component, buffer, dynamicInfo.offset);
-      result[dynamicInfo.fieldName] = decoded.value;
-    }
-    
-    return { value: result, nextOffset: currentOffset };
+    const { components } = this.typePlans.get(type);
+    const { values, nextOffset } = this._decodeSequence(components, buffer, offset);
+
+    return { value: Result.fromValues(values, this._getNames(components)), nextOffset };
   }
 
+  // Components of a "tuple(type1 name1,...)" type string
   parseTupleComponents(componentStr) {
-    const components = [];
-    let depth = 0;
-    let current = '';
-    let inType = true;
-    let currentName = '';
-    
-    for (let i = 0; i < componentStr.length; i++) {
-      const char = componentStr[i];
-      
-      if (char === '(' || char === '[') {
-        depth++;
-        current += char;
-      } else if (char === ')' || char === ']') {
-        depth--;
-        current += char;
-      } else if (char === ',' && depth === 0) {
-        // End of component
-        const trimmed = current.trim();
-        if (trimmed) {
-          const parts = trimmed.split(/\s+/);
-          const type = parts[0];
-          const name = parts[1] || `field${components.length}`;
-          components.push({ type, name });
-        }
-        current = '';
-      } else if (char === ' ' && depth === 0 && current.trim() && inType) {
-        // Space after type name
-        inType = false;
-        currentName = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    // Handle last component
-    if (current.trim()) {
-      const parts = current.trim().split(/\s+/);
-      const type = parts[0];
-      const name = parts[1] || `field${components.length}`;
-      components.push({ type, name });
-    }
-    
-    return components;
+    return parseTupleComponents(componentStr);
   }
 
   isDynamicType(type) {
-    let typeStr;
-    if (typeof type === 'object' && type.type) {
-      typeStr = type.type;
-    } else {
-      typeStr = type;
+    return this.typePlans.get(type).dynamic;
+  }
+
+  // Decode event log
+  decodeLog(eventAbi, data, topics, options = {}) {
+    return this._withCallOptions(options, () => this._decodeLog(eventAbi, data, topics));
+  }
+
+  // The topics must match the event's indexed layout, e.g. an ERC-721
+  // Transfer (3 indexed) is not decoded with the ERC-20 fragment (2 indexed)
+  _checkLogTopics(eventAbi, topics, expectedCount) {
+    const signature = getEventSignature(eventAbi);
+    const count = Array.isArray(topics) ? topics.length : 0;
+    if (count !== expectedCount) {
+      const layout = eventAbi.anonymous
+        ? `${expectedCount} indexed, anonymous`
+        : `signature + ${expectedCount - 1} indexed`;
+      throw new Error(`Topic count mismatch for ${signature}: expected ${expectedCount} (${layout}), got ${count}`);
     }
-    
-    if (typeStr === 'string' || typeStr === 'bytes') return true;
-    if (typeStr.includes('[]')) return true;
-    if (typeStr.startsWith('tuple')) {
-      // For ABI objects, check components
-      if (typeof type === 'object' && type.components) {
-        return type.components.some(comp => this.isDynamicType(comp));
-      }
-      // Parse tuple and check if any component is dynamic
-      const match = typeStr.match(/^tuple\((.+)\)$/);
-      if (match) {
-        const components = this.parseTupleComponents(match[1]);
-        return components.some(comp => this.isDynamicType(comp.type));
-      }
+
+    if (!eventAbi.anonymous && String(topics[0]).toLowerCase() !== getEventSelector(eventAbi)) {
+      throw new Error(`Topic0 ${topics[0]} does not match ${signature}`);
     }
-    return false;
   }
 
-  // Decode event log
-  decodeLog(eventAbi, data, topics) {
-    const result = { name: eventAbi.name, args: {} };
+  _decodeLog(eventAbi, data, topics) {
+    // Values in ABI input order, regardless of indexed/data placement
+    const values = new Array(eventAbi.inputs.length);
     
-    // Separate indexed and non-indexed parameters
-    const indexedParams = eventAbi.inputs.filter(input => input.indexed);
-    const nonIndexedParams = eventAbi.inputs.filter(input => !input.indexed);
+    // Separate indexed and non-indexed parameters, keeping their input position
+    const indexedParams = [];
+    const nonIndexedParams = [];
+    eventAbi.inputs.forEach((input, position) => {
+      (input.indexed ? indexedParams : nonIndexedParams).push({ input, position });
+    });
+
+    // Anonymous events have no signature topic, every topic is an argument
+    const topicOffset = eventAbi.anonymous ? 0 : 1;
+    this._checkLogTopics(eventAbi, topics, topicOffset + indexedParams.length);
+    if (nonIndexedParams.length > 0 && (!data || data === '0x')) {
+      throw new Error(`Data mismatch for ${getEventSignature(eventAbi)}: expected ${nonIndexedParams.length} ` +
+        `non-indexed value${nonIndexedParams.length === 1 ? '' : 's'}, got empty data`);
+    }
     
-    // Decode indexed parameters from topics (skip topic[0] which is event signature)
+    // Decode indexed parameters from topics
     for (let i = 0; i < indexedParams.length; i++) {
-      const param = indexedParams[i];
-      const topic = topics[i + 1];
+      const { input: param, position } = indexedParams[i];
+      const topic = topics[i + topicOffset];
       
-      if (!topic) continue;
-      
-      // For dynamic types, topics contain the hash, not the actual value
-      if (this.isDynamicType(param.type)) {
-        result.args[param.name] = topic; // Store the hash
+      // Strings, bytes, arrays and tuples are stored as a hash of the value
+      if (HASHED_TOPIC_KINDS.has(this.typePlans.get(param).kind)) {
+        values[position] = new Indexed(topic);
       } else {
         // Decode the topic as the actual value
         const topicBuffer = hexToBuffer(topic);
-        const { value } = this.decodeParameter(param.type, topicBuffer, 0);
-        result.args[param.name] = value;
+        try {
+          const { value } = this.decodeParameter(param, topicBuffer, 0);
+          values[position] = value;
+        } catch (error) {
+          if (error instanceof ABIDecodingError) {
+            error.addPathSegment(param.name || `topics[${i + topicOffset}]`);
+          }
+          throw error;
+        }
       }
     }
     
     // Decode non-indexed parameters from data
-    if (nonIndexedParams.length > 0 && data && data !== '0x') {
-      const types = nonIndexedParams.map(param => param.type);
-      const decodedData = this.decodeParameters(types, data);
+    if (nonIndexedParams.length > 0) {
+      const decodedData = this.decodeParameters(nonIndexedParams.map(({ input }) => input), data);
       
       for (let i = 0; i < nonIndexedParams.length; i++) {
-        result.args[nonIndexedParams[i].name] = decodedData[i];
+        values[nonIndexedParams[i].position] = decodedData[i];
       }
     }
     
-    return result;
+    return { name: eventAbi.name, args: Result.fromValues(values, this._getNames(eventAbi.inputs)) };
   }
 }
 
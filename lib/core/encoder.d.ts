@@ -0,0 +1,34 @@
+/// <reference types="node" />
+import type { EncoderCacheStats, EncoderOptions, Numeric, ParamType } from './types.js';
+
+declare class Encoder {
+  constructor(options?: EncoderOptions);
+
+  getCacheStats(): EncoderCacheStats;
+  clearCache(): void;
+
+  // ABI-encode values, returning 0x-prefixed hex
+  encodeParameters(types: readonly ParamType[], values: readonly unknown[]): string;
+
+  // Non-standard packed encoding, following Solidity's abi.encodePacked
+  encodePacked(types: readonly ParamType[], values: readonly unknown[]): string;
+
+  // Topic for an indexed event argument: value types are padded, strings,
+  // bytes, arrays and tuples are hashed
+  encodeTopic(type: ParamType, value: unknown): string;
+
+  encodeParameter(type: ParamType, value: unknown): Buffer;
+  encodeBool(value: boolean): Buffer;
+  encodeUint(value: Numeric, bits?: number): Buffer;
+  encodeInt(value: Numeric, bits?: number): Buffer;
+  encodeAddress(value: string): Buffer;
+  encodeFixedBytes(value: string | Uint8Array, size: number): Buffer;
+  encodeBytes(value: string | Uint8Array): Buffer;
+  encodeString(value: string): Buffer;
+  encodeArray(type: ParamType, values: readonly unknown[]): Buffer;
+  // Tuple values may be positional arrays or objects keyed by component name
+  encodeTuple(type: ParamType, value: readonly unknown[] | Record<string, unknown>): Buffer;
+  isDynamicType(type: ParamType): boolean;
+}
+
+export default Encoder;
@@ -1,16 +1,32 @@
 import { hexToBuffer, bufferToHex, padLeft, padRight, toBigInt, isHex } from './utils.js';
+import { keccak256 } from './crypto-utils.js';
+import { LRUCache } from './lru-cache.js';
+import { TypePlanCache } from './type-plan.js';
+
+const DEFAULT_CACHE_SIZE = 1000;
+// Elementary kinds whose encoded values go into the value cache
+const CACHED_KINDS = new Set(['uint', 'int', 'address', 'bool', 'fixedBytes']);
 
 class Encoder {
-  constructor() {
-    // Cache for commonly used values and type checks
-    this.cache = new Map();
-    this.typeCache = new Map();
-    
-    // Pre-compile common type patterns for performance
-    this.uintRegex = /^uint(\d+)?$/;
-    this.intRegex = /^int(\d+)?$/;
-    this.bytesRegex = /^bytes(\d+)$/;
-    this.arrayRegex = /^(.+)\[(\d*)\]$/;
+  // options.cache: set to false to disable value and type caching
+  // options.cacheSize: maximum entries per cache (default 1000)
+  constructor(options = {}) {
+    const cacheSize = options.cache === false ? 0 : (options.cacheSize ?? DEFAULT_CACHE_SIZE);
+
+    // Encoded elementary values, keyed by type and primitive value
+    this.cache = new LRUCache(cacheSize);
+    // Parsed type descriptions, shared by all values of a type
+    this.typePlans = new TypePlanCache(cacheSize);
+  }
+
+  // Cache counters, e.g. for benchmarking
+  getCacheStats() {
+    return { values: this.cache.getStats(), types: this.typePlans.getStats() };
+  }
+
+  clearCache() {
+    this.cache.clear();
+    this.typePlans.clear();
   }
 
   // Main encoding function
@@ -19,15 +35,28 @@ class Encoder {
       throw new Error(`Type/value count mismatch: ${types.length} types, ${values.length} values`);
     }
 
+    return bufferToHex(this._encodeSequence(types, values));
+  }
+
+  // Head/tail encoding shared by parameter lists, tuples and arrays
+  _encodeSequence(types, values) {
+    const encodedParts = [];
+    let headSize = 0;
+
+    for (let i = 0; i < types.length; i++) {
+      const encoded = this.encodeParameter(types[i], values[i]);
+      const isDynamic = this.isDynamicType(types[i]);
+      encodedParts.push({ encoded, isDynamic });
+      // Dynamic values take one offset word in the head, static values are inlined
+      headSize += isDynamic ? 32 : encoded.length;
+    }
+
     const staticParts = [];
     const dynamicParts = [];
-    let dynamicOffset = types.length * 32; // Each type takes 32 bytes in static part
+    let dynamicOffset = headSize;
 
-    for (let i = 0; i < types.length; i++) {
-      const typeStr = typeof types[i] === 'string' ? types[i] : types[i].type;
-      const encoded = this.encodeParameter(typeStr, values[i]);
-      
-      if (this.isDynamicType(typeStr)) {
+    for (const { encoded, isDynamic } of encodedParts) {
+      if (isDynamic) {
         // Dynamic type: store offset in static part, data in dynamic part
         staticParts.push(this.encodeUint(dynamicOffset));
         dynamicParts.push(encoded);
@@ -38,45 +67,101 @@ class Encoder {
       }
     }
 
-    // Combine static and dynamic parts
-    const result = Buffer.concat([...staticParts, ...dynamicParts]);
-    return bufferToHex(result);
+    return Buffer.concat([...staticParts, ...dynamicParts]);
   }
 
-  // Encode single parameter with performance optimizations
-  encodeParameter(type, value) {
-    // Check cache first for performance
-    const cacheKey = `${type}:${typeof value === 'object' ? JSON.stringify(value) : value}`;
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+  // Non-standard packed encoding, following Solidity's abi.encodePacked:
+  // elementary values use their minimal width, string/bytes have no length
+  // prefix, and array elements are padded to 32 bytes
+  encodePacked(types, values) {
+    if (types.length !== values.length) {
+      throw new Error(`Type/value count mismatch: ${types.length} types, ${values.length} values`);
     }
 
-    let result;
+    const parts = types.map((type, i) =>
+      this._encodePackedParameter(typeof type === 'string' ? type : type.type, values[i]));
+    return bufferToHex(Buffer.concat(parts));
+  }
+
+  _encodePackedParameter(type, value, inArray = false) {
+    const plan = this.typePlans.get(type);
 
-    // Handle arrays first
-    if (type.includes('[')) {
-      result = this.encodeArray(type, value);
+    if (plan.kind === 'array') {
+      if (!Array.isArray(value)) {
+        throw new Error(`Expected array for type ${type}, got: ${typeof value}`);
+      }
+      if (plan.fixedSize !== null && value.length !== plan.fixedSize) {
+        throw new Error(`Array length mismatch: expected ${plan.fixedSize}, got ${value.length}`);
+      }
+      return Buffer.concat(value.map(element => this._encodePackedParameter(plan.elementType, element, true)));
     }
-    // Handle tuple (struct)
-    else if (type.startsWith('tuple')) {
-      result = this.encodeTuple(type, value);
+
+    if (plan.kind === 'tuple') {
+      throw new Error('Tuple types are not supported in packed encoding');
     }
-    // Handle basic types with optimized pattern matching
-    else {
-      result = this._encodeBasicType(type, value);
+
+    if (inArray) {
+      // Array elements keep their standard 32-byte encoding
+      if (plan.dynamic) {
+        throw new Error(`Dynamic type ${type} is not supported in packed arrays`);
+      }
+      return this._encodeBasicType(plan, value);
     }
 
-    // Cache result for future use (limit cache size)
-    if (this.cache.size < 1000) {
-      this.cache.set(cacheKey, result);
+    switch (plan.kind) {
+      case 'bool':
+        return Buffer.from([value ? 1 : 0]);
+      case 'address':
+        return this.encodeAddress(value).subarray(12);
+      case 'bytes':
+        return this._toBuffer(value);
+      case 'string':
+        if (typeof value !== 'string') {
+          throw new Error(`Expected string, got: ${typeof value}`);
+        }
+        return Buffer.from(value, 'utf8');
+      case 'uint':
+        return this.encodeUint(value, plan.bits).subarray(32 - plan.bits / 8);
+      case 'int':
+        return this.encodeInt(value, plan.bits).subarray(32 - plan.bits / 8);
+      case 'fixedBytes':
+        return this.encodeFixedBytes(value, plan.size).subarray(0, plan.size);
+    }
+  }
+
+  // Encode single parameter
+  // `type` is either a type string or an ABI parameter object (needed for tuples)
+  encodeParameter(type, value) {
+    const plan = this.typePlans.get(type);
+
+    if (plan.kind === 'array') {
+      return this.encodeArray(type, value);
+    }
+    if (plan.kind === 'tuple') {
+      return this.encodeTuple(type, value);
+    }
+
+    // Only fixed-width values with a primitive representation are cached, so
+    // entries stay one word each; bytes and string payloads can be arbitrarily
+    // large. The key keeps the value's JS type so that 1, 1n and '1' stay distinct.
+    const valueType = typeof value;
+    if (!CACHED_KINDS.has(plan.kind) || valueType === 'object' || valueType === 'function' ||
+        this.cache.maxSize <= 0) {
+      return this._encodeBasicType(plan, value);
     }
 
+    const cacheKey = `${plan.typeStr}:${valueType}:${String(value)}`;
+    let result = this.cache.get(cacheKey);
+    if (result === undefined) {
+      result = this._encodeBasicType(plan, value);
+      this.cache.set(cacheKey, result);
+    }
     return result;
   }
 
-  // Optimized basic type encoding
-  _encodeBasicType(type, value) {
-    switch (type) {
+  // Elementary type encoding, dispatched on a type plan
+  _encodeBasicType(plan, value) {
+    switch (plan.kind) {
       case 'bool':
         return this.encodeBool(value);
       case 'address':
@@ -85,24 +170,14 @@ class Encoder {
         return this.encodeBytes(value);
       case 'string':
         return this.encodeString(value);
+      case 'uint':
+        return this.encodeUint(value, plan.bits);
+      case 'int':
+        return this.encodeInt(value, plan.bits);
+      case 'fixedBytes':
+        return this.encodeFixedBytes(value, plan.size);
       default:
-        // Use pre-compiled regex for better performance
-        let match = this.uintRegex.exec(type);
-        if (match) {
-          return this.encodeUint(value, parseInt(match[1]) || 256);
-        }
-        
-        match = this.intRegex.exec(type);
-        if (match) {
-          return this.encodeInt(value, parseInt(match[1]) || 256);
-        }
-        
-        match = this.bytesRegex.exec(type);
-        if (match) {
-          return this.encodeFixedBytes(value, parseInt(match[1]));
-        }
-        
-        throw new Error(`Unsupported type: ${type}`);
+        throw new Error(`Unsupported type: ${plan.typeStr}`);
     }
   }
 
@@ -157,18 +232,7 @@ class Encoder {
   }
 
   encodeFixedBytes(value, size) {
-    let buffer;
-    if (typeof value === 'string') {
-      if (isHex(value)) {
-        buffer = hexToBuffer(value);
-      } else {
-        buffer = Buffer.from(value, 'utf8');
-      }
-    } else if (Buffer.isBuffer(value)) {
-      buffer = value;
-    } else {
-      throw new Error(`Invalid bytes value: ${value}`);
-    }
+    const buffer = this._toBuffer(value);
 
     if (buffer.length > size) {
       throw new Error(`Bytes too long for bytes${size}: ${buffer.length} > ${size}`);
@@ -178,18 +242,7 @@ class Encoder {
   }
 
   encodeBytes(value) {
-    let buffer;
-    if (typeof value === 'string') {
-      if (isHex(value)) {
-        buffer = hexToBuffer(value);
-      } else {
-        buffer = Buffer.from(value, 'utf8');
-      }
-    } else if (Buffer.isBuffer(value)) {
-      buffer = value;
-    } else {
-      throw new Error(`Invalid bytes value: ${value}`);
-    }
+    const buffer = this._toBuffer(value);
 
     // Dynamic bytes: length + data
     const length = this.encodeUint(buffer.length);
@@ -197,85 +250,134 @@ class Encoder {
     return Buffer.concat([length, paddedData]);
   }
 
+  // Accepts hex strings, UTF-8 strings and Buffers
+  _toBuffer(value) {
+    if (typeof value === 'string') {
+      return isHex(value) ? hexToBuffer(value) : Buffer.from(value, 'utf8');
+    }
+    if (Buffer.isBuffer(value)) {
+      return value;
+    }
+    throw new Error(`Invalid bytes value: ${value}`);
+  }
+
   encodeString(value) {
+    return this.encodeBytes(this._stringToBuffer(value));
+  }
+
+  _stringToBuffer(value) {
     if (typeof value !== 'string') {
       throw new Error(`Expected string, got: ${typeof value}`);
     }
-    
-    const buffer = Buffer.from(value, 'utf8');
-    return this.encodeBytes(buffer);
+    return Buffer.from(value, 'utf8');
   }
 
   encodeArray(type, values) {
+    const plan = this.typePlans.get(type);
+    if (plan.kind !== 'array') {
+      throw new Error(`Invalid array type: ${plan.typeStr}`);
+    }
     if (!Array.isArray(values)) {
-      throw new Error(`Expected array for type ${type}, got: ${typeof values}`);
+      throw new Error(`Expected array for type ${plan.typeStr}, got: ${typeof values}`);
     }
 
-    // Parse array type: e.g., "uint256[]" or "uint256[5]"
-    const match = this.arrayRegex.exec(type);
-    if (!match) {
-      throw new Error(`Invalid array type: ${type}`);
+    const isFixedSize = plan.fixedSize !== null;
+    if (isFixedSize && values.length !== plan.fixedSize) {
+      throw new Error(`Array length mismatch: expected ${plan.fixedSize}, got ${values.length}`);
     }
-    
-    const baseType = match[1];
-    const isFixedSize = match[2] !== '';
-    const fixedSize = isFixedSize ? parseInt(match[2]) : null;
 
-    if (isFixedSize && values.length !== fixedSize) {
-      throw new Error(`Array length mismatch: expected ${fixedSize}, got ${values.length}`);
+    // Elements are encoded like a tuple of identical types
+    const elements = this._encodeSequence(new Array(values.length).fill(plan.elementType), values);
+
+    if (!isFixedSize) {
+      // Dynamic array: include length
+      return Buffer.concat([this.encodeUint(values.length), elements]);
     }
 
-    // Encode array elements
-    const encodedElements = values.map(value => this.encodeParameter(baseType, value));
+    return elements;
+  }
 
-    if (this.isDynamicType(baseType)) {
-      // Dynamic element type
-      let result = [];
-      
-      if (!isFixedSize) {
-        // Dynamic array: include length
-        result.push(this.encodeUint(values.length));
-      }
+  // Encode a struct from a positional array or an object keyed by component name
+  encodeTuple(type, value) {
+    const { components } = this.typePlans.get(type);
+    return this._encodeSequence(components, this._getTupleValues(components, value));
+  }
 
-      // Calculate offsets for dynamic elements
-      let offset = values.length * 32;
-      const staticParts = [];
-      const dynamicParts = [];
+  // Positional tuple values from an array or an object keyed by component name
+  _getTupleValues(components, value) {
+    let values;
+    if (Array.isArray(value)) {
+      values = value;
+    } else if (value !== null && typeof value === 'object') {
+      values = components.map((component, i) => {
+        // Unnamed components use the same fallback names as the decoder
+        const fieldName = component.name || `field${i}`;
+        if (!(fieldName in value)) {
+          throw new Error(`Missing tuple field: ${fieldName}`);
+        }
+        return value[fieldName];
+      });
+    } else {
+      throw new Error(`Expected array or object for tuple, got: ${typeof value}`);
+    }
 
-      for (const encoded of encodedElements) {
-        staticParts.push(this.encodeUint(offset));
-        dynamicParts.push(encoded);
-        offset += encoded.length;
-      }
+    if (values.length !== components.length) {
+      throw new Error(`Tuple length mismatch: expected ${components.length}, got ${values.length}`);
+    }
 
-      result.push(...staticParts, ...dynamicParts);
-      return Buffer.concat(result);
-    } else {
-      // Static element type
-      let result = [];
-      
-      if (!isFixedSize) {
-        // Dynamic array: include length
-        result.push(this.encodeUint(values.length));
-      }
+    return values;
+  }
+
+  // Topic for an indexed event parameter: the 32-byte encoding of value
+  // types, or the keccak256 hash of strings, bytes, arrays and tuples
+  encodeTopic(type, value) {
+    const plan = this.typePlans.get(type);
 
-      result.push(...encodedElements);
-      return Buffer.concat(result);
+    switch (plan.kind) {
+      case 'string':
+        return keccak256(this._stringToBuffer(value));
+      case 'bytes':
+        return keccak256(this._toBuffer(value));
+      case 'array':
+      case 'tuple':
+        return keccak256(this._encodeInPlace(type, value));
+      default:
+        return bufferToHex(this.encodeParameter(type, value));
     }
   }
 
-  encodeTuple(type, value) {
-    // TODO: Implement tuple encoding for structs
-    // This would require parsing the tuple type definition
-    throw new Error('Tuple encoding not yet implemented');
+  // Encoding hashed for indexed arrays and tuples: members are concatenated
+  // and padded to 32 bytes, without offsets or length prefixes
+  _encodeInPlace(type, value) {
+    const plan = this.typePlans.get(type);
+
+    switch (plan.kind) {
+      case 'array': {
+        if (!Array.isArray(value)) {
+          throw new Error(`Expected array for type ${plan.typeStr}, got: ${typeof value}`);
+        }
+        if (plan.fixedSize !== null && value.length !== plan.fixedSize) {
+          throw new Error(`Array length mismatch: expected ${plan.fixedSize}, got ${value.length}`);
+        }
+        return Buffer.concat(value.map(element => this._encodeInPlace(plan.elementType, element)));
+      }
+      case 'tuple': {
+        const values = this._getTupleValues(plan.components, value);
+        return Buffer.concat(plan.components.map((component, i) => this._encodeInPlace(component, values[i])));
+      }
+      case 'string':
+      case 'bytes': {
+        const buffer = plan.kind === 'string' ? this._stringToBuffer(value) : this._toBuffer(value);
+        return padRight(buffer, Math.ceil(buffer.length / 32) * 32);
+      }
+      default:
+        return this.encodeParameter(type, value);
+    }
   }
 
   // Check if type is dynamic (variable length)
   isDynamicType(type) {
-    if (type === 'string' || type === 'bytes') return true;
-    if (type.includes('[]')) return true;
-    if (type.startsWith('tuple')) return true; // Assume tuples can be dynamic
-    return false;
+    return this.typePlans.get(type).dynamic;
   }
 }
 
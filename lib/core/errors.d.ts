@@ -0,0 +1,36 @@
+import type { DecodedError } from './types.js';
+
+export type DecodingErrorCodeValue =
+  | 'OUT_OF_BOUNDS'
+  | 'INVALID_OFFSET'
+  | 'LENGTH_LIMIT'
+  | 'NON_CANONICAL'
+  | 'INFLATION_LIMIT';
+
+export const DecodingErrorCode: Readonly<{ [Code in DecodingErrorCodeValue]: Code }>;
+
+// Error raised by strict decoding when ABI data is malformed or non-canonical
+export class ABIDecodingError extends Error {
+  constructor(code: DecodingErrorCodeValue, reason: string, offset: number, path?: string);
+
+  name: 'ABIDecodingError';
+  code: DecodingErrorCodeValue;
+  reason: string;
+  // Byte offset of the offending word within the decoded data
+  offset: number;
+  // Parameter being decoded, e.g. "orders[2].amount"
+  path: string;
+
+  addPathSegment(segment: string): this;
+}
+
+// Error thrown by contract helpers when a call reverts
+export class ContractRevertError extends Error {
+  constructor(revert: DecodedError | null, data: string, cause?: unknown);
+
+  name: 'ContractRevertError';
+  // Decoded revert, or null when the data could not be decoded
+  revert: DecodedError | null;
+  data: string;
+  cause?: unknown;
+}
@@ -0,0 +1,55 @@
+// Error raised by strict decoding when ABI data is malformed or non-canonical.
+// `offset` is the byte offset of the offending word within the decoded data
+// and `path` names the parameter being decoded, e.g. "orders[2].amount".
+class ABIDecodingError extends Error {
+  constructor(code, reason, offset, path = '') {
+    super();
+    this.name = 'ABIDecodingError';
+    this.code = code;
+    this.reason = reason;
+    this.offset = offset;
+    this.path = path;
+    this._updateMessage();
+  }
+
+  // Prefix the enclosing parameter as the error unwinds through nested values
+  addPathSegment(segment) {
+    if (!this.path) {
+      this.path = segment;
+    } else {
+      this.path = this.path.startsWith('[') ? segment + this.path : `${segment}.${this.path}`;
+    }
+    this._updateMessage();
+    return this;
+  }
+
+  _updateMessage() {
+    this.message = `${this.reason} at offset ${this.offset}${this.path ? ` (${this.path})` : ''}`;
+  }
+}
+
+// Error codes carried by ABIDecodingError
+const DecodingErrorCode = Object.freeze({
+  OUT_OF_BOUNDS: 'OUT_OF_BOUNDS',
+  INVALID_OFFSET: 'INVALID_OFFSET',
+  LENGTH_LIMIT: 'LENGTH_LIMIT',
+  NON_CANONICAL: 'NON_CANONICAL',
+  INFLATION_LIMIT: 'INFLATION_LIMIT'
+});
+
+// Error thrown by contract helpers when a call reverts. `revert` holds the
+// decoded revert ({ name, signature, selector, args, reason }) or null when
+// the data could not be decoded, `data` the raw revert data.
+class ContractRevertError extends Error {
+  constructor(revert, data, cause) {
+    super(`Execution reverted: ${revert ? revert.reason : `unrecognized revert data ${data}`}`);
+    this.name = 'ContractRevertError';
+    this.revert = revert;
+    this.data = data;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+export { ABIDecodingError, DecodingErrorCode, ContractRevertError };
@@ -0,0 +1,4 @@
+import type { ParamType } from './types.js';
+
+export function encodePacked(types: readonly ParamType[], values: readonly unknown[]): string;
+export function solidityKeccak256(types: readonly ParamType[], values: readonly unknown[]): string;
@@ -0,0 +1,21 @@
+import { keccak256 } from './crypto-utils.js';
+import Encoder from './encoder.js';
+
+// Shared encoder for packed hashing helpers
+const encoder = new Encoder();
+
+/**
+ * Encode values with Solidity's abi.encodePacked rules
+ * Replaces ethers.solidityPacked
+ */
+export function encodePacked(types, values) {
+    return encoder.encodePacked(types, values);
+}
+
+/**
+ * Keccak-256 of the packed encoding of values
+ * Replaces ethers.solidityPackedKeccak256
+ */
+export function solidityKeccak256(types, values) {
+    return keccak256(encoder.encodePacked(types, values));
+}
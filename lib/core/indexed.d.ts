@@ -0,0 +1,16 @@
+import type { ParamType } from './types.js';
+
+// Hash stored in the topic of an indexed string, bytes, array or tuple
+export class Indexed {
+  constructor(hash: string);
+
+  readonly hash: string;
+  readonly isIndexed: true;
+
+  static isIndexed(value: unknown): value is Indexed;
+
+  // Whether `value` hashes to this topic
+  matches(type: ParamType, value: unknown): boolean;
+}
+
+export default Indexed;
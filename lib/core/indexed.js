@@ -0,0 +1,30 @@
+import Encoder from './encoder.js';
+
+// Indexed strings, bytes, arrays and tuples are stored in a log topic as the
+// keccak256 hash of their value, which cannot be decoded back. Decoded logs
+// carry an Indexed marker in their place so the hash is not mistaken for a
+// bytes32 value.
+let sharedEncoder = null;
+
+class Indexed {
+  constructor(hash) {
+    this.hash = hash.toLowerCase();
+    this.isIndexed = true;
+  }
+
+  static isIndexed(value) {
+    return value instanceof Indexed;
+  }
+
+  // Whether `value` hashes to this topic, e.g. a candidate ENS name for an
+  // indexed string. `type` is a type string or ABI parameter.
+  matches(type, value) {
+    if (!sharedEncoder) {
+      sharedEncoder = new Encoder();
+    }
+    return sharedEncoder.encodeTopic(type, value) === this.hash;
+  }
+}
+
+export { Indexed };
+export default Indexed;
@@ -0,0 +1,60 @@
+// Bounded cache with least-recently-used eviction and hit/miss counters.
+// A maxSize of 0 disables caching: lookups always miss and nothing is stored.
+class LRUCache {
+  constructor(maxSize = 1000) {
+    this.maxSize = maxSize;
+    this.map = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get(key) {
+    const value = this.map.get(key);
+    if (value === undefined) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used (Map keeps insertion order)
+    this.map.delete(key);
+    this.map.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  set(key, value) {
+    if (this.maxSize <= 0) return;
+
+    this.map.delete(key);
+    this.map.set(key, value);
+
+    if (this.map.size > this.maxSize) {
+      // Evict the least recently used entry
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  clear() {
+    this.map.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups === 0 ? 0 : this.hits / lookups,
+      size: this.map.size,
+      maxSize: this.maxSize
+    };
+  }
+}
+
+export { LRUCache };
+export default LRUCache;
@@ -0,0 +1,19 @@
+// Decoded values with both positional and named access:
+//   result[0] === result.amountOut
+export class Result extends Array<any> {
+  static fromValues(values: readonly unknown[], names?: readonly string[]): Result;
+
+  // Named entries
+  [name: string]: any;
+
+  // Name of each entry, '' where the ABI leaves it unnamed
+  readonly names: string[];
+
+  // Plain object keyed by name; unnamed entries fall back to their index
+  toObject(): Record<string, any>;
+
+  // Plain positional array, nested Results included
+  toArray(): any[];
+}
+
+export default Result;
@@ -0,0 +1,74 @@
+// Names of each Result's entries, kept off the array itself
+const resultNames = new WeakMap();
+
+// Decoded values with both positional and named access:
+//   result[0] === result.amountOut
+// A Result is a real Array, so destructuring, iteration and JSON output are
+// positional. Named access is added for every name that is unique within the
+// result and does not shadow an Array member (e.g. "length", "map").
+class Result extends Array {
+  // map/filter/slice return plain arrays rather than nameless Results
+  static get [Symbol.species]() {
+    return Array;
+  }
+
+  static fromValues(values, names = []) {
+    const result = new Result();
+    for (let i = 0; i < values.length; i++) {
+      result[i] = values[i];
+    }
+
+    const counts = new Map();
+    for (const name of names) {
+      if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    }
+
+    for (let i = 0; i < values.length; i++) {
+      const name = names[i];
+      if (!name || counts.get(name) > 1 || name in result || /^\d+$/.test(name)) continue;
+      Object.defineProperty(result, name, {
+        value: values[i],
+        enumerable: false,
+        writable: true,
+        configurable: true
+      });
+    }
+
+    resultNames.set(result, names.slice(0, values.length));
+    return result;
+  }
+
+  // Name of each entry, '' where the ABI leaves it unnamed
+  get names() {
+    return resultNames.get(this) || [];
+  }
+
+  // Plain object keyed by name; unnamed entries fall back to their index.
+  // Nested Results are converted as well.
+  toObject() {
+    const names = this.names;
+    const object = {};
+    for (let i = 0; i < this.length; i++) {
+      object[names[i] || String(i)] = toPlain(this[i], 'toObject');
+    }
+    return object;
+  }
+
+  // Plain positional array, nested Results included
+  toArray() {
+    return Array.from(this, value => toPlain(value, 'toArray'));
+  }
+}
+
+function toPlain(value, method) {
+  if (value instanceof Result) {
+    return value[method]();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => toPlain(item, method));
+  }
+  return value;
+}
+
+export { Result };
+export default Result;
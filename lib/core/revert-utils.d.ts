@@ -0,0 +1,27 @@
+import type Decoder from './decoder.js';
+import type { AbiFragment, CallOptions, DecodedError } from './types.js';
+
+export const ERROR_STRING_SELECTOR: '0x08c379a0';
+export const PANIC_SELECTOR: '0x4e487b71';
+export const PANIC_REASONS: Readonly<Record<number, string>>;
+
+// e.g. "Division or modulo by zero (0x12)"
+export function getPanicReason(code: number | bigint | string): string;
+
+// `customErrors` maps selectors to ABI error fragments
+export function decodeError(
+  data: string,
+  customErrors?: ReadonlyMap<string, AbiFragment> | null,
+  decoder?: Decoder,
+  options?: CallOptions
+): DecodedError;
+
+export function parseRevert(
+  data: string,
+  customErrors?: ReadonlyMap<string, AbiFragment> | null,
+  decoder?: Decoder,
+  options?: CallOptions
+): DecodedError | null;
+
+// Revert data nested in an error thrown by a provider
+export function getRevertData(error: unknown): string | null;
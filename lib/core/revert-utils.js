@@ -0,0 +1,112 @@
+import Decoder from './decoder.js';
+import { getFunctionSignature, isHex } from './utils.js';
+
+// Selectors of the errors the Solidity compiler emits itself
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const BUILTIN_ERRORS = new Map([
+    [ERROR_STRING_SELECTOR, { type: 'error', name: 'Error', inputs: [{ name: 'message', type: 'string' }] }],
+    [PANIC_SELECTOR, { type: 'error', name: 'Panic', inputs: [{ name: 'code', type: 'uint256' }] }]
+]);
+
+// Panic(uint256) codes, see the Solidity docs on "Panic via assert and Error via require"
+const PANIC_REASONS = Object.freeze({
+    0x00: 'Generic compiler panic',
+    0x01: 'Assertion failed',
+    0x11: 'Arithmetic overflow or underflow',
+    0x12: 'Division or modulo by zero',
+    0x21: 'Invalid enum value',
+    0x22: 'Invalid storage byte array encoding',
+    0x31: 'pop() on empty array',
+    0x32: 'Array index out of bounds',
+    0x41: 'Out of memory',
+    0x51: 'Call to uninitialized internal function'
+});
+
+// Revert data comes from arbitrary contracts, so it is always decoded strictly
+const sharedDecoder = new Decoder({ strict: true });
+
+// Human-readable reason for a panic code, e.g. "Division or modulo by zero (0x12)"
+function getPanicReason(code) {
+    const value = BigInt(code);
+    const hex = '0x' + value.toString(16).padStart(2, '0');
+    const reason = value <= 0xffn ? PANIC_REASONS[Number(value)] : undefined;
+    return `${reason || 'Unknown panic code'} (${hex})`;
+}
+
+// Decode revert data into { name, signature, selector, args, reason }.
+// `customErrors` maps selectors to ABI error fragments; Error(string) and
+// Panic(uint256) are always recognised. Throws for unknown selectors.
+function decodeError(data, customErrors = null, decoder = sharedDecoder, options = {}) {
+    if (!isHex(data) || data.length < 10) {
+        throw new Error(`Invalid revert data: ${data}`);
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const fragment = BUILTIN_ERRORS.get(selector) || (customErrors && customErrors.get(selector));
+    if (!fragment) {
+        throw new Error(`Error not found: ${selector}`);
+    }
+
+    const args = decoder.decodeParameters(fragment.inputs, '0x' + data.slice(10), options);
+    return {
+        name: fragment.name,
+        signature: getFunctionSignature(fragment),
+        selector,
+        args,
+        reason: formatReason(selector, fragment, args)
+    };
+}
+
+// Like decodeError, but returns null for empty, unknown or malformed data
+function parseRevert(data, customErrors = null, decoder = sharedDecoder, options = {}) {
+    try {
+        return decodeError(data, customErrors, decoder, options);
+    } catch {
+        return null;
+    }
+}
+
+function formatReason(selector, fragment, args) {
+    if (selector === ERROR_STRING_SELECTOR) {
+        return args[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+        return getPanicReason(args[0]);
+    }
+    return `${fragment.name}(${args.map(formatArg).join(', ')})`;
+}
+
+function formatArg(value) {
+    return Array.isArray(value) ? `[${value.map(formatArg).join(', ')}]` : String(value);
+}
+
+// Find revert data in an error thrown by a provider. JSON-RPC nodes put it in
+// `error.data`; client libraries nest the RPC error under `error`, `info.error`
+// or `cause`.
+function getRevertData(error, depth = 0) {
+    if (!error || typeof error !== 'object' || depth > 4) {
+        return null;
+    }
+
+    if (typeof error.data === 'string' && isHex(error.data) && error.data.length >= 10) {
+        return error.data;
+    }
+
+    for (const nested of [error.data, error.error, error.info && error.info.error, error.cause]) {
+        const data = getRevertData(nested, depth + 1);
+        if (data) return data;
+    }
+    return null;
+}
+
+export {
+    ERROR_STRING_SELECTOR,
+    PANIC_SELECTOR,
+    PANIC_REASONS,
+    getPanicReason,
+    decodeError,
+    parseRevert,
+    getRevertData
+};
@@ -0,0 +1,84 @@
+import type { AbiFragment, AbiInput } from './types.js';
+
+export function getFunctionSelectorFromSignature(signature: string): string;
+export function getEventTopicFromSignature(signature: string): string;
+
+// Canonical signature => selector
+export function generateSelectors(functions: readonly (string | AbiFragment)[]): Record<string, string>;
+
+// ERC-165 interface ID: XOR of the function selectors of an ABI or of raw
+// signatures
+export function computeInterfaceId(abiOrSignatures: AbiInput): string;
+
+export function validateFunctionSelector(selector: unknown): boolean;
+
+export interface NamedAbi {
+  name?: string;
+  abi: AbiInput;
+}
+
+export interface CollisionEntry {
+  // The ABI's name, or "abi[i]" for unnamed ABIs
+  contract: string;
+  signature: string;
+}
+
+export interface FunctionCollision {
+  selector: string;
+  // "shadowed": the same signature in several contracts;
+  // "collision": different signatures with the same selector
+  kind: 'shadowed' | 'collision';
+  entries: CollisionEntry[];
+}
+
+export interface EventCollision {
+  topic: string;
+  // "layout": the same signature with different indexed inputs
+  kind: 'collision' | 'layout';
+  entries: (CollisionEntry & { layout: string })[];
+}
+
+export interface DuplicateSignature {
+  contract: string;
+  type: 'function' | 'event' | 'error';
+  signature: string;
+  count: number;
+}
+
+export interface CollisionReport {
+  functions: FunctionCollision[];
+  events: EventCollision[];
+  duplicates: DuplicateSignature[];
+}
+
+export function findCollisions(...abis: (AbiInput | NamedAbi)[]): CollisionReport;
+
+// Selector or topic => candidate signatures
+export type SignatureDump = Record<string, string | readonly string[]>;
+
+export interface SelectorRegistryOptions {
+  // Seed with the ABIs bundled in lib/common
+  bundled?: boolean;
+}
+
+export interface ImportSignaturesOptions {
+  // Check each signature against its selector or topic (default true)
+  verify?: boolean;
+}
+
+export class SelectorRegistry {
+  constructor(options?: SelectorRegistryOptions);
+  readonly size: number;
+  addABI(abi: AbiInput): this;
+  importSignatures(dump: SignatureDump, options?: ImportSignaturesOptions): number;
+  lookup(selectorOrTopic: string): string[];
+  lookupSelector(dataOrSelector: string): string[];
+  lookupTopic(topic: string): string[];
+  toJSON(): Record<string, string[]>;
+}
+
+// The shared registry seeded with the bundled ABIs
+export function getSelectorRegistry(): SelectorRegistry;
+export function lookupSelector(dataOrSelector: string): string[];
+export function lookupTopic(topic: string): string[];
+export function importSignatures(dump: SignatureDump, options?: ImportSignaturesOptions): number;
@@ -1,5 +1,20 @@
 import { keccak256, toUtf8Bytes } from './crypto-utils.js';
-import { getFunctionSelector, getFunctionSignature } from './utils.js';
+import {
+    parseABI,
+    getFunctionSelector,
+    getFunctionSignature,
+    getEventSelector,
+    getEventSignature,
+    getCanonicalType
+} from './utils.js';
+// The one lib/common dependency of core: the ABIs that { bundled: true }
+// registries are seeded with
+import { BUNDLED_ABIS } from '../common/utils/bundled-abis.js';
+
+const selectorPattern = /^0x[0-9a-f]{8}$/;
+const topicPattern = /^0x[0-9a-f]{64}$/;
+// "name(type1,type2)" without a fragment keyword
+const rawSignaturePattern = /^[A-Za-z_$][\w$]*\(/;
 
 // Generate selector from raw function signature
 function getFunctionSelectorFromSignature(signature) {
@@ -16,6 +31,19 @@ function getFunctionSelectorFromSignature(signature) {
     return hash.slice(0, 10); // 0x + first 4 bytes
 }
 
+// Generate event topic (topic0) from raw event signature
+function getEventTopicFromSignature(signature) {
+    if (typeof signature !== 'string') {
+        throw new Error('Event signature must be a string');
+    }
+    
+    if (!signature.includes('(') || !signature.includes(')')) {
+        throw new Error('Invalid event signature format. Expected: Name(type1,type2,...)');
+    }
+    
+    return keccak256(toUtf8Bytes(signature));
+}
+
 // Generate selectors for multiple functions
 function generateSelectors(functions) {
     if (!Array.isArray(functions)) {
@@ -41,6 +69,35 @@ function generateSelectors(functions) {
     return selectors;
 }
 
+// ERC-165 interface ID: the XOR of the function selectors of an ABI, or of a
+// list of raw signatures ("transfer(address,uint256)"). Each signature counts
+// once, and only the functions given are included, so drop
+// supportsInterface from a contract ABI to get the ID of its interface.
+function computeInterfaceId(abiOrSignatures) {
+    const items = typeof abiOrSignatures === 'string' && rawSignaturePattern.test(abiOrSignatures.trim())
+        ? [abiOrSignatures]
+        : abiOrSignatures;
+    if (typeof items !== 'string' && !Array.isArray(items)) {
+        throw new Error('Expected an ABI or an array of function signatures');
+    }
+
+    // Raw signatures are read as human-readable function fragments
+    const fragments = parseABI(typeof items === 'string' ? items : items.map(item =>
+        typeof item === 'string' && rawSignaturePattern.test(item.trim()) ? `function ${item.trim()}` : item));
+    const selectors = generateSelectors(fragments.filter(item => item.type === 'function'));
+
+    const values = Object.values(selectors);
+    if (values.length === 0) {
+        throw new Error('No functions to compute an interface ID from');
+    }
+
+    let id = 0;
+    for (const selector of values) {
+        id ^= parseInt(selector.slice(2), 16);
+    }
+    return '0x' + (id >>> 0).toString(16).padStart(8, '0');
+}
+
 // Validate function selector format
 function validateFunctionSelector(selector) {
     if (typeof selector !== 'string') {
@@ -56,8 +113,262 @@ function validateFunctionSelector(selector) {
     return /^0x[0-9a-f]{8}$/i.test(selector);
 }
 
+// Find selector clashes between contracts, e.g. a proxy and its
+// implementation or the facets of a diamond. Each argument is an ABI or
+// { name, abi }. Reports:
+//   functions:  selectors declared by more than one contract, or shared by
+//               different signatures ("shadowed" when the signature is the
+//               same, "collision" when only the 4-byte hash is)
+//   events:     topics whose declarations differ in signature or in which
+//               inputs are indexed, so their logs decode differently
+//   duplicates: canonical signatures declared more than once in one ABI
+function findCollisions(...abis) {
+    const contracts = abis.map((entry, i) => {
+        const named = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+        if (named && !entry.abi) {
+            throw new Error(`Expected an ABI or { name, abi } at position ${i}`);
+        }
+        return {
+            name: named && entry.name ? entry.name : `abi[${i}]`,
+            fragments: parseABI(named ? entry.abi : entry)
+        };
+    });
+
+    const functions = new Map();
+    const events = new Map();
+    const duplicates = [];
+
+    for (const { name, fragments } of contracts) {
+        const functionFragments = fragments.filter(item => item.type === 'function');
+        const selectors = generateSelectors(functionFragments);
+        for (const [signature, selector] of Object.entries(selectors)) {
+            addToGroup(functions, selector, { contract: name, signature });
+        }
+
+        for (const event of fragments.filter(item => item.type === 'event' && !item.anonymous)) {
+            addToGroup(events, getEventSelector(event), {
+                contract: name,
+                signature: getEventSignature(event),
+                layout: getEventLayout(event)
+            });
+        }
+
+        duplicates.push(...findDuplicates(name, fragments));
+    }
+
+    return {
+        functions: collectGroups(functions, 'selector', entries => {
+            const contractCount = new Set(entries.map(entry => entry.contract)).size;
+            const signatureCount = new Set(entries.map(entry => entry.signature)).size;
+            if (contractCount < 2 && signatureCount < 2) return null;
+            return signatureCount > 1 ? 'collision' : 'shadowed';
+        }),
+        events: collectGroups(events, 'topic', entries => {
+            if (new Set(entries.map(entry => entry.signature)).size > 1) return 'collision';
+            if (new Set(entries.map(entry => entry.layout)).size > 1) return 'layout';
+            return null;
+        }),
+        duplicates
+    };
+}
+
+function addToGroup(groups, hash, entry) {
+    const entries = groups.get(hash);
+    if (entries) {
+        entries.push(entry);
+    } else {
+        groups.set(hash, [entry]);
+    }
+}
+
+// Groups classified as a clash, as { [hashKey], kind, entries }
+function collectGroups(groups, hashKey, classify) {
+    const clashes = [];
+    for (const [hash, entries] of groups) {
+        const kind = classify(entries);
+        if (kind) {
+            clashes.push({ [hashKey]: hash, kind, entries });
+        }
+    }
+    return clashes;
+}
+
+// "Transfer(address indexed,address indexed,uint256)"
+function getEventLayout(event) {
+    const inputs = event.inputs.map(input => getCanonicalType(input) + (input.indexed ? ' indexed' : ''));
+    return `${event.name}(${inputs.join(',')})`;
+}
+
+function findDuplicates(contract, fragments) {
+    const counts = new Map();
+    for (const item of fragments) {
+        let signature;
+        if (item.type === 'function' || item.type === 'error') {
+            signature = getFunctionSignature(item);
+        } else if (item.type === 'event') {
+            signature = getEventSignature(item);
+        } else {
+            continue;
+        }
+        const key = `${item.type} ${signature}`;
+        const entry = counts.get(key);
+        if (entry) {
+            entry.count++;
+        } else {
+            counts.set(key, { contract, type: item.type, signature, count: 1 });
+        }
+    }
+    return Array.from(counts.values()).filter(entry => entry.count > 1);
+}
+
+// Offline reverse lookup of 4-byte selectors (functions and errors) and
+// 32-byte event topics. Several signatures can share a selector, so every
+// lookup returns a list of candidates in the order they were added.
+class SelectorRegistry {
+    constructor(options = {}) {
+        this.selectors = new Map();
+        this.topics = new Map();
+
+        if (options.bundled) {
+            for (const abi of Object.values(BUNDLED_ABIS)) {
+                this.addABI(abi);
+            }
+        }
+    }
+
+    // Register the functions, errors and events of an ABI
+    addABI(abi) {
+        for (const item of parseABI(abi)) {
+            if (item.type === 'function' || item.type === 'error') {
+                this._add(this.selectors, getFunctionSelector(item), getFunctionSignature(item));
+            } else if (item.type === 'event') {
+                this._add(this.topics, getEventSelector(item), getEventSignature(item));
+            }
+        }
+        return this;
+    }
+
+    // Import a dump of the form { "0xa9059cbb": ["transfer(address,uint256)"] }.
+    // Keys may be selectors or topics, values a signature or a list of them.
+    // Each signature is checked against its key unless options.verify is false.
+    // Returns the number of signatures added.
+    importSignatures(dump, options = {}) {
+        if (typeof dump !== 'object' || dump === null || Array.isArray(dump)) {
+            throw new Error('Expected an object mapping selectors to signatures');
+        }
+
+        const verify = options.verify !== false;
+        let added = 0;
+        for (const [key, value] of Object.entries(dump)) {
+            const hash = key.toLowerCase();
+            const isTopic = topicPattern.test(hash);
+            if (!isTopic && !selectorPattern.test(hash)) {
+                throw new Error(`Invalid selector or topic: ${key}`);
+            }
+
+            for (const signature of Array.isArray(value) ? value : [value]) {
+                if (typeof signature !== 'string') {
+                    throw new Error(`Invalid signature for ${key}: expected a string`);
+                }
+                if (verify) {
+                    const expected = isTopic
+                        ? getEventTopicFromSignature(signature)
+                        : getFunctionSelectorFromSignature(signature);
+                    if (expected !== hash) {
+                        throw new Error(`Signature ${signature} does not match ${key}`);
+                    }
+                }
+                if (this._add(isTopic ? this.topics : this.selectors, hash, signature)) {
+                    added++;
+                }
+            }
+        }
+        return added;
+    }
+
+    // Candidate signatures for a selector or topic, [] when unknown
+    lookup(selectorOrTopic) {
+        if (typeof selectorOrTopic !== 'string') {
+            return [];
+        }
+        const hash = selectorOrTopic.toLowerCase();
+        const candidates = hash.length === 66 ? this.topics.get(hash) : this.selectors.get(hash.slice(0, 10));
+        return candidates ? [...candidates] : [];
+    }
+
+    // Selector of calldata (or a bare selector) to candidate signatures
+    lookupSelector(dataOrSelector) {
+        return typeof dataOrSelector === 'string' && dataOrSelector.length >= 10
+            ? this.lookup(dataOrSelector.slice(0, 10))
+            : [];
+    }
+
+    lookupTopic(topic) {
+        return typeof topic === 'string' && topic.length === 66 ? this.lookup(topic) : [];
+    }
+
+    // Dump in the importable format, selectors first
+    toJSON() {
+        const dump = {};
+        for (const map of [this.selectors, this.topics]) {
+            for (const [hash, signatures] of map) {
+                dump[hash] = [...signatures];
+            }
+        }
+        return dump;
+    }
+
+    get size() {
+        return this.selectors.size + this.topics.size;
+    }
+
+    // Returns whether the signature was new for this hash
+    _add(map, hash, signature) {
+        const signatures = map.get(hash);
+        if (!signatures) {
+            map.set(hash, [signature]);
+            return true;
+        }
+        if (signatures.includes(signature)) {
+            return false;
+        }
+        signatures.push(signature);
+        return true;
+    }
+}
+
+// Shared registry seeded with the bundled ABIs, built on first use
+let defaultRegistry = null;
+
+function getSelectorRegistry() {
+    if (!defaultRegistry) {
+        defaultRegistry = new SelectorRegistry({ bundled: true });
+    }
+    return defaultRegistry;
+}
+
+function lookupSelector(dataOrSelector) {
+    return getSelectorRegistry().lookupSelector(dataOrSelector);
+}
+
+function lookupTopic(topic) {
+    return getSelectorRegistry().lookupTopic(topic);
+}
+
+function importSignatures(dump, options) {
+    return getSelectorRegistry().importSignatures(dump, options);
+}
+
 export {
+    findCollisions,
+    SelectorRegistry,
+    getSelectorRegistry,
+    lookupSelector,
+    lookupTopic,
+    importSignatures,
     getFunctionSelectorFromSignature,
+    getEventTopicFromSignature,
     generateSelectors,
+    computeInterfaceId,
     validateFunctionSelector
 };
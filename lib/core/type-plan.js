@@ -0,0 +1,193 @@
+import { LRUCache } from './lru-cache.js';
+
+// Pre-compile type patterns
+const arrayPattern = /^(.+)\[(\d*)\]$/;
+const uintPattern = /^uint(\d+)?$/;
+const intPattern = /^int(\d+)?$/;
+const fixedBytesPattern = /^bytes(\d+)$/;
+const tuplePattern = /^tuple\((.*)\)$/;
+
+// Build the data-independent description of an ABI type that the Encoder and
+// Decoder dispatch on. `type` is a type string or an ABI parameter object;
+// `planFor` resolves nested types so they share the same cache.
+function buildTypePlan(type, planFor) {
+  const typeStr = typeof type === 'string' ? type : type.type;
+
+  const arrayMatch = arrayPattern.exec(typeStr);
+  if (arrayMatch) {
+    // Split off the outermost dimension: "string[2][]" -> "string[2]" + "[]"
+    const elementType = typeof type === 'string' ? arrayMatch[1] : { ...type, type: arrayMatch[1] };
+    const fixedSize = arrayMatch[2] === '' ? null : parseInt(arrayMatch[2]);
+    return {
+      kind: 'array',
+      typeStr,
+      elementType,
+      fixedSize,
+      // T[] is always dynamic, T[k] only when T is
+      dynamic: fixedSize === null || planFor(elementType).dynamic
+    };
+  }
+
+  if (typeStr.startsWith('tuple')) {
+    const components = getTupleComponents(type);
+    return {
+      kind: 'tuple',
+      typeStr,
+      components,
+      dynamic: components.some(component => planFor(component).dynamic)
+    };
+  }
+
+  switch (typeStr) {
+    case 'bool':
+    case 'address':
+      return { kind: typeStr, typeStr, dynamic: false };
+    case 'bytes':
+    case 'string':
+      return { kind: typeStr, typeStr, dynamic: true };
+  }
+
+  let match = uintPattern.exec(typeStr);
+  if (match) {
+    return { kind: 'uint', typeStr, bits: parseInt(match[1]) || 256, dynamic: false };
+  }
+
+  match = intPattern.exec(typeStr);
+  if (match) {
+    return { kind: 'int', typeStr, bits: parseInt(match[1]) || 256, dynamic: false };
+  }
+
+  match = fixedBytesPattern.exec(typeStr);
+  if (match) {
+    return { kind: 'fixedBytes', typeStr, size: parseInt(match[1]), dynamic: false };
+  }
+
+  throw new Error(`Unsupported type: ${typeStr}`);
+}
+
+// Components of a tuple given as an ABI object or as "tuple(type1 name1,...)"
+function getTupleComponents(type) {
+  if (typeof type === 'object' && Array.isArray(type.components)) {
+    return type.components;
+  }
+
+  if (typeof type === 'string') {
+    const match = tuplePattern.exec(type);
+    if (match) {
+      return parseTupleComponents(match[1]);
+    }
+  }
+
+  throw new Error(`Missing components for tuple type: ${typeof type === 'string' ? type : type.type}`);
+}
+
+// Split "uint256 amount,(address,bool)[] legs" into component objects
+function parseTupleComponents(componentStr) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of componentStr) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      // The type ends at the first whitespace outside parentheses
+      let nesting = 0;
+      let end = part.length;
+      for (let j = 0; j < part.length; j++) {
+        if (part[j] === '(') nesting++;
+        else if (part[j] === ')') nesting--;
+        else if (/\s/.test(part[j]) && nesting === 0) {
+          end = j;
+          break;
+        }
+      }
+
+      const componentType = part.slice(0, end);
+      const name = part.slice(end).trim();
+      const nested = tuplePattern.exec(componentType.replace(/(\[\d*\])+$/, ''));
+      if (componentType.startsWith('(') || nested) {
+        // Inline struct: "(address,uint256)[]" or "tuple(address,uint256)"
+        const inner = componentType.startsWith('(')
+          ? componentType.slice(1, componentType.lastIndexOf(')'))
+          : nested[1];
+        const arraySuffix = componentType.slice(componentType.lastIndexOf(')') + 1);
+        return { type: `tuple${arraySuffix}`, name, components: parseTupleComponents(inner) };
+      }
+      return { type: componentType, name };
+    });
+}
+
+// Type plans keyed by type string (bounded LRU) or by ABI object identity.
+// ABI fragments are long-lived, so a WeakMap keeps their plans exactly as long
+// as the ABI itself without having to serialize the component tree.
+class TypePlanCache {
+  constructor(maxSize = 1000) {
+    this.maxSize = maxSize;
+    this.stringPlans = new LRUCache(maxSize);
+    this.objectPlans = new WeakMap();
+    this.objectHits = 0;
+    this.objectMisses = 0;
+    this._planFor = (type) => this.get(type);
+  }
+
+  get(type) {
+    if (this.maxSize <= 0) {
+      return buildTypePlan(type, this._planFor);
+    }
+
+    if (typeof type === 'string') {
+      let plan = this.stringPlans.get(type);
+      if (plan === undefined) {
+        plan = buildTypePlan(type, this._planFor);
+        this.stringPlans.set(type, plan);
+      }
+      return plan;
+    }
+
+    let plan = this.objectPlans.get(type);
+    if (plan === undefined) {
+      this.objectMisses++;
+      plan = buildTypePlan(type, this._planFor);
+      this.objectPlans.set(type, plan);
+    } else {
+      this.objectHits++;
+    }
+    return plan;
+  }
+
+  clear() {
+    this.stringPlans.clear();
+    this.objectPlans = new WeakMap();
+    this.objectHits = 0;
+    this.objectMisses = 0;
+  }
+
+  getStats() {
+    const stats = this.stringPlans.getStats();
+    const hits = stats.hits + this.objectHits;
+    const misses = stats.misses + this.objectMisses;
+    return {
+      hits,
+      misses,
+      hitRate: hits + misses === 0 ? 0 : hits / (hits + misses),
+      size: stats.size,
+      maxSize: this.maxSize
+    };
+  }
+}
+
+export { TypePlanCache, buildTypePlan, getTupleComponents, parseTupleComponents };
@@ -0,0 +1,35 @@
+import type { Numeric } from './types.js';
+
+export interface TypedDataField {
+  name: string;
+  type: string;
+}
+
+// Struct name => fields, e.g. { Mail: [{ name: 'from', type: 'Person' }] }
+export type TypedDataTypes = Record<string, readonly TypedDataField[]>;
+
+export interface TypedDataDomain {
+  name?: string;
+  version?: string;
+  chainId?: Numeric;
+  verifyingContract?: string;
+  salt?: string | Uint8Array;
+}
+
+// An eth_signTypedData_v4 payload
+export interface TypedData {
+  domain?: TypedDataDomain;
+  types: TypedDataTypes;
+  primaryType: string;
+  message?: Record<string, unknown>;
+}
+
+export function encodeType(primaryType: string, types: TypedDataTypes): string;
+export function hashType(primaryType: string, types: TypedDataTypes): string;
+export function encodeData(primaryType: string, data: Record<string, unknown>, types: TypedDataTypes): string;
+export function hashStruct(primaryType: string, data: Record<string, unknown>, types: TypedDataTypes): string;
+// Domain separator; types.EIP712Domain overrides the derived domain type
+export function hashDomain(domain: TypedDataDomain, types?: TypedDataTypes): string;
+// keccak256("\x19\x01" || domainSeparator || hashStruct(message))
+export function hashTypedData(typedData: TypedData): string;
+export function getDomainType(domain: TypedDataDomain): TypedDataField[];
@@ -0,0 +1,313 @@
+// EIP-712 typed structured data hashing: encodeType, hashStruct, the domain
+// separator and the final digest signed by eth_signTypedData_v4. `types` maps
+// struct names to their fields, e.g. { Mail: [{ name: 'from', type: 'Person' }] };
+// an EIP712Domain entry in it is ignored except when hashing the domain.
+
+import Encoder from './encoder.js';
+import { keccak256 } from './crypto-utils.js';
+import { bufferToHex, hexToBuffer, isHex } from './utils.js';
+
+// Shared encoder for atomic values
+const encoder = new Encoder();
+
+// Domain fields in their canonical order
+const DOMAIN_FIELDS = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+  { name: 'salt', type: 'bytes32' }
+];
+
+const identifierPattern = /^[A-Za-z_$][\w$]*$/;
+const arrayPattern = /^(.*)\[(\d*)\]$/;
+const intPattern = /^(u?)int(\d*)$/;
+const fixedBytesPattern = /^bytes(\d+)$/;
+const addressPattern = /^0x[0-9a-fA-F]{40}$/;
+
+// Canonical type string of a struct and the structs it references, e.g.
+// "Mail(Person from,Person to,string contents)Person(string name,address wallet)"
+function encodeType(primaryType, types) {
+  return new TypedDataEncoder(types).encodeType(primaryType);
+}
+
+function hashType(primaryType, types) {
+  return new TypedDataEncoder(types).hashType(primaryType);
+}
+
+// hashType followed by the 32-byte encoding of every field
+function encodeData(primaryType, data, types) {
+  return bufferToHex(new TypedDataEncoder(types).encodeData(primaryType, data));
+}
+
+function hashStruct(primaryType, data, types) {
+  return new TypedDataEncoder(types).hashStruct(primaryType, data);
+}
+
+// Domain separator. The EIP712Domain type is derived from the fields present
+// in `domain` unless `types` declares it.
+function hashDomain(domain, types = {}) {
+  const domainTypes = { EIP712Domain: types.EIP712Domain || getDomainType(domain) };
+  return new TypedDataEncoder(domainTypes).hashStruct('EIP712Domain', domain);
+}
+
+// The 32-byte digest keccak256("\x19\x01" || domainSeparator || hashStruct(message))
+// for an eth_signTypedData_v4 payload { domain, types, primaryType, message }
+function hashTypedData(typedData) {
+  if (!typedData || typeof typedData !== 'object') {
+    throw new Error('Expected typed data { domain, types, primaryType, message }');
+  }
+
+  const { domain = {}, types, primaryType, message } = typedData;
+  const domainSeparator = hashDomain(domain, types);
+  if (primaryType === 'EIP712Domain') {
+    return keccak256('0x1901' + domainSeparator.slice(2));
+  }
+
+  const structHash = hashStruct(primaryType, message, types);
+  return keccak256('0x1901' + domainSeparator.slice(2) + structHash.slice(2));
+}
+
+// EIP712Domain fields for the keys present in `domain`
+function getDomainType(domain) {
+  if (!domain || typeof domain !== 'object' || Array.isArray(domain)) {
+    throw new Error('Invalid domain: expected an object');
+  }
+
+  for (const key of Object.keys(domain)) {
+    if (!DOMAIN_FIELDS.some(field => field.name === key)) {
+      throw new Error(`Invalid domain field: ${key}`);
+    }
+  }
+  return DOMAIN_FIELDS.filter(field => domain[field.name] !== undefined && domain[field.name] !== null);
+}
+
+// Validated struct definitions, with encodeType strings and type hashes
+// memoized per struct
+class TypedDataEncoder {
+  constructor(types) {
+    if (!types || typeof types !== 'object' || Array.isArray(types)) {
+      throw new Error('Invalid types: expected an object mapping struct names to fields');
+    }
+
+    this.structs = new Map();
+    for (const [name, fields] of Object.entries(types)) {
+      if (!identifierPattern.test(name) || isAtomicType(name) || name === 'string' || name === 'bytes') {
+        throw new Error(`Invalid struct name: ${name}`);
+      }
+      if (!Array.isArray(fields)) {
+        throw new Error(`Invalid fields for ${name}: expected an array`);
+      }
+
+      const names = new Set();
+      for (const field of fields) {
+        if (!field || typeof field.name !== 'string' || typeof field.type !== 'string') {
+          throw new Error(`Invalid field in ${name}: expected { name, type }`);
+        }
+        if (!identifierPattern.test(field.name)) {
+          throw new Error(`Invalid field name in ${name}: ${field.name}`);
+        }
+        if (names.has(field.name)) {
+          throw new Error(`Duplicate field ${name}.${field.name}`);
+        }
+        names.add(field.name);
+      }
+      this.structs.set(name, fields);
+    }
+
+    // Every field type must be elementary or a declared struct
+    for (const [name, fields] of this.structs) {
+      for (const field of fields) {
+        const base = getBaseType(field.type);
+        if (!isAtomicType(base) && base !== 'string' && base !== 'bytes' && !this.structs.has(base)) {
+          throw new Error(`Unknown type ${field.type} for ${name}.${field.name}`);
+        }
+      }
+    }
+
+    this.encodedTypes = new Map();
+    this.typeHashes = new Map();
+  }
+
+  _getFields(name) {
+    const fields = this.structs.get(name);
+    if (!fields) {
+      throw new Error(`Unknown struct type: ${name}`);
+    }
+    return fields;
+  }
+
+  encodeType(primaryType) {
+    if (!this.encodedTypes.has(primaryType)) {
+      const dependencies = [...this._findDependencies(primaryType, new Set())]
+        .filter(name => name !== primaryType)
+        .sort();
+      const encoded = [primaryType, ...dependencies]
+        .map(name => `${name}(${this._getFields(name).map(field => `${field.type} ${field.name}`).join(',')})`)
+        .join('');
+      this.encodedTypes.set(primaryType, encoded);
+    }
+    return this.encodedTypes.get(primaryType);
+  }
+
+  // Structs reachable from `name`, itself included; cycles are allowed
+  _findDependencies(name, found) {
+    if (found.has(name)) return found;
+    found.add(name);
+
+    for (const field of this._getFields(name)) {
+      const base = getBaseType(field.type);
+      if (this.structs.has(base)) {
+        this._findDependencies(base, found);
+      }
+    }
+    return found;
+  }
+
+  hashType(primaryType) {
+    if (!this.typeHashes.has(primaryType)) {
+      this.typeHashes.set(primaryType, keccak256(this.encodeType(primaryType)));
+    }
+    return this.typeHashes.get(primaryType);
+  }
+
+  encodeData(primaryType, data, path = primaryType) {
+    const fields = this._getFields(primaryType);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Invalid value for ${path}: expected an object`);
+    }
+
+    for (const key of Object.keys(data)) {
+      if (!fields.some(field => field.name === key)) {
+        throw new Error(`Unknown field ${path}.${key}`);
+      }
+    }
+
+    const encoded = [hexToBuffer(this.hashType(primaryType))];
+    for (const field of fields) {
+      const value = data[field.name];
+      if (value === undefined || value === null) {
+        throw new Error(`Missing value for ${path}.${field.name}`);
+      }
+      encoded.push(this._encodeField(field.type, value, `${path}.${field.name}`));
+    }
+    return Buffer.concat(encoded);
+  }
+
+  hashStruct(primaryType, data) {
+    return keccak256(this.encodeData(primaryType, data));
+  }
+
+  // 32-byte encoding of a member: atomic values in place, everything else
+  // hashed
+  _encodeField(type, value, path) {
+    const array = arrayPattern.exec(type);
+    if (array) {
+      if (!Array.isArray(value)) {
+        throw new Error(`Invalid value for ${path}: expected an array`);
+      }
+      if (array[2] !== '' && value.length !== Number(array[2])) {
+        throw new Error(`Invalid value for ${path}: expected ${array[2]} elements, got ${value.length}`);
+      }
+      const elements = value.map((element, i) => this._encodeField(array[1], element, `${path}[${i}]`));
+      return hexToBuffer(keccak256(Buffer.concat(elements)));
+    }
+
+    if (this.structs.has(type)) {
+      return hexToBuffer(keccak256(this.encodeData(type, value, path)));
+    }
+
+    try {
+      return encodeAtomicValue(type, value);
+    } catch (error) {
+      throw new Error(`Invalid value for ${path}: ${error.message}`);
+    }
+  }
+}
+
+function encodeAtomicValue(type, value) {
+  if (type === 'string') {
+    if (typeof value !== 'string') throw new Error(`expected a string, got ${typeof value}`);
+    return hexToBuffer(keccak256(Buffer.from(value, 'utf8')));
+  }
+  if (type === 'bytes') {
+    return hexToBuffer(keccak256(toBytes(value)));
+  }
+  if (type === 'bool') {
+    if (typeof value !== 'boolean') throw new Error(`expected a boolean, got ${typeof value}`);
+    return encoder.encodeBool(value);
+  }
+  if (type === 'address') {
+    if (typeof value !== 'string' || !addressPattern.test(value)) throw new Error(`invalid address ${value}`);
+    return encoder.encodeAddress(value);
+  }
+
+  const int = intPattern.exec(type);
+  if (int) {
+    if (typeof value !== 'bigint' && typeof value !== 'string' && !Number.isSafeInteger(value)) {
+      throw new Error(`invalid integer ${value}`);
+    }
+    let number;
+    try {
+      number = BigInt(value);
+    } catch (error) {
+      throw new Error(`invalid integer ${value}`);
+    }
+    const bits = Number(int[2]);
+    return int[1] ? encoder.encodeUint(number, bits) : encoder.encodeInt(number, bits);
+  }
+
+  const size = Number(fixedBytesPattern.exec(type)[1]);
+  const bytes = toBytes(value);
+  if (bytes.length !== size) {
+    throw new Error(`expected ${size} bytes, got ${bytes.length}`);
+  }
+  return encoder.encodeFixedBytes(bytes, size);
+}
+
+// bytes values are hex strings or byte arrays; other strings are rejected
+// rather than read as UTF-8
+function toBytes(value) {
+  if (typeof value === 'string') {
+    if (!isHex(value) || value.length % 2 !== 0) throw new Error(`invalid hex bytes ${value}`);
+    return hexToBuffer(value);
+  }
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  throw new Error(`expected hex bytes, got ${typeof value}`);
+}
+
+// "Person[][2]" -> "Person"
+function getBaseType(type) {
+  let base = type;
+  let array;
+  while ((array = arrayPattern.exec(base))) {
+    base = array[1];
+  }
+  return base;
+}
+
+function isAtomicType(type) {
+  if (type === 'bool' || type === 'address') return true;
+
+  // Widths are explicit and without leading zeros: uint256, not uint or uint0256
+  const int = intPattern.exec(type);
+  if (int) {
+    const bits = Number(int[2]);
+    return int[2] === String(bits) && bits >= 8 && bits <= 256 && bits % 8 === 0;
+  }
+
+  const bytes = fixedBytesPattern.exec(type);
+  return bytes !== null && bytes[1] === String(Number(bytes[1])) && Number(bytes[1]) >= 1 && Number(bytes[1]) <= 32;
+}
+
+export {
+  encodeType,
+  hashType,
+  encodeData,
+  hashStruct,
+  hashDomain,
+  hashTypedData,
+  getDomainType
+};
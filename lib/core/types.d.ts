@@ -0,0 +1,140 @@
+// Shared declarations for ABI fragments, options and decoded shapes
+
+import type { Result } from './result.js';
+
+// A parameter of a JSON ABI fragment. `type` is a canonical Solidity type,
+// with tuples spelled "tuple", "tuple[]" or "tuple[k]" plus `components`.
+export interface AbiParameter {
+  name?: string;
+  type: string;
+  internalType?: string;
+  indexed?: boolean;
+  components?: readonly AbiParameter[];
+}
+
+// A JSON ABI entry. `type` and `stateMutability` are plain strings so that
+// ABIs imported from JSON files type-check without casts.
+export interface AbiFragment {
+  type: string;
+  name?: string;
+  inputs?: readonly AbiParameter[];
+  outputs?: readonly AbiParameter[];
+  stateMutability?: string;
+  anonymous?: boolean;
+  // Legacy mutability flags
+  constant?: boolean;
+  payable?: boolean;
+}
+
+// JSON ABI array or string, or human-readable fragments (optionally mixed
+// with JSON fragments)
+export type AbiInput = string | readonly (AbiFragment | string)[];
+
+// A type string ("uint256", "(address,uint256)[]") or an ABI parameter
+export type ParamType = string | AbiParameter;
+
+export type StateMutability = 'pure' | 'view' | 'nonpayable' | 'payable';
+
+export type NumberFormat = 'string' | 'bigint' | 'hex' | 'number';
+
+// Integers accepted by the encoder
+export type Numeric = string | number | bigint;
+
+// A decoded integer: a decimal or hex string, bigint or number depending on
+// the number format
+export type DecodedNumber = string | bigint | number;
+
+export interface EncoderOptions {
+  // Set to false to disable value and type caching
+  cache?: boolean;
+  // Maximum entries per cache (default 1000)
+  cacheSize?: number;
+}
+
+export interface DecoderOptions {
+  numberFormat?: NumberFormat;
+  strict?: boolean;
+  maxDynamicLength?: number;
+  maxInflation?: number;
+  cache?: boolean;
+  cacheSize?: number;
+}
+
+export type CodecOptions = DecoderOptions;
+
+// Per-call overrides of the decoder settings
+export interface CallOptions {
+  numberFormat?: NumberFormat;
+}
+
+export interface CacheStats {
+  hits: number;
+  misses: number;
+  hitRate: number;
+  size: number;
+  maxSize: number;
+}
+
+export interface EncoderCacheStats {
+  values: CacheStats;
+  types: CacheStats;
+}
+
+export interface DecoderCacheStats {
+  types: CacheStats;
+}
+
+// A log as returned by a node
+export interface Log {
+  address?: string;
+  topics: readonly string[];
+  data: string;
+  blockHash?: string;
+  blockNumber?: number | string;
+  transactionHash?: string;
+  transactionIndex?: number | string;
+  logIndex?: number | string;
+  removed?: boolean;
+}
+
+export interface Receipt {
+  logs: readonly Log[];
+  [key: string]: unknown;
+}
+
+// Result of a function with a single unnamed return value
+export interface ValueResult<T> extends Result {
+  0: T;
+}
+
+export interface DecodedEvent {
+  name: string;
+  args: Result;
+}
+
+export interface DecodedReceiptLog extends DecodedEvent {
+  // Position of the log within its receipt
+  logIndex: number;
+  address?: string;
+  blockHash?: string;
+  blockNumber?: number | string;
+  transactionHash?: string;
+  transactionIndex?: number | string;
+  removed?: boolean;
+}
+
+export interface EventLog {
+  topics: string[];
+  data: string;
+}
+
+// eth_getLogs topic: a value, any of several values, or a wildcard
+export type FilterTopic = string | string[] | null;
+
+export interface DecodedError {
+  name: string;
+  signature: string;
+  selector: string;
+  args: Result;
+  reason: string;
+}
@@ -0,0 +1,17 @@
+/// <reference types="node" />
+import type { AbiFragment, AbiInput, AbiParameter, Numeric } from './types.js';
+
+export function parseABI(abi: AbiInput): AbiFragment[];
+
+export function getFunctionSelector(func: AbiFragment): string;
+export function getEventSelector(event: AbiFragment): string;
+export function getFunctionSignature(func: AbiFragment): string;
+export function getEventSignature(event: AbiFragment): string;
+export function getCanonicalType(param: AbiParameter): string;
+
+export function hexToBuffer(hex: string): Buffer;
+export function bufferToHex(buffer: Buffer): string;
+export function padLeft(buffer: Buffer, length?: number): Buffer;
+export function padRight(buffer: Buffer, length?: number): Buffer;
+export function isHex(str: string): boolean;
+export function toBigInt(value: Numeric): bigint;
@@ -1,31 +1,51 @@
 import { keccak256, toUtf8Bytes } from './crypto-utils.js';
+import { parseHumanReadableABI } from './abi-parser.js';
 
 // Cache for function and event selectors
 const selectorCache = new Map();
 const signatureCache = new Map();
 const typeCache = new Map();
+const canonicalTypeCache = new Map();
 
 // Pre-compile regex patterns
 const hexPattern = /^0x[0-9a-fA-F]*$/;
-const arrayTypePattern = /^(.+)\[(\d*)\]$/;
 
-// Parse and normalize ABI with caching
+// Parse and normalize ABI with caching. Accepts a JSON ABI array, a JSON
+// string, or human-readable fragments (a single string or an array of
+// strings, optionally mixed with JSON fragments).
 function parseABI(abi) {
   if (typeof abi === 'string') {
     const cacheKey = abi;
     if (typeCache.has(cacheKey)) {
       return typeCache.get(cacheKey);
     }
-    const parsed = JSON.parse(abi);
+    const trimmed = abi.trim();
+    const parsed = trimmed.startsWith('[') || trimmed.startsWith('{')
+      ? JSON.parse(abi)
+      : parseHumanReadableABI([abi]);
     typeCache.set(cacheKey, parsed);
     return parsed;
   }
+  if (Array.isArray(abi) && abi.some(item => typeof item === 'string')) {
+    return parseHumanReadableABI(abi);
+  }
   return abi;
 }
 
+// Cache key covering the full component tree of each parameter, so that
+// structs sharing a name and `tuple` type never collide
+function getParamsKey(params) {
+  return params.map(getTypeKey).join(',');
+}
+
+function getTypeKey(param) {
+  if (!param.components) return param.type;
+  return `${param.type}(${getParamsKey(param.components)})`;
+}
+
 // Get function selector with caching
 function getFunctionSelector(func) {
-  const cacheKey = `${func.name}:${func.inputs.map(i => i.type).join(',')}`;
+  const cacheKey = `${func.name}:${getParamsKey(func.inputs)}`;
   if (selectorCache.has(cacheKey)) {
     return selectorCache.get(cacheKey);
   }
@@ -39,7 +59,8 @@ function getFunctionSelector(func) {
 
 // Get event selector with caching
 function getEventSelector(event) {
-  const cacheKey = `${event.name}:${event.inputs.map(i => i.type).join(',')}`;
+  // Prefixed so an event never shares a cache entry with a same-named function
+  const cacheKey = `event:${event.name}:${getParamsKey(event.inputs)}`;
   if (selectorCache.has(cacheKey)) {
     return selectorCache.get(cacheKey);
   }
@@ -52,7 +73,7 @@ function getEventSelector(event) {
 
 // Generate function signature string with caching
 function getFunctionSignature(func) {
-  const cacheKey = `${func.name}:${func.inputs.map(i => i.type).join(',')}`;
+  const cacheKey = `${func.name}:${getParamsKey(func.inputs)}`;
   if (signatureCache.has(cacheKey)) {
     return signatureCache.get(cacheKey);
   }
@@ -65,7 +86,7 @@ function getFunctionSignature(func) {
 
 // Generate event signature string with caching
 function getEventSignature(event) {
-  const cacheKey = `${event.name}:${event.inputs.map(i => i.type).join(',')}`;
+  const cacheKey = `${event.name}:${getParamsKey(event.inputs)}`;
   if (signatureCache.has(cacheKey)) {
     return signatureCache.get(cacheKey);
   }
@@ -77,41 +98,43 @@ function getEventSignature(event) {
 }
 
 // Get canonical type string for ABI encoding with caching
+// Tuples expand recursively into their components, e.g. "(address,uint256)[]"
 function getCanonicalType(param) {
-  const cacheKey = JSON.stringify(param);
-  if (typeCache.has(cacheKey)) {
-    return typeCache.get(cacheKey);
+  const cacheKey = getTypeKey(param);
+  if (canonicalTypeCache.has(cacheKey)) {
+    return canonicalTypeCache.get(cacheKey);
   }
 
+  // Array suffixes ("[]", "[2][]", ...) follow the base type unchanged
+  const bracketIndex = param.type.indexOf('[');
+  const baseType = bracketIndex === -1 ? param.type : param.type.slice(0, bracketIndex);
+  const arrayPart = bracketIndex === -1 ? '' : param.type.slice(bracketIndex);
+
   let result;
-  if (param.type.includes('[')) {
-    const match = arrayTypePattern.exec(param.type);
-    if (match) {
-      const baseType = match[1];
-      const arrayPart = param.type.substring(baseType.length);
-      result = getBaseCanonicalType(baseType) + arrayPart;
-    } else {
-      result = param.type;
+  if (baseType === 'tuple') {
+    if (!Array.isArray(param.components)) {
+      throw new Error(`Missing components for tuple type: ${param.type}`);
     }
+    result = `(${param.components.map(getCanonicalType).join(',')})${arrayPart}`;
   } else {
-    result = getBaseCanonicalType(param.type);
+    result = getBaseCanonicalType(baseType) + arrayPart;
   }
 
-  typeCache.set(cacheKey, result);
+  canonicalTypeCache.set(cacheKey, result);
   return result;
 }
 
 // Optimized base type normalization
 function getBaseCanonicalType(type) {
   switch (type) {
-    case 'tuple':
-      return 'tuple';
     case 'uint':
       return 'uint256';
     case 'int':
       return 'int256';
-    case 'bytes':
-      return type.includes('bytes') ? type : 'bytes';
+    case 'fixed':
+      return 'fixed128x18';
+    case 'ufixed':
+      return 'ufixed128x18';
     default:
       return type;
   }
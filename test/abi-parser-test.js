@@ -0,0 +1,246 @@
+import { ABICodec, utils, selectorUtils } from '../index.js';
+import { UNISWAP_V2_ROUTER_ABI } from '../lib/common/uniswap/router-abi.js';
+import { UNISWAP_V2_PAIR_ABI } from '../lib/common/uniswap/pair-abi.js';
+import { UNISWAP_V2_FACTORY_ABI } from '../lib/common/uniswap/factory-abi.js';
+import { ERC20_ABI } from '../lib/common/erc20/abi.js';
+import { INFORMER_ABI } from '../lib/common/informer/abi.js';
+import { TOKEN_TRADER_ABI } from '../lib/common/tokentrader/abi.js';
+
+console.log('🧪 Running Human-Readable ABI Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const expectThrow = (fn, expected, message) => {
+    try {
+        fn();
+        assert(false, message);
+    } catch (error) {
+        assert(error.message.includes(expected), `${message} (${error.message})`);
+    }
+};
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Expected selectors and topics below were cross-checked against ethers v6
+console.log('--- Fragment Parsing ---');
+
+// Test 1: Functions, events and errors
+try {
+    const [balanceOf, transfer, insufficient] = utils.parseABI([
+        'function balanceOf(address owner) view returns (uint256)',
+        'event Transfer(address indexed from, address indexed to, uint256 value)',
+        'error InsufficientBalance(uint256 available)'
+    ]);
+
+    assert(sameJson(balanceOf, {
+        type: 'function',
+        name: 'balanceOf',
+        inputs: [{ name: 'owner', type: 'address' }],
+        outputs: [{ name: '', type: 'uint256' }],
+        stateMutability: 'view'
+    }), 'Parses a view function into a JSON fragment');
+    assert(transfer.type === 'event' && transfer.anonymous === false &&
+        transfer.inputs.map(input => input.indexed).join() === 'true,true,false', 'Parses indexed event parameters');
+    assert(utils.getEventSelector(transfer) === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+        'Event topic matches the JSON ABI');
+    assert(insufficient.type === 'error' && utils.getFunctionSelector(insufficient) === '0x92665351',
+        'Parses custom errors');
+} catch (error) {
+    assert(false, `Fragment test failed: ${error.message}`);
+}
+
+// Test 2: Solidity-style declarations normalize like the JSON ABI
+try {
+    const [swap] = utils.parseABI([
+        'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)'
+    ]);
+    const json = UNISWAP_V2_ROUTER_ABI.find(item => item.name === 'swapExactTokensForTokens');
+
+    assert(swap.inputs.map(input => input.type).join() === json.inputs.map(input => input.type).join(),
+        'Expands uint aliases and drops data locations');
+    assert(utils.getFunctionSelector(swap) === '0x38ed1739', 'Selector matches the router ABI');
+    assert(swap.stateMutability === 'nonpayable' && swap.outputs[0].name === 'amounts', 'Defaults mutability and keeps output names');
+
+    const swapEvent = utils.parseABI('event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)')[0];
+    const jsonEvent = UNISWAP_V2_PAIR_ABI.find(item => item.name === 'Swap');
+    assert(utils.getEventSelector(swapEvent) === utils.getEventSelector(jsonEvent), 'Pair Swap event matches the JSON ABI');
+
+    const [constructor, receive, legacy, anonymous] = utils.parseABI([
+        'constructor(address _factory, address _WETH)',
+        'receive() external payable',
+        'function owner() constant returns (address)',
+        'event Anon(bytes32 indexed id) anonymous'
+    ]);
+    assert(constructor.type === 'constructor' && constructor.inputs[1].name === '_WETH', 'Parses constructors');
+    assert(receive.type === 'receive' && receive.stateMutability === 'payable', 'Parses receive functions');
+    assert(legacy.stateMutability === 'view', 'Maps constant to view');
+    assert(anonymous.anonymous === true, 'Parses anonymous events');
+
+    const [withdraw, payout] = utils.parseABI([
+        'function withdraw(address payable to) external',
+        'function payout(address payable[] memory recipients, address payable) external payable'
+    ]);
+    assert(withdraw.inputs[0].type === 'address' && withdraw.inputs[0].name === 'to' &&
+        utils.getFunctionSignature(withdraw) === 'withdraw(address)', 'Normalizes address payable to address');
+    assert(payout.inputs.map(input => `${input.type} ${input.name}`).join() === 'address[] recipients,address ',
+        'Keeps array suffixes after payable');
+} catch (error) {
+    assert(false, `Normalization test failed: ${error.message}`);
+}
+
+console.log('\n--- Structs ---');
+
+// Test 3: Inline tuples and struct declarations
+try {
+    const [inline] = utils.parseABI(['function fill(tuple(address maker, (uint256 amount, bytes data)[2] legs)[] orders, uint8 mode)']);
+    assert(utils.getFunctionSignature(inline) === 'fill((address,(uint256,bytes)[2])[],uint8)', 'Parses nested inline tuples');
+    assert(utils.getFunctionSelector(inline) === '0x4641d7af', 'Inline tuple selector is correct');
+
+    const structAbi = utils.parseABI([
+        'function fill(Order[] calldata orders, uint8 mode) external',
+        'struct Order { address maker; Leg[2] legs; }',
+        'struct Leg { uint amount; bytes data; }'
+    ]);
+    assert(structAbi.length === 1, 'Struct declarations are not ABI entries');
+    assert(utils.getFunctionSelector(structAbi[0]) === '0x4641d7af', 'Structs resolve regardless of declaration order');
+    assert(structAbi[0].inputs[0].internalType === 'struct Order[]' &&
+        structAbi[0].inputs[0].components[1].internalType === 'struct Leg[2]', 'Struct names are kept in internalType');
+} catch (error) {
+    assert(false, `Struct test failed: ${error.message}`);
+}
+
+// Test 4: Invalid fragments
+try {
+    expectThrow(() => utils.parseABI(['function f(uint7 x)']), 'Invalid type "uint7"', 'Rejects invalid integer widths');
+    expectThrow(() => utils.parseABI(['function f(Missing x)']), 'Invalid type "Missing"', 'Rejects unknown struct names');
+    expectThrow(() => utils.parseABI(['method f()']), 'Unknown fragment type "method"', 'Rejects unknown fragment types');
+    expectThrow(() => utils.parseABI(['function f(uint256 x']), 'Unexpected end of fragment', 'Rejects unbalanced parentheses');
+    expectThrow(() => utils.parseABI(['function f(uint256 indexed x)']), 'Unexpected "x"', 'Only events accept indexed');
+    expectThrow(() => utils.parseABI(['struct A { B b; }', 'struct B { A a; }', 'function f(A a)']), 'Recursive struct',
+        'Rejects recursive structs');
+} catch (error) {
+    assert(false, `Invalid fragment test failed: ${error.message}`);
+}
+
+console.log('\n--- ABICodec ---');
+
+// Test 5: Codecs accept human-readable ABIs
+try {
+    const codec = new ABICodec([
+        'function transfer(address to, uint256 amount) returns (bool)',
+        'event Transfer(address indexed from, address indexed to, uint256 value)',
+        'error InsufficientBalance(uint256 available)'
+    ]);
+    const to = '0x742d35cc6634c0532925a3b8d4c9db96c4b4d8b6';
+    const data = codec.encodeFunction('transfer', [to, 1000]);
+
+    assert(data.startsWith('0xa9059cbb'), 'Encodes calls from a human-readable ABI');
+    assert(codec.decodeFunction('transfer', data).to === to, 'Decodes named args');
+    assert(codec.decodeError('0x92665351' + '5'.padStart(64, '0')).args.available === '5', 'Decodes custom errors');
+
+    const single = new ABICodec('function decimals() view returns (uint8)');
+    assert(single.getFunction('decimals').selector === '0x313ce567', 'Accepts a single fragment string');
+
+    const mixed = utils.parseABI([UNISWAP_V2_PAIR_ABI[0], 'function sync()']);
+    assert(mixed[0] === UNISWAP_V2_PAIR_ABI[0] && mixed[1].name === 'sync', 'Passes JSON fragments through in mixed ABIs');
+    assert(utils.parseABI('[{"type":"function","name":"f","inputs":[]}]')[0].name === 'f', 'Still parses JSON strings');
+} catch (error) {
+    assert(false, `ABICodec test failed: ${error.message}`);
+}
+
+console.log('\n--- Formatting ---');
+
+const BUNDLED_ABIS = {
+    ERC20: ERC20_ABI,
+    UniswapV2Factory: UNISWAP_V2_FACTORY_ABI,
+    UniswapV2Pair: UNISWAP_V2_PAIR_ABI,
+    UniswapV2Router: UNISWAP_V2_ROUTER_ABI,
+    Informer: INFORMER_ABI,
+    TokenTrader: TOKEN_TRADER_ABI
+};
+
+// Selectors, topics and error selectors a codec knows about
+const selectorsOf = (codec) => [...codec.functions.keys(), ...codec.events.keys(), ...codec.errors.keys()]
+    .filter(key => key.startsWith('0x'))
+    .sort()
+    .join();
+
+// Test 6: Every format of every bundled ABI re-parses to the same selectors
+try {
+    for (const [name, abi] of Object.entries(BUNDLED_ABIS)) {
+        const codec = new ABICodec(abi);
+        const expected = selectorsOf(codec);
+
+        const human = codec.format('human');
+        assert(human.every(line => typeof line === 'string') && selectorsOf(new ABICodec(human)) === expected,
+            `${name}: human-readable format re-parses to the same selectors`);
+        assert(selectorsOf(new ABICodec(codec.format('minimal'))) === expected,
+            `${name}: minimal JSON re-parses to the same selectors`);
+        assert(selectorsOf(new ABICodec(codec.format('json'))) === expected,
+            `${name}: full JSON re-parses to the same selectors`);
+
+        const sighashes = codec.format('sighash');
+        const fromSighash = sighashes.map(signature => {
+            const selector = selectorUtils.getFunctionSelectorFromSignature(signature);
+            return codec.events.has(signature) ? codec.getEvent(signature).topic : selector;
+        });
+        assert(fromSighash.sort().join() === expected, `${name}: sighash list hashes to the same selectors`);
+    }
+} catch (error) {
+    assert(false, `Round-trip test failed: ${error.message}`);
+}
+
+// Test 7: Format details
+try {
+    const router = new ABICodec(UNISWAP_V2_ROUTER_ABI);
+    const human = router.format('human');
+    assert(human.includes('constructor(address _factory, address _WETH)'), 'Formats constructors');
+    assert(new ABICodec(TOKEN_TRADER_ABI).format('human').includes('receive() external payable'), 'Formats receive functions');
+    assert(human.includes('function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)'),
+        'Formats view functions with named outputs');
+
+    const informer = new ABICodec(INFORMER_ABI).format('human');
+    assert(informer.includes('function getReserves(address pairAddress) view returns (tuple(uint112 reserve0, uint112 reserve1, uint256 blockNumber) reserves)'),
+        'Writes tuples inline');
+
+    const pair = new ABICodec(UNISWAP_V2_PAIR_ABI).format('human');
+    assert(pair.includes('event Sync(uint112 reserve0, uint112 reserve1)') &&
+        pair.includes('event Transfer(address indexed from, address indexed to, uint256 value)'), 'Formats events with indexed');
+
+    const minimal = router.format('minimal');
+    assert(minimal.length < router.format('json').length * 0.7 && !minimal.includes('internalType'),
+        `Minimal JSON drops unused fields (${minimal.length} bytes)`);
+    const fullJson = JSON.parse(router.format('json'));
+    assert(fullJson[0].inputs[0].internalType === 'address', 'Full JSON keeps every field');
+
+    // Decoding still works from the compact form
+    const compact = new ABICodec(new ABICodec(INFORMER_ABI).format('minimal'));
+    const reserves = compact.decodeFunctionResult('getReserves', '0x' + ['1', '2', '3'].map(v => v.padStart(64, '0')).join(''));
+    assert(reserves.reserves.reserve1 === '2', 'Minimal ABI keeps names for decoded Results');
+
+    expectThrow(() => router.format('yaml'), 'Unsupported ABI format: yaml', 'Rejects unknown formats');
+} catch (error) {
+    assert(false, `Format detail test failed: ${error.message}`);
+}
+
+console.log('\n=== Human-Readable ABI Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All human-readable ABI tests passed!');
+} else {
+    console.log('\n⚠️  Some human-readable ABI tests failed.');
+    process.exit(1);
+}
@@ -0,0 +1,204 @@
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { spawnSync } from 'child_process';
+import { ABICodec } from '../index.js';
+import { ERC20_ABI } from '../lib/common/erc20/abi.js';
+import { UNISWAP_V2_PAIR_ABI } from '../lib/common/uniswap/pair-abi.js';
+
+console.log('🧪 Running abi-toolkit CLI Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const cli = new URL('../bin/abi-toolkit.js', import.meta.url).pathname;
+const dir = mkdtempSync(join(tmpdir(), 'abi-toolkit-'));
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+    let json = null;
+    try {
+        json = JSON.parse(result.stdout);
+    } catch (error) {
+        // Not JSON (usage or error output)
+    }
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr, json };
+}
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+const erc20 = new ABICodec(ERC20_ABI);
+const pair = new ABICodec(UNISWAP_V2_PAIR_ABI);
+
+try {
+    const abiFile = join(dir, 'erc20.json');
+    writeFileSync(abiFile, JSON.stringify({ contractName: 'ERC20', abi: ERC20_ABI }));
+
+    // Test 1: Selectors and topics
+    const selector = run('selector', 'transfer(address to, uint256 amount)');
+    assert(selector.status === 0 && selector.json.selector === '0xa9059cbb' &&
+        selector.json.signature === 'transfer(address,uint256)', 'selector normalizes the signature');
+
+    const topic = run('topic', 'Transfer(address,address,uint256)');
+    assert(topic.status === 0 && topic.json.topic === TRANSFER_TOPIC, 'topic hashes the event signature');
+
+    // Test 2: Encoding
+    const encoded = run('encode', '--abi', abiFile, 'transfer', ALICE, '1000');
+    const expected = erc20.encodeFunction('transfer', [ALICE, '1000']);
+    assert(encoded.status === 0 && encoded.json.data === expected && encoded.json.selector === '0xa9059cbb',
+        'encode reads an artifact and encodes the call');
+
+    const tupleAbi = join(dir, 'batch.json');
+    writeFileSync(tupleAbi, JSON.stringify(['function batch((address to, uint256 amount)[] items, bool strict)']));
+    const batch = run('encode', '--abi', tupleAbi, 'batch', `[["${ALICE}","1"],["${BOB}","2"]]`, 'false');
+    const batchCodec = new ABICodec(['function batch((address to, uint256 amount)[] items, bool strict)']);
+    assert(batch.status === 0 && batch.json.data === batchCodec.encodeFunction('batch', [[[ALICE, '1'], [BOB, '2']], false]),
+        'encode parses JSON arrays and booleans');
+
+    const noAbi = run('encode', 'transfer', ALICE, '1');
+    assert(noAbi.status === 1 && noAbi.stderr.includes('requires --abi'), 'encode requires --abi');
+
+    // Test 3: Calldata and return data
+    const calldata = run('decode-calldata', '--value', '5', expected);
+    assert(calldata.status === 0 && calldata.json.name === 'transfer' && calldata.json.value === '5' &&
+        calldata.json.args.to === ALICE && calldata.json.args.amount === '1000',
+        'decode-calldata decodes against the bundled ABIs');
+
+    const router = run('decode-calldata', '0x' + 'ad615dec' + '00'.repeat(96));
+    assert(router.status === 0 && router.json.name === 'quote', 'decode-calldata knows the router');
+
+    const unknown = run('decode-calldata', '--abi', abiFile, '0xdeadbeef');
+    assert(unknown.status === 0 && unknown.json.name === null && unknown.json.selector === '0xdeadbeef',
+        'decode-calldata reports unknown selectors as null');
+
+    const balance = run('decode-result', '--abi', abiFile, 'balanceOf', '0x' + '00'.repeat(31) + 'ff');
+    assert(balance.status === 0 && balance.json.function === 'balanceOf(address)' && balance.json.result['0'] === '255',
+        'decode-result decodes return data');
+
+    const reserves = pair.encoder.encodeParameters(['uint112', 'uint112', 'uint32'], ['10', '20', '30']);
+    const decodedReserves = run('decode-result', 'getReserves()', reserves);
+    assert(decodedReserves.status === 0 && decodedReserves.json.result.reserve0 === '10' &&
+        decodedReserves.json.result.blockTimestampLast === '30', 'decode-result uses output names');
+
+    // Test 4: Logs
+    const transferLog = pair.encodeEventLog('Transfer', [ALICE, BOB, '1000']);
+    const log = run('decode-log', '--topics', transferLog.topics.join(','), '--data', transferLog.data);
+    assert(log.status === 0 && log.json.name === 'Transfer' && log.json.args.from === ALICE &&
+        log.json.args.value === '1000', 'decode-log decodes comma-separated topics');
+
+    const repeated = run('decode-log', ...transferLog.topics.flatMap(t => ['--topics', t]), '--data', transferLog.data);
+    assert(repeated.status === 0 && repeated.json.args.to === BOB, 'decode-log accepts repeated --topics');
+
+    const swapLog = pair.encodeEventLog('Swap', [ALICE, '1', '0', '0', '2', BOB]);
+    const swap = run('decode-log', '--topics', swapLog.topics.join(','), '--data', swapLog.data);
+    assert(swap.status === 0 && swap.json.name === 'Swap' && swap.json.args.amount0In === '1',
+        'decode-log knows the pair events');
+
+    const mismatch = run('decode-log', '--topics', transferLog.topics[0], '--data', transferLog.data);
+    assert(mismatch.status === 1 && mismatch.stderr.includes('Topic count mismatch'), 'decode-log reports bad logs');
+
+    // Test 5: Receipts
+    const syncLog = pair.encodeEventLog('Sync', ['100', '200']);
+    const receipt = {
+        transactionHash: '0x' + 'ab'.repeat(32),
+        logs: [
+            { address: BOB, ...transferLog, logIndex: '0x0' },
+            { address: BOB, ...syncLog, logIndex: '0x1' }
+        ]
+    };
+    const receiptFile = join(dir, 'receipt.json');
+    writeFileSync(receiptFile, JSON.stringify({ jsonrpc: '2.0', id: 1, result: receipt }));
+
+    const decoded = run('decode-receipt', receiptFile);
+    assert(decoded.status === 0 && decoded.json.transfers.length === 1 && decoded.json.transfers[0].value === '1000',
+        'decode-receipt unwraps RPC responses and finds transfers');
+    assert(decoded.json.custom.length === 1 && decoded.json.custom[0].name === 'Sync' &&
+        decoded.json.custom[0].codecName === 'UniswapV2Pair' &&
+        decoded.json.custom[0].args.reserve1 === '200', 'decode-receipt decodes other bundled events');
+
+    const custom = run('decode-receipt', receiptFile, '--abi', abiFile);
+    assert(custom.status === 0 && custom.json.custom.length === 0, 'decode-receipt uses only --abi when given');
+
+    // Test 6: Offline signature lookup
+    const known = run('lookup', TRANSFER_TOPIC);
+    assert(known.status === 0 && known.json.signatures[0] === 'Transfer(address,address,uint256)',
+        'lookup finds bundled event topics');
+
+    const supportsInterface = run('lookup', '0x01ffc9a7');
+    assert(supportsInterface.status === 0 && supportsInterface.json.signatures[0] === 'supportsInterface(bytes4)',
+        'lookup finds the bundled ERC-165 selector');
+
+    const dumpFile = join(dir, 'signatures.json');
+    writeFileSync(dumpFile, JSON.stringify({ '0x42966c68': ['burn(uint256)', 'collate_propagate_storage(bytes16)'] }));
+    const burn = '0x42966c68' + '00'.repeat(32);
+    const candidates = run('lookup', '--signatures', dumpFile, burn);
+    assert(candidates.status === 0 && candidates.json.selector === '0x42966c68' && candidates.json.signatures.length === 2,
+        'lookup lists every candidate from --signatures');
+
+    const labelled = run('decode-calldata', '--signatures', dumpFile, burn);
+    assert(labelled.status === 0 && labelled.json.name === null && labelled.json.candidates[0] === 'burn(uint256)',
+        'decode-calldata labels unknown selectors with candidates');
+
+    const badLookup = run('lookup', 'transfer');
+    assert(badLookup.status === 1 && badLookup.stderr.includes('Expected a selector'), 'lookup rejects non-hex input');
+
+    // Test 7: Collision report
+    const proxyFile = join(dir, 'proxy.json');
+    writeFileSync(proxyFile, JSON.stringify(['function upgradeTo(address)', 'function transfer(address,uint256)']));
+    const clashes = run('collisions', proxyFile, abiFile);
+    assert(clashes.status === 2 && clashes.json.functions.length === 1 &&
+        clashes.json.functions[0].kind === 'shadowed' &&
+        clashes.json.functions[0].entries.map(entry => entry.contract).join() === 'proxy,erc20',
+        'collisions reports clashes by file name and exits with 2');
+
+    const noClashes = run('collisions', proxyFile);
+    assert(noClashes.status === 0 && noClashes.json.functions.length === 0 && noClashes.json.duplicates.length === 0,
+        'collisions exits with 0 for a clean ABI');
+
+    const noFiles = run('collisions');
+    assert(noFiles.status === 1 && noFiles.stderr.includes('Usage: abi-toolkit collisions'), 'collisions requires files');
+
+    // Test 8: Usage and errors
+    const usage = run();
+    assert(usage.status === 1 && usage.stdout.startsWith('Usage: abi-toolkit'), 'Prints usage without arguments');
+
+    const help = run('--help');
+    assert(help.status === 0 && help.stdout.includes('decode-receipt'), '--help lists the commands');
+
+    const badCommand = run('frobnicate');
+    assert(badCommand.status === 1 && badCommand.stderr === 'abi-toolkit: Unknown command: frobnicate\n',
+        'Rejects unknown commands');
+
+    const badOption = run('selector', 'f()', '--verbose');
+    assert(badOption.status === 1 && badOption.stderr.includes('Unknown option: --verbose'), 'Rejects unknown options');
+
+    const badSignature = run('selector', 'transfer');
+    assert(badSignature.status === 1 && badSignature.stderr.startsWith('abi-toolkit: '), 'Reports invalid signatures');
+} catch (error) {
+    assert(false, `CLI test failed: ${error.message}`);
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\n=== abi-toolkit CLI Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All CLI tests passed!');
+} else {
+    console.log('\n⚠️  Some CLI tests failed.');
+    process.exit(1);
+}
@@ -0,0 +1,188 @@
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { spawnSync } from 'child_process';
+import { codegen } from '../index.js';
+import { INFORMER_ABI } from '../lib/common/informer/abi.js';
+import { TOKEN_TRADER_ABI } from '../lib/common/tokentrader/abi.js';
+
+console.log('🧪 Running Code Generator Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const expectThrow = (fn, expected, message) => {
+    try {
+        fn();
+        assert(false, message);
+    } catch (error) {
+        assert(error.message.includes(expected), `${message} (${error.message})`);
+    }
+};
+
+const { generateTypeScript } = codegen;
+
+// Overloads, structs, anonymous tuples, hashed indexed values and reserved names
+const EXCHANGE_ABI = [
+    'struct Order { address maker; uint256[] amounts; bytes32 salt; }',
+    'function fill(Order[] orders, bytes signature) payable returns (uint256 filled, bool)',
+    'function cancel(Order order)',
+    'function cancel(bytes32 hash)',
+    'function getOrder(bytes32 hash) view returns (Order)',
+    'function pairs(uint256) view returns ((address, address))',
+    'function sweep(address new, int24 default)',
+    'event Filled(address indexed maker, string indexed note, Order order, uint256 amount)',
+    'event Flagged(address indexed account, bool flag) anonymous'
+];
+
+// The generated fixtures are type-checked by `npm run test:types`.
+// Regenerate them with UPDATE_FIXTURES=1 node test/codegen-test.js
+const FIXTURES = [
+    { file: 'informer.generated.ts', abi: INFORMER_ABI, name: 'Informer' },
+    { file: 'exchange.generated.ts', abi: EXCHANGE_ABI, name: 'Exchange' }
+];
+
+// Test 1: Informer wrapper
+try {
+    const source = generateTypeScript(INFORMER_ABI, { name: 'Informer' });
+    assert(source.includes("import { ABICodec, type AbiFragment } from '@bcoders.gr/abi-toolkit';"),
+        'Imports ABICodec from the package by default');
+    assert(source.includes('export const INFORMER_ABI: AbiFragment[] = [') &&
+        source.includes("const codec = new ABICodec(INFORMER_ABI, { numberFormat: 'bigint' });"),
+        'Embeds the ABI and a bigint codec');
+    assert(source.includes('export interface PairDetails {\n  pairAddress: `0x${string}`;\n  name: string;\n  decimals: bigint;') &&
+        source.includes('  token0Details: TokenDetails;\n') && source.includes('export interface Reserves {'),
+        'Declares struct interfaces named after their internalType');
+    assert(source.indexOf('export interface TokenDetails') < source.indexOf('export interface PairDetails'),
+        'Declares nested structs first');
+    assert(source.includes('export function encodeGetTokenBalance(tokenAddress: `0x${string}`, walletAddress: `0x${string}`): `0x${string}` {\n' +
+        "  return codec.encodeFunction('getTokenBalance(address,address)', [tokenAddress, walletAddress]) as `0x${string}`;"),
+        'Generates typed encoders calling the canonical signature');
+    assert(source.includes('export function decodeGetPairAndTokenDetailsResult(data: string): PairDetails {') &&
+        source.includes('export function decodeGetTotalSupplyResult(data: string): bigint {'),
+        'Generates typed result decoders');
+    assert(source.includes('export const informer = {\n  abi: INFORMER_ABI,\n  codec,\n  getOwner: encodeGetOwner,') &&
+        source.includes('  decode: {\n    getOwner: decodeGetOwnerResult,'),
+        'Groups encoders and decoders like lib/common/informer');
+    assert(!source.includes('internalType'), 'Embeds the minimal ABI');
+} catch (error) {
+    assert(false, `Informer generation test failed: ${error.message}`);
+}
+
+// Test 2: Overloads, tuples, events and names
+try {
+    const source = generateTypeScript(EXCHANGE_ABI, { name: 'Exchange', importPath: '../index.js' });
+    assert(source.includes("import { ABICodec, type AbiFragment, type Indexed } from '../index.js';"),
+        'Uses the import path and imports Indexed for hashed topics');
+    assert(source.includes('export interface Order {\n  maker: `0x${string}`;\n  amounts: readonly bigint[];\n  salt: `0x${string}`;\n}'),
+        'Types struct members');
+    assert(source.includes('export function encodeFill(orders: readonly Order[], signature: `0x${string}`)') &&
+        source.includes('export interface FillResult {\n  filled: bigint;\n  output1: boolean;\n}') &&
+        source.includes('return { filled: result[0], output1: result[1] };'),
+        'Returns multiple outputs as an object');
+    assert(source.includes('export function encodeCancel_bytes32(hash: `0x${string}`)') &&
+        source.includes("codec.encodeFunction('cancel((address,uint256[],bytes32))', [order])") &&
+        source.includes('export function encodeCancel_address_uint256_bytes32(order: Order)'),
+        'Suffixes overloads with their parameter types');
+    assert(source.includes('export function decodePairsResult(data: string): readonly [`0x${string}`, `0x${string}`] {') &&
+        source.includes('export function encodePairs(arg0: bigint)'), 'Types unnamed tuples and parameters positionally');
+    assert(source.includes('export function encodeSweep(new_: `0x${string}`, default_: bigint)'),
+        'Renames reserved parameter names');
+    assert(source.includes('export interface FilledEvent {\n  maker: `0x${string}`;\n  note: Indexed;\n  order: Order;\n  amount: bigint;\n}') &&
+        source.includes("const { args } = codec.decodeLog(log.data, log.topics, 'Filled(address,string,(address,uint256[],bytes32),uint256)');"),
+        'Generates typed event decoders with Indexed for hashed topics');
+    assert(source.includes('// Flagged(address,bool) (anonymous)') &&
+        source.includes('  events: {\n    Filled: decodeFilledEvent,\n    Flagged: decodeFlaggedEvent\n  }'),
+        'Decodes anonymous events by signature');
+
+    // Structs from different contracts that share an unqualified name
+    const orderParam = (fn, component) => ({
+        type: 'function', name: fn, stateMutability: 'nonpayable', outputs: [],
+        inputs: [{ name: 'order', type: 'tuple', internalType: 'struct Order', components: [component] }]
+    });
+    const clashing = generateTypeScript([
+        orderParam('a', { name: 'x', type: 'uint256', internalType: 'uint256' }),
+        orderParam('b', { name: 'y', type: 'address', internalType: 'address' }),
+        orderParam('c', { name: 'y', type: 'address', internalType: 'address' })
+    ]);
+    assert(clashing.includes('export interface Order {\n  x: bigint;\n}') &&
+        clashing.includes('export interface Order2 {\n  y: `0x${string}`;\n}') &&
+        clashing.includes('export function encodeB(order: Order2)') && clashing.includes('export function encodeC(order: Order2)'),
+        'Numbers structs that share a name but not a layout');
+
+    // Such fields would not be readable by name on the decoded Result
+    expectThrow(() => generateTypeScript(['struct Batch { uint256 length; address owner; }', 'function get() view returns (Batch)']),
+        'Cannot type struct Batch: field "length" shadows a member of the decoded Result', 'Rejects struct fields named like Array members');
+    expectThrow(() => generateTypeScript(['function f((uint256 names, bool ok) item)']),
+        'field "names" shadows a member', 'Rejects Result members in inline tuples');
+
+    expectThrow(() => generateTypeScript(EXCHANGE_ABI, { name: 'my-exchange' }), 'Invalid contract name',
+        'Rejects names that are not identifiers');
+    expectThrow(() => generateTypeScript(['function f(fixed128x18 x)']), 'Invalid type', 'Rejects unsupported types');
+} catch (error) {
+    assert(false, `Exchange generation test failed: ${error.message}`);
+}
+
+// Test 3: Generated fixtures are current
+try {
+    for (const { file, abi, name } of FIXTURES) {
+        const path = new URL(`./fixtures/${file}`, import.meta.url);
+        const source = generateTypeScript(abi, { name, importPath: '../../index.js' });
+        if (process.env.UPDATE_FIXTURES) {
+            writeFileSync(path, source);
+        }
+        assert(readFileSync(path, 'utf8') === source, `Fixture ${file} matches the generator output`);
+    }
+} catch (error) {
+    assert(false, `Fixture test failed: ${error.message}`);
+}
+
+// Test 4: Command-line entry point
+const dir = mkdtempSync(join(tmpdir(), 'abi-codegen-'));
+try {
+    const cli = new URL('../bin/abi-codegen.js', import.meta.url).pathname;
+    const abiFile = join(dir, 'token-trader.json');
+    writeFileSync(abiFile, JSON.stringify({ contractName: 'TokenTrader', abi: TOKEN_TRADER_ABI }));
+
+    const stdout = spawnSync(process.execPath, [cli, abiFile], { encoding: 'utf8' });
+    assert(stdout.status === 0 && stdout.stdout === generateTypeScript(TOKEN_TRADER_ABI, { name: 'TokenTrader' }),
+        'Prints the module for an artifact file, named after the file');
+
+    const outFile = join(dir, 'trader.ts');
+    const written = spawnSync(process.execPath, [cli, abiFile, '--name', 'Trader', '--import', '../index.js', '--out', outFile],
+        { encoding: 'utf8' });
+    const source = readFileSync(outFile, 'utf8');
+    assert(written.status === 0 && source.includes('export const trader = {') && source.includes("from '../index.js';"),
+        'Writes to --out with --name and --import');
+
+    const missing = spawnSync(process.execPath, [cli, join(dir, 'missing.json')], { encoding: 'utf8' });
+    assert(missing.status === 1 && missing.stderr.startsWith('abi-codegen: ENOENT'), 'Reports unreadable files');
+
+    const usage = spawnSync(process.execPath, [cli], { encoding: 'utf8' });
+    assert(usage.status === 1 && usage.stdout.startsWith('Usage: abi-codegen'), 'Prints usage without arguments');
+} catch (error) {
+    assert(false, `CLI test failed: ${error.message}`);
+} finally {
+    rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('\n=== Code Generator Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All code generator tests passed!');
+} else {
+    console.log('\n⚠️  Some code generator tests failed.');
+    process.exit(1);
+}
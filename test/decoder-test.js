@@ -0,0 +1,610 @@
+import { ABICodec, Encoder, Decoder, Result, ABIDecodingError, DecodingErrorCode } from '../index.js';
+import { UNISWAP_V2_PAIR_ABI } from '../lib/common/uniswap/pair-abi.js';
+import { UNISWAP_V2_ROUTER_ABI } from '../lib/common/uniswap/router-abi.js';
+import { TOKEN_TRADER_ABI } from '../lib/common/tokentrader/abi.js';
+
+console.log('🧪 Running Decoder Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const word = (hex) => hex.padStart(64, '0');
+const text = (str) => Buffer.from(str, 'utf8').toString('hex').padEnd(64, '0');
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const expectThrow = (fn, expected, message) => {
+    try {
+        fn();
+        assert(false, message);
+    } catch (error) {
+        assert(error.message.includes(expected), `${message} (${error.message})`);
+    }
+};
+
+console.log('--- Nested Arrays ---');
+
+// Expected encodings below were cross-checked against ethers v6
+const NESTED_TYPES = ['uint256[][]', 'string[2][]', 'address[][3]', 'uint8'];
+const NESTED_VALUES = [
+    [['1', '2'], [], ['3']],
+    [['a', 'bc'], ['def', '']],
+    [[WETH], [], [WETH, USDC]],
+    '9'
+];
+const NESTED_ENCODED = '0x' + [
+    // head
+    word('80'), word('1c0'), word('380'), word('9'),
+    // uint256[][]
+    word('3'), word('60'), word('c0'), word('e0'),
+    word('2'), word('1'), word('2'),
+    word('0'),
+    word('1'), word('3'),
+    // string[2][]
+    word('2'), word('40'), word('100'),
+    word('40'), word('80'), word('1'), text('a'), word('2'), text('bc'),
+    word('40'), word('80'), word('3'), text('def'), word('0'),
+    // address[][3]
+    word('60'), word('a0'), word('c0'),
+    word('1'), word(WETH.slice(2)),
+    word('0'),
+    word('2'), word(WETH.slice(2)), word(USDC.slice(2))
+].join('');
+
+// Test 1: Encoding nested dynamic and fixed arrays
+try {
+    const encoded = new Encoder().encodeParameters(NESTED_TYPES, NESTED_VALUES);
+    assert(encoded === NESTED_ENCODED, 'Encodes uint256[][], string[2][] and address[][3]');
+} catch (error) {
+    assert(false, `Nested array encoding failed: ${error.message}`);
+}
+
+// Test 2: Decoding nested dynamic and fixed arrays
+try {
+    const decoded = new Decoder().decodeParameters(NESTED_TYPES, NESTED_ENCODED);
+    assert(sameJson(decoded[0], NESTED_VALUES[0]), 'Decodes uint256[][] with inner offsets');
+    assert(sameJson(decoded[1], NESTED_VALUES[1]), 'Decodes string[2][] (fixed array of dynamic elements)');
+    assert(sameJson(decoded[2], NESTED_VALUES[2]), 'Decodes address[][3] (fixed array of dynamic arrays)');
+    assert(decoded[3] === '9', 'Decodes value following nested arrays');
+} catch (error) {
+    assert(false, `Nested array decoding failed: ${error.message}`);
+}
+
+// Test 3: Static nested arrays and arrays of tuples
+try {
+    const types = [
+        { type: 'tuple[2][]', components: [{ name: 'id', type: 'uint256' }, { name: 'label', type: 'string' }] },
+        'uint16[2][3]'
+    ];
+    const values = [
+        [[{ id: '1', label: 'x' }, { id: '2', label: 'y' }]],
+        [['1', '2'], ['3', '4'], ['5', '6']]
+    ];
+    const expected = '0x' + [
+        word('e0'),
+        word('1'), word('2'), word('3'), word('4'), word('5'), word('6'),
+        word('1'), word('20'),
+        word('40'), word('c0'),
+        word('1'), word('40'), word('1'), text('x'),
+        word('2'), word('40'), word('1'), text('y')
+    ].join('');
+
+    const encoded = new Encoder().encodeParameters(types, values);
+    assert(encoded === expected, 'Encodes tuple[2][] and inlines static uint16[2][3]');
+
+    const decoded = new Decoder().decodeParameters(types, encoded);
+    assert(decoded[0][0][1].label === 'y', 'Decodes tuple fields by name inside nested arrays');
+    assert(sameJson(decoded.toArray(), [[[['1', 'x'], ['2', 'y']]], values[1]]), 'Round-trips tuple[2][] and uint16[2][3]');
+} catch (error) {
+    assert(false, `Array of tuples test failed: ${error.message}`);
+}
+
+// Test 4: Static fixed arrays advance the head by their full size
+try {
+    const types = ['uint256[3]', 'bool', 'string'];
+    const values = [['1', '2', '3'], true, 'tail'];
+    const encoded = new Encoder().encodeParameters(types, values);
+    const decoded = new Decoder().decodeParameters(types, encoded);
+    assert(sameJson(decoded, values), 'Decodes parameters after a static fixed array');
+} catch (error) {
+    assert(false, `Static fixed array test failed: ${error.message}`);
+}
+
+console.log('\n--- Strict Mode ---');
+
+// Expect a strict decode to fail with the given error code
+function expectStrictError(decodeFn, code, message, check = () => true) {
+    try {
+        decodeFn();
+        assert(false, `${message} (no error thrown)`);
+    } catch (error) {
+        assert(error instanceof ABIDecodingError && error.code === code && check(error),
+            `${message}${error instanceof ABIDecodingError ? '' : ` (got: ${error.message})`}`);
+    }
+}
+
+// Test 5: Canonical data decodes identically in strict mode
+try {
+    const strict = new Decoder({ strict: true });
+    const decoded = strict.decodeParameters(NESTED_TYPES, NESTED_ENCODED);
+    assert(sameJson(decoded, NESTED_VALUES), 'Strict mode accepts canonical nested encoding');
+
+    const negative = new Encoder().encodeParameters(['int8', 'int256'], ['-128', '-1']);
+    assert(sameJson(strict.decodeParameters(['int8', 'int256'], negative), ['-128', '-1']),
+        'Strict mode accepts sign-extended negative integers');
+    assert(sameJson(new Decoder().decodeParameters(['int8', 'int256'], negative), ['-128', '-1']),
+        'Lenient mode decodes sign-extended negative integers');
+} catch (error) {
+    assert(false, `Strict canonical test failed: ${error.message}`);
+}
+
+// Test 6: Out-of-bounds offsets, lengths and truncated data
+{
+    const strict = new Decoder({ strict: true });
+
+    expectStrictError(
+        () => strict.decodeParameters(['bytes'], '0x' + word('ffffffff')),
+        DecodingErrorCode.INVALID_OFFSET,
+        'Rejects offset pointing outside the data',
+        (error) => error.offset === 0 && error.path === '[0]'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['uint256[]'], '0x' + word('20') + word('ffffffffffff')),
+        DecodingErrorCode.LENGTH_LIMIT,
+        'Rejects absurd array length before allocating',
+        (error) => error.offset === 32
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['uint256[]'], '0x' + word('20') + word('10') + word('1')),
+        DecodingErrorCode.OUT_OF_BOUNDS,
+        'Rejects array length that does not fit the data'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['string'], '0x' + word('20') + word('40') + text('short')),
+        DecodingErrorCode.OUT_OF_BOUNDS,
+        'Rejects string length past the end of the data'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['uint256', 'uint256'], '0x' + word('1')),
+        DecodingErrorCode.OUT_OF_BOUNDS,
+        'Rejects truncated static data',
+        (error) => error.offset === 32 && error.path === '[1]'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['uint256'], '0x'),
+        DecodingErrorCode.OUT_OF_BOUNDS,
+        'Rejects empty data for non-empty types'
+    );
+}
+
+// Test 7: Dirty high bits and non-zero padding
+{
+    const strict = new Decoder({ strict: true });
+    const dirty = 'ff' + '00'.repeat(11) + WETH.slice(2);
+
+    expectStrictError(
+        () => strict.decodeParameters([{ name: 'to', type: 'address' }], '0x' + dirty),
+        DecodingErrorCode.NON_CANONICAL,
+        'Rejects address with dirty high bits',
+        (error) => error.path === 'to'
+    );
+    assert(new Decoder().decodeParameters(['address'], '0x' + dirty)[0] === WETH,
+        'Lenient mode still ignores dirty address bits');
+
+    expectStrictError(
+        () => strict.decodeParameters(['bool'], '0x' + word('2')),
+        DecodingErrorCode.NON_CANONICAL,
+        'Rejects bool other than 0 or 1'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['uint8'], '0x' + word('100')),
+        DecodingErrorCode.NON_CANONICAL,
+        'Rejects uint8 with high bits set'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['int8'], '0x' + word('80')),
+        DecodingErrorCode.NON_CANONICAL,
+        'Rejects int8 that is not sign-extended'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['bytes4'], '0x' + 'deadbeef' + '01'.padStart(56, '0')),
+        DecodingErrorCode.NON_CANONICAL,
+        'Rejects bytes4 with non-zero padding'
+    );
+
+    expectStrictError(
+        () => strict.decodeParameters(['bytes'], '0x' + word('20') + word('1') + 'ab' + 'cd'.padEnd(62, '0')),
+        DecodingErrorCode.NON_CANONICAL,
+        'Rejects bytes with non-zero tail padding'
+    );
+}
+
+// Test 8: Parameter path and configurable limits through ABICodec
+{
+    const abi = [{
+        "inputs": [{
+            "name": "orders",
+            "type": "tuple[]",
+            "components": [
+                {"name": "maker", "type": "address"},
+                {"name": "amount", "type": "uint128"}
+            ]
+        }],
+        "name": "fill",
+        "outputs": [],
+        "type": "function"
+    }];
+    const codec = new ABICodec(abi, { strict: true });
+    const calldata = new ABICodec(abi).encodeFunction('fill', [[
+        { maker: WETH, amount: 1 },
+        { maker: USDC, amount: 2 }
+    ]]);
+
+    assert(codec.decodeFunction('fill', calldata)[0][1].amount === '2', 'Strict ABICodec decodes canonical calldata');
+
+    // Set the high bit of orders[1].amount
+    const hostile = calldata.slice(0, 10 + 64 * 5) + '8' + calldata.slice(11 + 64 * 5);
+    expectStrictError(
+        () => codec.decodeFunction('fill', hostile),
+        DecodingErrorCode.NON_CANONICAL,
+        'Reports nested parameter path for hostile calldata',
+        (error) => error.path === 'orders[1].amount' && error.offset === 160
+    );
+
+    const limited = new ABICodec(abi, { strict: true, maxDynamicLength: 1 });
+    expectStrictError(
+        () => limited.decodeFunction('fill', calldata),
+        DecodingErrorCode.LENGTH_LIMIT,
+        'Honours maxDynamicLength option'
+    );
+
+    // Every element of a large array aliases the same inner array
+    const aliased = '0x' + word('20') + word('40') + word('40').repeat(64) + word('3') + word('1') + word('2') + word('3');
+    expectStrictError(
+        () => new Decoder({ strict: true, maxInflation: 2 }).decodeParameters(['uint256[][]'], aliased),
+        DecodingErrorCode.INFLATION_LIMIT,
+        'Rejects aliased offsets that inflate the decoded size'
+    );
+}
+
+console.log('\n--- Number Formats ---');
+
+// Test 9: Integer output formats
+try {
+    const types = ['uint256', 'int16', 'uint8[]'];
+    const encoded = new Encoder().encodeParameters(types, ['1000000000000000000', '-300', ['1', '255']]);
+
+    assert(sameJson(new Decoder().decodeParameters(types, encoded), ['1000000000000000000', '-300', ['1', '255']]),
+        'Defaults to decimal strings');
+
+    const asBigInt = new Decoder({ numberFormat: 'bigint' }).decodeParameters(types, encoded);
+    assert(asBigInt[0] === 10n ** 18n && asBigInt[1] === -300n && asBigInt[2][1] === 255n,
+        'bigint format applies to scalars and arrays');
+
+    const asHex = new Decoder({ numberFormat: 'hex' }).decodeParameters(types, encoded);
+    assert(asHex[0] === '0xde0b6b3a7640000' && asHex[1] === '-0x12c' && asHex[2][0] === '0x1',
+        'hex format applies to scalars and arrays');
+
+    const decoder = new Decoder({ numberFormat: 'bigint' });
+    const perCall = decoder.decodeParameters(['int16', 'uint8[]'], new Encoder().encodeParameters(['int16', 'uint8[]'], ['-300', ['7']]), { numberFormat: 'number' });
+    assert(perCall[0] === -300 && perCall[1][0] === 7, 'Per-call number format overrides the instance setting');
+    assert(decoder.decodeParameters(['uint256'], encoded.slice(0, 66))[0] === 10n ** 18n,
+        'Instance format is restored after a per-call override');
+
+    let overflow = false;
+    try {
+        decoder.decodeParameters(['uint256'], encoded.slice(0, 66), { numberFormat: 'number' });
+    } catch (error) {
+        overflow = error.message.includes('overflows number');
+    }
+    assert(overflow, 'number format throws on values beyond Number.MAX_SAFE_INTEGER');
+
+    let unsupported = false;
+    try {
+        new Decoder({ numberFormat: 'float' });
+    } catch (error) {
+        unsupported = error.message.includes('Unsupported number format');
+    }
+    assert(unsupported, 'Rejects unknown number formats');
+} catch (error) {
+    assert(false, `Number format test failed: ${error.message}`);
+}
+
+// Test 10: Number format through ABICodec for tuples and event args
+try {
+    const abi = [
+        {
+            "inputs": [],
+            "name": "getReserves",
+            "outputs": [{
+                "name": "reserves",
+                "type": "tuple",
+                "components": [
+                    {"name": "reserve0", "type": "uint112"},
+                    {"name": "reserve1", "type": "uint112"}
+                ]
+            }],
+            "type": "function"
+        },
+        {
+            "anonymous": false,
+            "inputs": [
+                {"indexed": true, "name": "from", "type": "address"},
+                {"indexed": true, "name": "to", "type": "address"},
+                {"indexed": false, "name": "value", "type": "uint256"}
+            ],
+            "name": "Transfer",
+            "type": "event"
+        }
+    ];
+    const codec = new ABICodec(abi, { numberFormat: 'bigint' });
+    const result = '0x' + word('64') + word('c8');
+
+    const reserves = codec.decodeFunctionResult('getReserves', result)[0];
+    assert(reserves.reserve0 === 100n && reserves.reserve1 === 200n, 'Codec number format applies to tuple fields');
+
+    const asHex = codec.decodeFunctionResult('getReserves', result, { numberFormat: 'hex' })[0];
+    assert(asHex.reserve1 === '0xc8', 'Codec accepts per-call number format');
+
+    const log = codec.decodeLog(
+        '0x' + word('2a'),
+        [
+            '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+            '0x' + word(WETH.slice(2)),
+            '0x' + word(USDC.slice(2))
+        ]
+    );
+    assert(log.args.value === 42n && log.args.from === WETH, 'Codec number format applies to event args');
+} catch (error) {
+    assert(false, `Codec number format test failed: ${error.message}`);
+}
+
+console.log('\n--- Named Results ---');
+
+// Test 11: Function outputs support index and name access
+try {
+    const codec = new ABICodec(UNISWAP_V2_PAIR_ABI);
+    const reserves = codec.decodeFunctionResult('getReserves', '0x' + word('64') + word('c8') + word('5f5e100'));
+
+    assert(reserves instanceof Result && Array.isArray(reserves), 'Returns a Result array');
+    assert(reserves[0] === '100' && reserves.reserve0 === '100', 'Index and name access agree');
+    assert(reserves.blockTimestampLast === '100000000', 'Keeps every named output');
+    const [reserve0, reserve1] = reserves;
+    assert(reserve0 === '100' && reserve1 === '200', 'Supports positional destructuring');
+    assert(sameJson(reserves.toObject(), { reserve0: '100', reserve1: '200', blockTimestampLast: '100000000' }),
+        'toObject returns a plain named object');
+    assert(sameJson(reserves.toArray(), ['100', '200', '100000000']), 'toArray returns a plain array');
+    assert(sameJson(reserves, ['100', '200', '100000000']), 'Serializes to JSON positionally');
+} catch (error) {
+    assert(false, `Function result test failed: ${error.message}`);
+}
+
+// Test 12: Inputs, nested tuples and event args
+try {
+    const abi = [
+        {
+            "inputs": [
+                {"name": "order", "type": "tuple", "components": [
+                    {"name": "maker", "type": "address"},
+                    {"name": "", "type": "uint256"},
+                    {"name": "legs", "type": "tuple[]", "components": [
+                        {"name": "amount", "type": "uint256"},
+                        {"name": "length", "type": "uint8"}
+                    ]}
+                ]},
+                {"name": "", "type": "bool"}
+            ],
+            "name": "submit",
+            "outputs": [],
+            "type": "function"
+        },
+        {
+            "anonymous": false,
+            "inputs": [
+                {"indexed": true, "name": "token0", "type": "address"},
+                {"indexed": true, "name": "token1", "type": "address"},
+                {"indexed": false, "name": "pair", "type": "address"},
+                {"indexed": false, "name": "", "type": "uint256"}
+            ],
+            "name": "PairCreated",
+            "type": "event"
+        }
+    ];
+    const codec = new ABICodec(abi);
+    const calldata = codec.encodeFunction('submit', [[WETH, 7, [{ amount: 1, length: 2 }]], true]);
+
+    const args = codec.decodeFunction('submit', calldata);
+    assert(args.order.maker === WETH && args.order[1] === '7', 'Nested tuples are Results with named fields');
+    assert(args.order.field1 === undefined, 'Unnamed fields no longer get synthetic names');
+    assert(args.order.legs[0].amount === '1' && args.order.legs[0][1] === '2',
+        'Names that shadow Array members stay positional');
+    assert(sameJson(args.toObject(), {
+        order: { maker: WETH, 1: '7', legs: [{ amount: '1', length: '2' }] },
+        1: true
+    }), 'toObject converts nested Results and keys unnamed entries by index');
+
+    // Re-encoding a decoded Result round-trips
+    assert(codec.encodeFunction('submit', args) === calldata, 'Decoded Result can be re-encoded');
+
+    const log = codec.decodeLog(
+        '0x' + word(USDC.slice(2)) + word('3'),
+        [
+            '0x0d3648bd0f6ba80134a33ba9275ac585d9d315f0ad8355cddefde31afa28d0e9',
+            '0x' + word(WETH.slice(2)),
+            '0x' + word(USDC.slice(2))
+        ]
+    );
+    assert(log.args.token0 === WETH && log.args[0] === WETH, 'Event args support name and index access');
+    assert(log.args.pair === USDC && log.args[3] === '3', 'Event args keep ABI input order');
+} catch (error) {
+    assert(false, `Input and event Result test failed: ${error.message}`);
+}
+
+console.log('\n--- Caching ---');
+
+// Test 13: Payloads of the same type and length never share decoded values
+try {
+    const codec = new ABICodec(UNISWAP_V2_PAIR_ABI);
+    const first = codec.decodeFunctionResult('getReserves', '0x' + word('1') + word('2') + word('3'));
+    const second = codec.decodeFunctionResult('getReserves', '0x' + word('4') + word('5') + word('6'));
+    assert(first.reserve0 === '1' && second.reserve0 === '4', 'Same-length payloads decode independently');
+    assert(second.blockTimestampLast === '6', 'Later fields are not served from an earlier payload');
+
+    const decoder = new Decoder();
+    const names = ['alice', 'bob!!'].map(name =>
+        decoder.decodeParameters(['string'], '0x' + word('20') + word('5') + text(name))[0]);
+    assert(names[0] === 'alice' && names[1] === 'bob!!', 'Dynamic values are decoded from their own payload');
+
+    // Mutating one Result must not leak into later decodes
+    first[0] = 'changed';
+    const third = codec.decodeFunctionResult('getReserves', '0x' + word('1') + word('2') + word('3'));
+    assert(third.reserve0 === '1', 'Decoded Results are not shared between calls');
+
+    const stats = codec.getCacheStats().decoder.types;
+    assert(stats.hits > 0 && stats.misses > 0, `Reports type plan hits and misses (${stats.hits}/${stats.misses})`);
+} catch (error) {
+    assert(false, `Decode cache test failed: ${error.message}`);
+}
+
+// Test 14: Cache bounds and disabling
+try {
+    const decoder = new Decoder({ cacheSize: 2 });
+    for (const type of ['uint8', 'uint16', 'uint32', 'uint64']) {
+        decoder.decodeParameters([type], '0x' + word('1'));
+    }
+    assert(decoder.getCacheStats().types.size === 2, 'Type plan cache is bounded by cacheSize');
+
+    const uncached = new Decoder({ cache: false });
+    const values = uncached.decodeParameters(['uint256', 'string'], '0x' + word('7') + word('40') + word('2') + text('hi'));
+    assert(values[0] === '7' && values[1] === 'hi', 'Decodes with caching disabled');
+    assert(uncached.getCacheStats().types.size === 0, 'Disabled cache stores nothing');
+
+    decoder.clearCache();
+    const cleared = decoder.getCacheStats().types;
+    assert(cleared.size === 0 && cleared.hits === 0, 'clearCache resets entries and counters');
+} catch (error) {
+    assert(false, `Cache bounds test failed: ${error.message}`);
+}
+
+console.log('\n--- Transaction Parsing ---');
+
+// Test 15: Calls are identified by selector
+try {
+    const router = new ABICodec(UNISWAP_V2_ROUTER_ABI);
+    const data = router.encodeFunction('swapExactETHForTokens', ['1000', [WETH, USDC], USDC, '1700000000']);
+    const tx = router.parseTransaction({ data, value: '0xde0b6b3a7640000' });
+
+    assert(tx.name === 'swapExactETHForTokens' && tx.selector === '0x7ff36ab5', 'Finds the function by selector');
+    assert(tx.signature === 'swapExactETHForTokens(uint256,address[],address,uint256)', 'Reports the canonical signature');
+    assert(tx.args.amountOutMin === '1000' && tx.args.path[1] === USDC, 'Decodes named args');
+    assert(tx.value === '1000000000000000000' && tx.stateMutability === 'payable', 'Formats value and reports mutability');
+
+    const upper = router.parseTransaction({ data: data.slice(0, 10).toUpperCase().replace('0X', '0x') + data.slice(10) });
+    assert(upper.name === 'swapExactETHForTokens' && upper.value === '0', 'Accepts upper-case selectors and defaults value to 0');
+
+    const trader = new ABICodec(TOKEN_TRADER_ABI, { numberFormat: 'bigint' });
+    const gmeft = trader.parseTransaction({ data: trader.encodeFunction('gmeft', [WETH, 5, true]), value: 0n });
+    assert(gmeft.name === 'gmeft' && gmeft.args.t === 5n && gmeft.value === 0n && gmeft.stateMutability === 'view',
+        'Follows the codec number format for args and value');
+
+    const legacy = new ABICodec([{ "constant": true, "inputs": [], "name": "owner", "outputs": [], "type": "function" }]);
+    assert(legacy.parseTransaction({ data: '0x8da5cb5b' }).stateMutability === 'view', 'Derives mutability from legacy flags');
+} catch (error) {
+    assert(false, `Transaction parsing test failed: ${error.message}`);
+}
+
+// Test 16: Unknown selectors do not throw
+try {
+    const router = new ABICodec(UNISWAP_V2_ROUTER_ABI);
+    const unknown = router.parseTransaction({ data: '0xdeadbeef' + word('1'), value: 7 });
+    assert(unknown.name === null && unknown.args === null && unknown.selector === '0xdeadbeef',
+        'Returns an unknown-selector result');
+    assert(unknown.value === '7', 'Still reports the value of unknown calls');
+
+    const transfer = router.parseTransaction({ data: '0x', value: '5' });
+    assert(transfer.selector === null && transfer.name === null, 'Plain value transfers have no selector');
+} catch (error) {
+    assert(false, `Unknown selector test failed: ${error.message}`);
+}
+
+console.log('\n--- Contract Deployment ---');
+
+// Sample creation code (PUSH1 0x80 PUSH1 0x40 MSTORE ...); constructor
+// arguments are appended after it. Expected encodings match ethers v6 encodeDeploy.
+const CREATION_CODE = '0x6080604052348015600f57600080fd5b50';
+const FACTORY = '0x5c69bee701ef814a2b6a3edd4b1652cb9cc5aa6f';
+
+// Test 17: Constructor arguments round-trip
+try {
+    const router = new ABICodec(UNISWAP_V2_ROUTER_ABI);
+    const deployData = router.encodeDeploy(CREATION_CODE, [FACTORY, WETH]);
+    assert(deployData === CREATION_CODE + word(FACTORY.slice(2)) + word(WETH.slice(2)),
+        'Appends encoded constructor args to the creation code');
+
+    const args = router.decodeDeployArgs(deployData, CREATION_CODE);
+    assert(args._factory === FACTORY && args._WETH === WETH, 'Recovers named constructor args');
+    assert(router.decodeDeployArgs(deployData.toUpperCase().replace('0X', '0x'), CREATION_CODE).length === 2,
+        'Compares creation code case-insensitively');
+
+    const trader = new ABICodec(TOKEN_TRADER_ABI);
+    assert(trader.encodeDeploy(CREATION_CODE) === CREATION_CODE, 'Constructors without inputs add no data');
+    assert(trader.decodeDeployArgs(CREATION_CODE, CREATION_CODE).length === 0, 'Decodes an empty argument list');
+
+    const custom = new ABICodec(['constructor(string name, uint256[] ids, (address owner, uint8 mode) cfg)'],
+        { numberFormat: 'bigint' });
+    const customData = custom.encodeDeploy(CREATION_CODE, ['Trader', [1, 2], { owner: WETH, mode: 3 }]);
+    assert(customData === CREATION_CODE + word('80') + word('c0') + word(WETH.slice(2)) + word('3') +
+        word('6') + text('Trader') + word('2') + word('1') + word('2'), 'Encodes dynamic and tuple constructor args');
+    const customArgs = custom.decodeDeployArgs(customData, CREATION_CODE);
+    assert(customArgs.name === 'Trader' && customArgs.ids[1] === 2n && customArgs.cfg.mode === 3n,
+        'Decodes dynamic and tuple constructor args');
+} catch (error) {
+    assert(false, `Deployment test failed: ${error.message}`);
+}
+
+// Test 18: Mismatched creation code
+try {
+    const router = new ABICodec(UNISWAP_V2_ROUTER_ABI);
+    const deployData = router.encodeDeploy(CREATION_CODE, [FACTORY, WETH]);
+    expectThrow(() => router.decodeDeployArgs(deployData, '0x6080604052600080fd'),
+        'does not start with the given bytecode', 'Rejects input deployed from other code');
+    expectThrow(() => router.encodeDeploy('6080', [FACTORY, WETH]), 'Invalid bytecode', 'Rejects bytecode without 0x');
+    expectThrow(() => router.encodeDeploy(CREATION_CODE, [FACTORY]), 'count mismatch', 'Rejects missing constructor args');
+
+    const strict = new ABICodec(UNISWAP_V2_ROUTER_ABI, { strict: true });
+    expectThrow(() => strict.decodeDeployArgs(CREATION_CODE + word('1'), CREATION_CODE), 'exceeds data length',
+        'Strict mode rejects truncated constructor args');
+} catch (error) {
+    assert(false, `Deployment mismatch test failed: ${error.message}`);
+}
+
+console.log('\n=== Decoder Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All decoder tests passed!');
+} else {
+    console.log('\n⚠️  Some decoder tests failed.');
+    process.exit(1);
+}
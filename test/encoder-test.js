@@ -0,0 +1,302 @@
+import { Encoder, hashUtils } from '../index.js';
+
+console.log('🧪 Running Encoder Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+// Expected encodings below were cross-checked against ethers v6
+const word = (hex) => hex.padStart(64, '0');
+
+console.log('--- Tuple Encoding ---');
+
+// Test 1: Static struct (Uniswap V3 ExactInputSingleParams)
+try {
+    const encoder = new Encoder();
+    const params = {
+        name: 'params',
+        type: 'tuple',
+        components: [
+            { name: 'tokenIn', type: 'address' },
+            { name: 'tokenOut', type: 'address' },
+            { name: 'fee', type: 'uint24' },
+            { name: 'recipient', type: 'address' },
+            { name: 'deadline', type: 'uint256' },
+            { name: 'amountIn', type: 'uint256' },
+            { name: 'amountOutMinimum', type: 'uint256' },
+            { name: 'sqrtPriceLimitX96', type: 'uint160' }
+        ]
+    };
+    const value = {
+        tokenIn: WETH,
+        tokenOut: USDC,
+        fee: 3000,
+        recipient: WETH,
+        deadline: 1700000000,
+        amountIn: '1000000000000000000',
+        amountOutMinimum: 0,
+        sqrtPriceLimitX96: 0
+    };
+    const expected = '0x' + [
+        word(WETH.slice(2).toLowerCase()),
+        word(USDC.slice(2).toLowerCase()),
+        word('bb8'),
+        word(WETH.slice(2).toLowerCase()),
+        word('6553f100'),
+        word('de0b6b3a7640000'),
+        word('0'),
+        word('0')
+    ].join('');
+
+    const fromObject = encoder.encodeParameters([params], [value]);
+    assert(fromObject === expected, 'Encodes static struct from named object inline (no offset)');
+
+    const fromArray = encoder.encodeParameters([params], [Object.values(value)]);
+    assert(fromArray === expected, 'Encodes static struct from positional array');
+} catch (error) {
+    assert(false, `Static struct test failed: ${error.message}`);
+}
+
+// Test 2: Dynamic struct (Uniswap V3 ExactInputParams)
+try {
+    const encoder = new Encoder();
+    const path = '0x' + WETH.slice(2) + '000bb8' + USDC.slice(2);
+    const params = {
+        type: 'tuple',
+        components: [
+            { name: 'path', type: 'bytes' },
+            { name: 'recipient', type: 'address' },
+            { name: 'deadline', type: 'uint256' },
+            { name: 'amountIn', type: 'uint256' },
+            { name: 'amountOutMinimum', type: 'uint256' }
+        ]
+    };
+    const encoded = encoder.encodeParameters([params], [{
+        path,
+        recipient: WETH,
+        deadline: 1700000000,
+        amountIn: 10n ** 18n,
+        amountOutMinimum: 1
+    }]);
+    const expected = '0x' + [
+        word('20'),
+        word('a0'),
+        word(WETH.slice(2).toLowerCase()),
+        word('6553f100'),
+        word('de0b6b3a7640000'),
+        word('1'),
+        word('2b'),
+        path.slice(2).toLowerCase().padEnd(128, '0')
+    ].join('');
+    assert(encoded === expected, 'Encodes dynamic struct behind an offset with tuple-relative tail');
+} catch (error) {
+    assert(false, `Dynamic struct test failed: ${error.message}`);
+}
+
+// Test 3: Dynamic array of dynamic structs
+try {
+    const encoder = new Encoder();
+    const encoded = encoder.encodeParameters([
+        { type: 'tuple[]', components: [{ name: 'id', type: 'uint256' }, { name: 'label', type: 'string' }] },
+        'uint8'
+    ], [[{ id: 1, label: 'a' }, [2, 'bc']], 7]);
+    const expected = '0x' + [
+        word('40'), word('7'),
+        word('2'), word('40'), word('c0'),
+        word('1'), word('40'), word('1'), '61'.padEnd(64, '0'),
+        word('2'), word('40'), word('2'), '6263'.padEnd(64, '0')
+    ].join('');
+    assert(encoded === expected, 'Encodes tuple[] with per-element offsets');
+} catch (error) {
+    assert(false, `tuple[] test failed: ${error.message}`);
+}
+
+// Test 4: Fixed-size array of static structs is inlined
+try {
+    const encoder = new Encoder();
+    const encoded = encoder.encodeParameters([
+        { type: 'tuple[2]', components: [{ name: 'account', type: 'address' }, { name: 'amount', type: 'uint256' }] },
+        'bool'
+    ], [[{ account: WETH, amount: 1 }, { account: USDC, amount: 2 }], true]);
+    const expected = '0x' + [
+        word(WETH.slice(2).toLowerCase()), word('1'),
+        word(USDC.slice(2).toLowerCase()), word('2'),
+        word('1')
+    ].join('');
+    assert(encoded === expected, 'Encodes static tuple[k] inline in the head');
+} catch (error) {
+    assert(false, `tuple[k] test failed: ${error.message}`);
+}
+
+// Test 5: Nested structs
+try {
+    const encoder = new Encoder();
+    const encoded = encoder.encodeParameters([{
+        type: 'tuple',
+        components: [
+            { name: 'id', type: 'uint256' },
+            { name: 'inner', type: 'tuple', components: [
+                { name: 'flag', type: 'bool' },
+                { name: 'tags', type: 'string[]' }
+            ] },
+            { name: 'hash', type: 'bytes32' }
+        ]
+    }], [{ id: 5, inner: { flag: true, tags: ['x', 'yz'] }, hash: '0x' + 'ab'.repeat(32) }]);
+    const expected = '0x' + [
+        word('20'),
+        word('5'), word('60'), 'ab'.repeat(32),
+        word('1'), word('40'),
+        word('2'), word('40'), word('80'),
+        word('1'), '78'.padEnd(64, '0'),
+        word('2'), '797a'.padEnd(64, '0')
+    ].join('');
+    assert(encoded === expected, 'Encodes nested dynamic struct');
+} catch (error) {
+    assert(false, `Nested struct test failed: ${error.message}`);
+}
+
+// Test 6: Invalid tuple input
+try {
+    const encoder = new Encoder();
+    const type = { type: 'tuple', components: [{ name: 'a', type: 'uint256' }, { name: 'b', type: 'bool' }] };
+    let missingField = false;
+    try {
+        encoder.encodeParameters([type], [{ a: 1 }]);
+    } catch (error) {
+        missingField = error.message.includes('Missing tuple field: b');
+    }
+    assert(missingField, 'Rejects struct object with missing field');
+
+    let wrongLength = false;
+    try {
+        encoder.encodeParameters([type], [[1]]);
+    } catch (error) {
+        wrongLength = error.message.includes('Tuple length mismatch');
+    }
+    assert(wrongLength, 'Rejects positional struct with wrong length');
+
+    let noComponents = false;
+    try {
+        encoder.encodeParameters(['tuple'], [[1]]);
+    } catch (error) {
+        noComponents = error.message.includes('Missing components');
+    }
+    assert(noComponents, 'Rejects tuple type without components');
+} catch (error) {
+    assert(false, `Invalid tuple test failed: ${error.message}`);
+}
+
+console.log('\n--- Packed Encoding ---');
+
+// Test 7: Elementary types use their minimal width
+try {
+    const encoder = new Encoder();
+    const packed = encoder.encodePacked(
+        ['address', 'uint24', 'int8', 'bool', 'bytes4', 'string', 'bytes'],
+        [WETH, 3000, -2, true, '0xdeadbeef', 'hi', '0x0102']
+    );
+    assert(
+        packed === '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2000bb8fe01deadbeef68690102',
+        'Packs elementary types without padding or length prefixes'
+    );
+} catch (error) {
+    assert(false, `Packed elementary test failed: ${error.message}`);
+}
+
+// Test 8: Array elements are padded to 32 bytes
+try {
+    const packed = hashUtils.encodePacked(['uint16[]', 'address[2]', 'int8[]'], [[1, 2], [WETH, WETH], [-1]]);
+    const expected = '0x' + [
+        word('1'), word('2'),
+        word(WETH.slice(2).toLowerCase()), word(WETH.slice(2).toLowerCase()),
+        'f'.repeat(64)
+    ].join('');
+    assert(packed === expected, 'Pads array elements and omits array length');
+
+    let rejected = false;
+    try {
+        hashUtils.encodePacked(['string[]'], [['a']]);
+    } catch (error) {
+        rejected = error.message.includes('not supported');
+    }
+    assert(rejected, 'Rejects dynamic elements inside packed arrays');
+} catch (error) {
+    assert(false, `Packed array test failed: ${error.message}`);
+}
+
+// Test 9: solidityKeccak256 reproduces on-chain hashes
+try {
+    assert(
+        hashUtils.solidityKeccak256(['address', 'uint256'], [WETH, 100]) ===
+            '0x01212d05c8924b1f631999a70779417110f6a2800390c2acb68fc812eaeb8074',
+        'Hashes packed Merkle-style leaf'
+    );
+
+    // CREATE2 address preimage: 0xff ++ deployer ++ salt ++ keccak256(initCode)
+    assert(
+        hashUtils.solidityKeccak256(
+            ['bytes1', 'address', 'bytes32', 'bytes32'],
+            ['0xff', WETH, '0x' + '11'.repeat(32), '0x' + '22'.repeat(32)]
+        ) === '0xe680952f89a9234a2e9a58aa1df10b64c10821e53e4bc80b8b4bfd63412312a9',
+        'Hashes CREATE2 preimage'
+    );
+} catch (error) {
+    assert(false, `solidityKeccak256 test failed: ${error.message}`);
+}
+
+console.log('\n--- Caching ---');
+
+// Test 10: Value cache handles BigInt, stays bounded and can be disabled
+try {
+    const encoder = new Encoder({ cacheSize: 3 });
+    assert(encoder.encodeParameters(['uint256'], [10n ** 18n]) === '0x' + word('de0b6b3a7640000'),
+        'Encodes BigInt values');
+    assert(encoder.encodeParameters(['uint256[]'], [[1n, 2n]]) === '0x' + word('20') + word('2') + word('1') + word('2'),
+        'Encodes arrays of BigInt values');
+
+    for (let i = 0; i < 10; i++) {
+        encoder.encodeParameters(['uint256'], [i]);
+    }
+    assert(encoder.getCacheStats().values.size === 3, 'Value cache is bounded by cacheSize');
+
+    // Values that print alike but have different JS types are cached separately
+    assert(encoder.encodeParameters(['bool'], ['false']) === '0x' + word('1'), "Non-empty string 'false' is truthy");
+    assert(encoder.encodeParameters(['bool'], [false]) === '0x' + word('0'), 'Boolean false is not served from the string entry');
+
+    // Dynamic payloads would hold their full size per entry
+    const payloads = new Encoder();
+    payloads.encodeParameters(['bytes', 'string', 'uint256'], ['0x' + 'ab'.repeat(4096), 'x'.repeat(4096), 1]);
+    assert(payloads.getCacheStats().values.size === 1, 'bytes and string values are not cached');
+
+    const uncached = new Encoder({ cache: false });
+    assert(uncached.encodeParameters(['address'], [WETH]) === '0x' + word(WETH.slice(2).toLowerCase()),
+        'Encodes with caching disabled');
+    const stats = uncached.getCacheStats();
+    assert(stats.values.size === 0 && stats.types.size === 0, 'Disabled cache stores nothing');
+} catch (error) {
+    assert(false, `Encode cache test failed: ${error.message}`);
+}
+
+console.log('\n=== Encoder Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All encoder tests passed!');
+} else {
+    console.log('\n⚠️  Some encoder tests failed.');
+    process.exit(1);
+}
@@ -0,0 +1,200 @@
+import { ContractRevertError, erc165, selectorUtils, common } from '../index.js';
+import { ERC20_ABI } from '../lib/common/erc20/abi.js';
+
+console.log('🧪 Running ERC-165 Interface Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const NFT = '0xBC4CA0EdA7647A8aB7C2061c2E118A18a936f13D';
+const word = (hex) => hex.padStart(64, '0');
+const TRUE = '0x' + word('1');
+const FALSE = '0x' + word('0');
+
+// Function signatures of each standard, as listed in its EIP
+const STANDARD_SIGNATURES = {
+    ERC165: ['supportsInterface(bytes4)'],
+    ERC20: [
+        'totalSupply()', 'balanceOf(address)', 'transfer(address,uint256)',
+        'transferFrom(address,address,uint256)', 'approve(address,uint256)', 'allowance(address,address)'
+    ],
+    ERC173: ['owner()', 'transferOwnership(address)'],
+    ERC721: [
+        'balanceOf(address)', 'ownerOf(uint256)', 'safeTransferFrom(address,address,uint256,bytes)',
+        'safeTransferFrom(address,address,uint256)', 'transferFrom(address,address,uint256)',
+        'approve(address,uint256)', 'setApprovalForAll(address,bool)', 'getApproved(uint256)',
+        'isApprovedForAll(address,address)'
+    ],
+    ERC721Metadata: ['name()', 'symbol()', 'tokenURI(uint256)'],
+    ERC721Enumerable: ['totalSupply()', 'tokenOfOwnerByIndex(address,uint256)', 'tokenByIndex(uint256)'],
+    ERC721Receiver: ['onERC721Received(address,address,uint256,bytes)'],
+    ERC1155: [
+        'safeTransferFrom(address,address,uint256,uint256,bytes)',
+        'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)', 'balanceOf(address,uint256)',
+        'balanceOfBatch(address[],uint256[])', 'setApprovalForAll(address,bool)', 'isApprovedForAll(address,address)'
+    ],
+    ERC1155MetadataURI: ['uri(uint256)'],
+    ERC1155Receiver: [
+        'onERC1155Received(address,address,uint256,uint256,bytes)',
+        'onERC1155BatchReceived(address,address,uint256[],uint256[],bytes)'
+    ],
+    ERC2981: ['royaltyInfo(uint256,uint256)'],
+    ERC4907: ['setUser(uint256,address,uint64)', 'userOf(uint256)', 'userExpires(uint256)'],
+    ERC5192: ['locked(uint256)'],
+    AccessControl: [
+        'hasRole(bytes32,address)', 'getRoleAdmin(bytes32)', 'grantRole(bytes32,address)',
+        'revokeRole(bytes32,address)', 'renounceRole(bytes32,address)'
+    ]
+};
+
+// A mock ERC-721 that answers supportsInterface for the given IDs
+const mockProvider = (supported, calls = []) => ({
+    call: async (to, data) => {
+        calls.push(data);
+        const id = erc165.decodeSupportsInterface(data)[0];
+        return supported.includes(id) ? TRUE : FALSE;
+    }
+});
+
+console.log('--- Interface IDs ---');
+
+// Test 1: computeInterfaceId
+try {
+    for (const [name, signatures] of Object.entries(STANDARD_SIGNATURES)) {
+        const id = selectorUtils.computeInterfaceId(signatures);
+        assert(id === erc165.INTERFACE_IDS[name], `${name} interface ID is ${erc165.INTERFACE_IDS[name]} (computed ${id})`);
+    }
+
+    assert(selectorUtils.computeInterfaceId(ERC20_ABI) ===
+        selectorUtils.computeInterfaceId([...STANDARD_SIGNATURES.ERC20, 'name()', 'symbol()', 'decimals()']),
+        'Uses every function of an ABI');
+    assert(selectorUtils.computeInterfaceId(['function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address, uint256)']) ===
+        '0x2a55205a', 'Accepts human-readable fragments');
+    assert(selectorUtils.computeInterfaceId(['royaltyInfo(uint256 tokenId, uint256 salePrice)']) === '0x2a55205a',
+        'Normalizes raw signatures with parameter names');
+    assert(selectorUtils.computeInterfaceId('supportsInterface(bytes4)') === '0x01ffc9a7', 'Accepts a single signature');
+    assert(selectorUtils.computeInterfaceId(JSON.stringify(erc165.ERC165_ABI)) === '0x01ffc9a7', 'Accepts a JSON ABI string');
+    assert(selectorUtils.computeInterfaceId(['locked(uint256)', 'locked(uint256)', 'event Locked(uint256 tokenId)']) ===
+        '0xb45a3c0e', 'Counts each signature once and ignores events');
+    assert(selectorUtils.computeInterfaceId(['f(uint256)']) === selectorUtils.getFunctionSelectorFromSignature('f(uint256)'),
+        'A single function has its selector as ID');
+
+    for (const [input, expected] of [[['event Locked(uint256)'], 'No functions'], [42, 'Expected an ABI']]) {
+        try {
+            selectorUtils.computeInterfaceId(input);
+            assert(false, `Should reject ${JSON.stringify(input)}`);
+        } catch (error) {
+            assert(error.message.includes(expected), `Rejects ${JSON.stringify(input)}: ${error.message}`);
+        }
+    }
+} catch (error) {
+    assert(false, `computeInterfaceId test failed: ${error.message}`);
+}
+
+// Test 2: Known IDs
+try {
+    assert(erc165.resolveInterfaceId('ERC721') === '0x80ac58cd', 'Resolves interface names');
+    assert(erc165.resolveInterfaceId('0xD9B67A26') === '0xd9b67a26', 'Normalizes interface IDs');
+    assert(erc165.getInterfaceName('0x2A55205A') === 'ERC2981' && erc165.getInterfaceName('0x12345678') === null,
+        'Names known interface IDs');
+    try {
+        erc165.resolveInterfaceId('ERC9999');
+        assert(false, 'Should reject unknown interface names');
+    } catch (error) {
+        assert(error.message === 'Unknown interface: ERC9999', 'Rejects unknown interface names');
+    }
+    assert(common.erc165.INTERFACE_IDS === erc165.INTERFACE_IDS, 'Exposed under common');
+} catch (error) {
+    assert(false, `Known ID test failed: ${error.message}`);
+}
+
+console.log('\n--- supportsInterface ---');
+
+// Test 3: Encoding and decoding
+try {
+    const data = erc165.encodeSupportsInterface('ERC721');
+    assert(data === '0x01ffc9a7' + '80ac58cd'.padEnd(64, '0'), 'Encodes supportsInterface(bytes4) calldata');
+    assert(erc165.encodeSupportsInterface('0x80AC58CD') === data, 'Encodes raw interface IDs');
+    assert(erc165.decodeSupportsInterface(data)[0] === '0x80ac58cd', 'Decodes supportsInterface calldata');
+    assert(erc165.decodeSupportsInterfaceResult(TRUE) === true && erc165.decodeSupportsInterfaceResult(FALSE) === false,
+        'Decodes the boolean result');
+} catch (error) {
+    assert(false, `Encoding test failed: ${error.message}`);
+}
+
+// Test 4: Provider helpers
+try {
+    const nft = mockProvider(['0x01ffc9a7', '0x80ac58cd', '0x5b5e139f', '0x2a55205a']);
+    assert(await erc165.supportsInterface(nft, NFT, 'ERC721') === true, 'supportsInterface resolves true');
+    assert(await erc165.supportsInterface(nft, NFT, '0xd9b67a26') === false, 'supportsInterface resolves false');
+    assert(await erc165.supportsERC165(nft, NFT) === true, 'Detects ERC-165 support');
+
+    const supported = await erc165.getSupportedInterfaces(nft, NFT);
+    assert(supported.join() === 'ERC721,ERC721Metadata,ERC2981', `Classifies the token (${supported.join()})`);
+    const subset = await erc165.getSupportedInterfaces(nft, NFT, ['ERC1155', '0x80ac58cd']);
+    assert(subset.length === 1 && subset[0] === '0x80ac58cd', 'Checks only the requested interfaces');
+
+    // Contracts that answer true to everything fail the 0xffffffff check
+    const calls = [];
+    const yesMan = mockProvider(['0x01ffc9a7', '0xffffffff'], calls);
+    assert(await erc165.supportsERC165(yesMan, NFT) === false, 'Rejects contracts that support 0xffffffff');
+    assert((await erc165.getSupportedInterfaces(yesMan, NFT)).length === 0 && calls.length === 4,
+        'Skips interface queries for non-ERC-165 contracts');
+
+    // Plain ERC-20 tokens without supportsInterface
+    const reverting = { call: async () => { throw Object.assign(new Error('execution reverted'), { data: '0x' }); } };
+    const empty = { call: async () => '0x' };
+    assert(await erc165.supportsERC165(reverting, NFT) === false && await erc165.supportsERC165(empty, NFT) === false,
+        'Treats reverts and empty results as unsupported');
+
+    const malformed = { call: async () => '0x' + word('2') };
+    assert(await erc165.supportsERC165(malformed, NFT) === false, 'Treats non-boolean results as unsupported');
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await erc165.supportsInterface({ call: async () => { throw { message: 'reverted', data: '0x08c379a0' +
+            word('20') + word('4') + Buffer.from('nope').toString('hex').padEnd(64, '0') }; } }, NFT, 'ERC721');
+        assert(false, 'supportsInterface should reject on revert');
+    } catch (error) {
+        assert(error instanceof ContractRevertError && error.message === 'Execution reverted: nope',
+            'supportsInterface surfaces reverts like the erc20 helpers');
+    } finally {
+        console.error = originalError;
+    }
+
+    for (const [fn, message] of [
+        [() => erc165.supportsERC165(null, NFT), 'Provider is required'],
+        [() => erc165.supportsERC165(nft, '0x1234'), 'Invalid contract address']
+    ]) {
+        try {
+            await fn();
+            assert(false, `Should reject: ${message}`);
+        } catch (error) {
+            assert(error.message === message, `Validates input: ${message}`);
+        }
+    }
+} catch (error) {
+    assert(false, `Provider helper test failed: ${error.message}`);
+}
+
+console.log('\n=== ERC-165 Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All ERC-165 tests passed!');
+} else {
+    console.log('\n⚠️  Some ERC-165 tests failed.');
+    process.exit(1);
+}
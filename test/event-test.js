@@ -0,0 +1,304 @@
+import { ABICodec, Encoder, Indexed } from '../index.js';
+import { UNISWAP_V2_PAIR_ABI } from '../lib/common/uniswap/pair-abi.js';
+import { UNISWAP_V2_FACTORY_ABI } from '../lib/common/uniswap/factory-abi.js';
+import { decodeLogs, LogDecoder } from '../lib/common/utils/log-decoder.js';
+
+console.log('🧪 Running Event Encoding Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const expectThrow = (fn, expected, message) => {
+    try {
+        fn();
+        assert(false, message);
+    } catch (error) {
+        assert(error.message.includes(expected), `${message} (${error.message})`);
+    }
+};
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const WETH_TOPIC = '0x000000000000000000000000c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC_TOPIC = '0x000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const SWAP_TOPIC = '0xd78ad95fa46c994b6551d0da85fc275fe613ce37657fb8d5e3d130840159d822';
+
+const EVENT_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Named(string indexed name, bytes indexed data, int24 indexed tick)',
+    'event Structured((address owner, string label) indexed key, uint256[] indexed ids)',
+    'event Flagged(address indexed account, bool flag) anonymous'
+];
+
+// Expected topics below were cross-checked against ethers v6 Interface.encodeFilterTopics;
+// tuple and array topics follow the Solidity in-place encoding rules
+console.log('--- Filter Topics ---');
+
+// Test 1: Indexed value types are padded, wildcards trimmed
+try {
+    const codec = new ABICodec(EVENT_ABI);
+    assert(sameJson(codec.encodeFilterTopics('Transfer', { from: WETH }), [TRANSFER_TOPIC, WETH_TOPIC]),
+        'Pads indexed addresses and drops trailing wildcards');
+    assert(sameJson(codec.encodeFilterTopics('Transfer', { to: [WETH, USDC] }), [TRANSFER_TOPIC, null, [WETH_TOPIC, USDC_TOPIC]]),
+        'Keeps leading wildcards and encodes OR-arrays');
+    assert(sameJson(codec.encodeFilterTopics('Transfer'), [TRANSFER_TOPIC]), 'No values filters on the event only');
+    assert(sameJson(codec.encodeFilterTopics('Transfer', null), [TRANSFER_TOPIC]), 'null values filter on the event only');
+    assert(sameJson(codec.encodeFilterTopics('Transfer', [null, USDC, null]), [TRANSFER_TOPIC, null, USDC_TOPIC]),
+        'Accepts positional values over all inputs');
+
+    const pair = new ABICodec(UNISWAP_V2_PAIR_ABI);
+    assert(sameJson(pair.encodeFilterTopics('Swap', { to: USDC }), [SWAP_TOPIC, null, USDC_TOPIC]),
+        'Builds Uniswap V2 Swap filters');
+} catch (error) {
+    assert(false, `Filter topic test failed: ${error.message}`);
+}
+
+// Test 2: Hashed and signed indexed values
+try {
+    const codec = new ABICodec(EVENT_ABI);
+    const named = codec.encodeFilterTopics('Named', { name: 'hello', data: '0x1234', tick: 5 });
+    assert(named[1] === '0x1c8aff950685c2ed4bc3174f3472287b56d9517b9c948127319a09a7a36deac8', 'Hashes indexed strings');
+    assert(named[2] === '0x56570de287d73cd1cb6092bb8fdee6173974955fdef345ae579ee9f475ea7432', 'Hashes indexed bytes');
+    assert(named[3] === '0x' + '5'.padStart(64, '0'), 'Pads indexed integers');
+    assert(codec.encodeFilterTopics('Named', { tick: -5 })[3] === '0x' + 'f'.repeat(63) + 'b',
+        'Sign-extends negative indexed integers');
+
+    const structured = codec.encodeFilterTopics('Structured', { key: { owner: WETH, label: 'hi' }, ids: [1, 2] });
+    assert(structured[1] === '0x6bafbefcaacb2ccdd771d8b05f7e629f58e996f5017816b5087b186cabb73986',
+        'Hashes indexed tuples from their in-place encoding');
+    assert(structured[2] === '0xe90b7bceb6e7df5418fb78d8ee546e97c83a08bbccc01a0644d599ccd2a7c2e0',
+        'Hashes indexed arrays without a length prefix');
+
+    const flagged = codec.encodeFilterTopics('Flagged', { account: WETH });
+    assert(sameJson(flagged, [WETH_TOPIC]), 'Anonymous events have no signature topic');
+
+    assert(new Encoder().encodeTopic('address', WETH) === WETH_TOPIC, 'Encoder.encodeTopic encodes single topics');
+} catch (error) {
+    assert(false, `Hashed topic test failed: ${error.message}`);
+}
+
+// Test 3: Invalid filters
+try {
+    const codec = new ABICodec(EVENT_ABI);
+    expectThrow(() => codec.encodeFilterTopics('Transfer', { value: 1 }), 'Cannot filter on non-indexed parameter: value',
+        'Rejects non-indexed parameters');
+    expectThrow(() => codec.encodeFilterTopics('Transfer', { sender: WETH }), 'Unknown parameter for Transfer: sender',
+        'Rejects unknown parameters');
+    expectThrow(() => codec.encodeFilterTopics('Transfer', [null, null, 5]), 'Cannot filter on non-indexed parameter: value',
+        'Rejects positional values for non-indexed inputs');
+    expectThrow(() => codec.encodeFilterTopics('Approval', {}), 'Event not found: Approval', 'Rejects unknown events');
+    expectThrow(() => codec.encodeFilterTopics('Transfer', WETH), 'Invalid filter values for Transfer',
+        'Rejects values that are not an array, an object or null');
+} catch (error) {
+    assert(false, `Invalid filter test failed: ${error.message}`);
+}
+
+console.log('\n--- Event Log Encoding ---');
+
+const PAIR = '0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc';
+const word = (hex) => hex.padStart(64, '0');
+
+// Test 4: Logs match what a node emits (ethers v6 Interface.encodeEventLog)
+try {
+    const pair = new ABICodec(UNISWAP_V2_PAIR_ABI);
+    const swap = pair.encodeEventLog('Swap', [WETH, 1000, 0, 0, 2000, USDC]);
+    assert(sameJson(swap.topics, [SWAP_TOPIC, WETH_TOPIC, USDC_TOPIC]), 'Swap topics hold signature and indexed addresses');
+    assert(swap.data === '0x' + word('3e8') + word('0') + word('0') + word('7d0'), 'Swap data holds non-indexed amounts');
+
+    const posted = new ABICodec(['event Posted(string indexed topic, string body, uint256[] values)'])
+        .encodeEventLog('Posted', { topic: 'news', body: 'hello world', values: [1, 2, 3] });
+    assert(sameJson(posted.topics, [
+        '0x12b2db913c4149688f249bdeaf239bd17d1ca3b6ba8be5c219938de2075618e4',
+        '0xeee2a008ca6e1e96691c3df4d7802831584a6f8c508200608e0105c8dfa58d09'
+    ]), 'Indexed strings are hashed into topics');
+    assert(posted.data === '0x' + word('40') + word('80') + word('b') +
+        Buffer.from('hello world').toString('hex').padEnd(64, '0') + word('3') + word('1') + word('2') + word('3'),
+        'Dynamic non-indexed values use head/tail encoding');
+
+    const flagged = new ABICodec(EVENT_ABI).encodeEventLog('Flagged', { account: WETH, flag: true });
+    assert(sameJson(flagged, { topics: [WETH_TOPIC], data: '0x' + word('1') }), 'Anonymous events omit the signature topic');
+
+    expectThrow(() => pair.encodeEventLog('Sync', { reserve0: 1 }), 'Missing event argument: reserve1', 'Rejects missing arguments');
+    expectThrow(() => pair.encodeEventLog('Sync', [1]), 'Argument count mismatch for Sync', 'Rejects wrong argument counts');
+} catch (error) {
+    assert(false, `Event log encoding test failed: ${error.message}`);
+}
+
+// Test 5: Encoded logs round-trip through decodeLog and the LogDecoder
+try {
+    const pair = new ABICodec(UNISWAP_V2_PAIR_ABI);
+    const sync = pair.encodeEventLog('Sync', { reserve0: '5000', reserve1: '7000' });
+    const decodedSync = pair.decodeLog(sync.data, sync.topics);
+    assert(decodedSync.name === 'Sync' && decodedSync.args.reserve1 === '7000', 'Sync round-trips through decodeLog');
+
+    const swap = pair.encodeEventLog('Swap', { sender: WETH, amount0In: 1, amount1In: 2, amount0Out: 3, amount1Out: 4, to: USDC });
+    const decodedSwap = pair.decodeLog(swap.data, swap.topics);
+    assert(pair.encodeEventLog('Swap', decodedSwap.args).data === swap.data, 'Decoded args re-encode to the same log');
+
+    const factory = new ABICodec(UNISWAP_V2_FACTORY_ABI);
+    const logs = [
+        { ...pair.encodeEventLog('Transfer', { from: WETH, to: USDC, value: '123456' }), address: PAIR, logIndex: 0 },
+        { ...pair.encodeEventLog('Mint', { sender: WETH, amount0: 10, amount1: 20 }), address: PAIR, logIndex: 1 },
+        { ...factory.encodeEventLog('PairCreated', [WETH, USDC, PAIR, 7]), address: PAIR, logIndex: 2 }
+    ].map(log => ({ ...log, blockNumber: 1, transactionHash: '0x' + word('ab') }));
+
+    const decoded = decodeLogs(logs);
+    assert(decoded.transfers.length === 1 && decoded.transfers[0].value === '123456' &&
+        decoded.transfers[0].to === USDC.toLowerCase(), 'LogDecoder decodes encoded Transfer logs');
+    assert(decoded.mints.length === 1 && decoded.mints[0].amount1 === '20', 'LogDecoder decodes encoded Mint logs');
+    assert(decoded.pairCreated.length === 1 && decoded.pairCreated[0].pair === PAIR.toLowerCase() &&
+        decoded.pairCreated[0].pairIndex === '7', 'LogDecoder decodes encoded PairCreated logs');
+} catch (error) {
+    assert(false, `Event log round-trip test failed: ${error.message}`);
+}
+
+console.log('\n--- Log Topic Layouts ---');
+
+const NFT_ABI = [
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)'
+];
+
+// Test 6: Anonymous events are decoded by name, every topic is an argument
+try {
+    const codec = new ABICodec(EVENT_ABI);
+    const log = codec.encodeEventLog('Flagged', { account: WETH, flag: true });
+    const decoded = codec.decodeLog(log.data, log.topics, 'Flagged');
+    assert(decoded.name === 'Flagged' && decoded.args.account === WETH.toLowerCase() && decoded.args.flag === true,
+        'Anonymous event decodes its first topic as an argument');
+
+    const bySignature = codec.decodeLog(log.data, log.topics, 'Flagged(address,bool)');
+    assert(bySignature.args.account === WETH.toLowerCase(), 'Anonymous event resolves by signature');
+
+    const flaggedTopic = codec.getEvent('Flagged').topic;
+    expectThrow(() => codec.decodeLog(log.data, [flaggedTopic, ...log.topics]),
+        'Event not found', 'Anonymous events are not looked up by topic0');
+    expectThrow(() => codec.decodeLog(log.data, [...log.topics, WETH_TOPIC], 'Flagged'),
+        'expected 1 (1 indexed, anonymous), got 2', 'Extra topics on an anonymous event are rejected');
+} catch (error) {
+    assert(false, `Anonymous event test failed: ${error.message}`);
+}
+
+// Test 7: Topic count is validated against the indexed inputs
+try {
+    const erc20 = new ABICodec(EVENT_ABI);
+    const nft = new ABICodec(NFT_ABI);
+    const nftLog = nft.encodeEventLog('Transfer', [WETH, USDC, 42]);
+    assert(nftLog.topics.length === 4 && nftLog.data === '0x', 'ERC-721 Transfer indexes the token id');
+
+    expectThrow(() => erc20.decodeLog(nftLog.data, nftLog.topics),
+        'Topic count mismatch for Transfer(address,address,uint256): expected 3 (signature + 2 indexed), got 4',
+        'ERC-721 Transfer is rejected by the ERC-20 fragment');
+    expectThrow(() => nft.decodeLog('0x' + word('2a'), [TRANSFER_TOPIC, WETH_TOPIC, USDC_TOPIC]),
+        'expected 4 (signature + 3 indexed), got 3', 'ERC-20 Transfer is rejected by the ERC-721 fragment');
+    expectThrow(() => erc20.decodeLog('0x' + word('2a'), [SWAP_TOPIC, WETH_TOPIC, USDC_TOPIC], 'Transfer'),
+        `Topic0 ${SWAP_TOPIC} does not match Transfer(address,address,uint256)`, 'Mismatched topic0 is rejected');
+    expectThrow(() => erc20.decodeLog('0x', [TRANSFER_TOPIC, WETH_TOPIC, USDC_TOPIC]),
+        'Data mismatch for Transfer(address,address,uint256): expected 1 non-indexed value, got empty data',
+        'Empty data is rejected when the event has non-indexed inputs');
+    assert(erc20.decodeReceiptLogs({ logs: [nftLog] }).length === 0, 'Receipt decoding skips logs with another layout');
+} catch (error) {
+    assert(false, `Topic count test failed: ${error.message}`);
+}
+
+// Test 8: Fragments sharing a signature are chosen by topic count
+try {
+    const codec = new ABICodec([EVENT_ABI[0], NFT_ABI[0]]);
+    const nftLog = new ABICodec(NFT_ABI).encodeEventLog('Transfer', [WETH, USDC, 42]);
+    const tokenLog = codec.encodeEventLog('Transfer', [WETH, USDC, 42]);
+
+    const nftTransfer = codec.decodeLog(nftLog.data, nftLog.topics);
+    const tokenTransfer = codec.decodeLog(tokenLog.data, tokenLog.topics, 'Transfer');
+    assert(nftTransfer.args.tokenId === '42' && nftTransfer.args.to === USDC.toLowerCase(),
+        'ERC-721 Transfer falls through to the fragment with three indexed inputs');
+    assert(tokenTransfer.args.value === '42' && tokenLog.topics.length === 3,
+        'Bare name resolves to the first fragment for encoding and decoding');
+
+    const receiptLogs = codec.decodeReceiptLogs({ logs: [tokenLog, nftLog] });
+    assert(receiptLogs.length === 2 && receiptLogs[0].args.value === '42' && receiptLogs[1].args.tokenId === '42',
+        'Receipt decoding picks the matching layout per log');
+
+    const decoder = new LogDecoder();
+    decoder.addABI(NFT_ABI, 'nft');
+    const decoded = decoder.decodeLogs([tokenLog, nftLog]);
+    assert(decoded.transfers.length === 1 && decoded.transfers[0].value === '42',
+        'LogDecoder decodes ERC-20 transfers only from three-topic logs');
+    assert(decoded.custom.length === 1 && decoded.custom[0].codecName === 'nft' && decoded.custom[0].args.tokenId === '42',
+        'LogDecoder hands ERC-721 transfers to custom codecs');
+
+    // The fragment picks the layout when encoding; the bare name gets the first one
+    const byFragment = codec.encodeEventLog(NFT_ABI[0], [WETH, USDC, 42]);
+    assert(sameJson(byFragment, nftLog), 'Encodes the second layout when given its fragment');
+    const jsonFragment = codec.getEvent(NFT_ABI[0]).fragment;
+    assert(jsonFragment.inputs[2].indexed === true && sameJson(codec.encodeEventLog(jsonFragment, [WETH, USDC, 42]), nftLog),
+        'Accepts JSON fragments');
+    assert(sameJson(codec.encodeFilterTopics(NFT_ABI[0], { tokenId: 42 }), [TRANSFER_TOPIC, null, null, nftLog.topics[3]]),
+        'Filters on inputs indexed only in the second layout');
+    expectThrow(() => codec.encodeFilterTopics('Transfer', { value: 42 }), 'Cannot filter on non-indexed parameter: value',
+        'The bare name still resolves to the first layout');
+    assert(codec.decodeLog(nftLog.data, nftLog.topics, NFT_ABI[0]).args.tokenId === '42', 'Decodes with an explicit fragment');
+    expectThrow(() => codec.encodeEventLog('event Transfer(address from, address to, uint256 value)', [WETH, USDC, 1]),
+        'Event not found: Transfer(address,address,uint256) with this indexed layout', 'Rejects layouts missing from the ABI');
+
+    // An anonymous fragment declared first must not hide the regular event's topic
+    const ping = new ABICodec(['event Ping(uint256 indexed a) anonymous', 'event Ping(uint256 indexed a)']);
+    const pingLog = new ABICodec(['event Ping(uint256 indexed a)']).encodeEventLog('Ping', [7]);
+    assert(sameJson(ping.getKnownEventTopics(), [pingLog.topics[0]]), 'Registers the topic of a regular event after an anonymous one');
+    const pings = ping.decodeReceiptLogs({ logs: [pingLog] });
+    assert(pings.length === 1 && pings[0].args.a === '7', 'Decodes the regular event by topic0');
+} catch (error) {
+    assert(false, `Layout fall-through test failed: ${error.message}`);
+}
+
+// Test 9: Hashed indexed values decode to Indexed markers
+try {
+    const codec = new ABICodec([...EVENT_ABI, 'event Fixed(uint256[2] indexed pair, uint256 value)']);
+    const named = codec.encodeEventLog('Named', ['vitalik', '0x1234', -5]);
+    const { args } = codec.decodeLog(named.data, named.topics);
+    assert(args.name instanceof Indexed && args.name.isIndexed === true && args.name.hash === named.topics[1] &&
+        args.data instanceof Indexed && args.data.hash === named.topics[2], 'Indexed string and bytes decode to Indexed');
+    assert(args.tick === '-5', 'Indexed value types still decode to their value');
+    assert(args.name.matches('string', 'vitalik') && !args.name.matches('string', 'vitalik.eth'),
+        'Indexed.matches checks a candidate string');
+    assert(args.data.matches({ type: 'bytes' }, '0x1234') && Indexed.isIndexed(args.data) && !Indexed.isIndexed(named.topics[2]),
+        'Indexed.matches accepts ABI parameters');
+
+    const key = { owner: WETH, label: 'main' };
+    const structured = codec.encodeEventLog('Structured', [key, [1, 2]]);
+    const decoded = codec.decodeLog(structured.data, structured.topics).args;
+    const keyParam = codec.getEvent('Structured').inputs[0];
+    assert(decoded.key instanceof Indexed && decoded.key.matches(keyParam, key) && decoded.ids.matches('uint256[]', [1, 2]),
+        'Indexed tuples and arrays match their values');
+
+    const fixed = codec.encodeEventLog('Fixed', [[1, 2], 3]);
+    const fixedArgs = codec.decodeLog(fixed.data, fixed.topics).args;
+    assert(fixedArgs.pair instanceof Indexed && fixedArgs.pair.matches('uint256[2]', [1, 2]) && fixedArgs.value === '3',
+        'Indexed static arrays are hashes, not decoded values');
+    assert(JSON.parse(JSON.stringify(args.toObject())).name.hash === named.topics[1], 'Indexed serializes to JSON');
+} catch (error) {
+    assert(false, `Indexed value test failed: ${error.message}`);
+}
+
+console.log('\n=== Event Encoding Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All event encoding tests passed!');
+} else {
+    console.log('\n⚠️  Some event encoding tests failed.');
+    process.exit(1);
+}
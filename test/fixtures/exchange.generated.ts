@@ -0,0 +1,295 @@
+// Generated by @bcoders.gr/abi-toolkit from the Exchange ABI. Do not edit.
+import { ABICodec, type AbiFragment, type Indexed } from '../../index.js';
+
+export const EXCHANGE_ABI: AbiFragment[] = [
+  {
+    "type": "function",
+    "name": "fill",
+    "inputs": [
+      {
+        "name": "orders",
+        "type": "tuple[]",
+        "components": [
+          {
+            "name": "maker",
+            "type": "address"
+          },
+          {
+            "name": "amounts",
+            "type": "uint256[]"
+          },
+          {
+            "name": "salt",
+            "type": "bytes32"
+          }
+        ]
+      },
+      {
+        "name": "signature",
+        "type": "bytes"
+      }
+    ],
+    "outputs": [
+      {
+        "name": "filled",
+        "type": "uint256"
+      },
+      {
+        "type": "bool"
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "cancel",
+    "inputs": [
+      {
+        "name": "order",
+        "type": "tuple",
+        "components": [
+          {
+            "name": "maker",
+            "type": "address"
+          },
+          {
+            "name": "amounts",
+            "type": "uint256[]"
+          },
+          {
+            "name": "salt",
+            "type": "bytes32"
+          }
+        ]
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "cancel",
+    "inputs": [
+      {
+        "name": "hash",
+        "type": "bytes32"
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "getOrder",
+    "inputs": [
+      {
+        "name": "hash",
+        "type": "bytes32"
+      }
+    ],
+    "outputs": [
+      {
+        "type": "tuple",
+        "components": [
+          {
+            "name": "maker",
+            "type": "address"
+          },
+          {
+            "name": "amounts",
+            "type": "uint256[]"
+          },
+          {
+            "name": "salt",
+            "type": "bytes32"
+          }
+        ]
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "pairs",
+    "inputs": [
+      {
+        "type": "uint256"
+      }
+    ],
+    "outputs": [
+      {
+        "type": "tuple",
+        "components": [
+          {
+            "type": "address"
+          },
+          {
+            "type": "address"
+          }
+        ]
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "sweep",
+    "inputs": [
+      {
+        "name": "new",
+        "type": "address"
+      },
+      {
+        "name": "default",
+        "type": "int24"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "Filled",
+    "inputs": [
+      {
+        "name": "maker",
+        "type": "address",
+        "indexed": true
+      },
+      {
+        "name": "note",
+        "type": "string",
+        "indexed": true
+      },
+      {
+        "name": "order",
+        "type": "tuple",
+        "components": [
+          {
+            "name": "maker",
+            "type": "address"
+          },
+          {
+            "name": "amounts",
+            "type": "uint256[]"
+          },
+          {
+            "name": "salt",
+            "type": "bytes32"
+          }
+        ]
+      },
+      {
+        "name": "amount",
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "Flagged",
+    "inputs": [
+      {
+        "name": "account",
+        "type": "address",
+        "indexed": true
+      },
+      {
+        "name": "flag",
+        "type": "bool"
+      }
+    ],
+    "anonymous": true
+  }
+];
+
+const codec = new ABICodec(EXCHANGE_ABI, { numberFormat: 'bigint' });
+
+export interface Order {
+  maker: `0x${string}`;
+  amounts: readonly bigint[];
+  salt: `0x${string}`;
+}
+
+// fill((address,uint256[],bytes32)[],bytes)
+export function encodeFill(orders: readonly Order[], signature: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('fill((address,uint256[],bytes32)[],bytes)', [orders, signature]) as `0x${string}`;
+}
+
+export interface FillResult {
+  filled: bigint;
+  output1: boolean;
+}
+
+export function decodeFillResult(data: string): FillResult {
+  const result = codec.decodeFunctionResult('fill((address,uint256[],bytes32)[],bytes)', data);
+  return { filled: result[0], output1: result[1] };
+}
+
+// cancel((address,uint256[],bytes32))
+export function encodeCancel_address_uint256_bytes32(order: Order): `0x${string}` {
+  return codec.encodeFunction('cancel((address,uint256[],bytes32))', [order]) as `0x${string}`;
+}
+
+// cancel(bytes32)
+export function encodeCancel_bytes32(hash: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('cancel(bytes32)', [hash]) as `0x${string}`;
+}
+
+// getOrder(bytes32)
+export function encodeGetOrder(hash: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('getOrder(bytes32)', [hash]) as `0x${string}`;
+}
+
+export function decodeGetOrderResult(data: string): Order {
+  return codec.decodeFunctionResult('getOrder(bytes32)', data)[0];
+}
+
+// pairs(uint256)
+export function encodePairs(arg0: bigint): `0x${string}` {
+  return codec.encodeFunction('pairs(uint256)', [arg0]) as `0x${string}`;
+}
+
+export function decodePairsResult(data: string): readonly [`0x${string}`, `0x${string}`] {
+  return codec.decodeFunctionResult('pairs(uint256)', data)[0];
+}
+
+// sweep(address,int24)
+export function encodeSweep(new_: `0x${string}`, default_: bigint): `0x${string}` {
+  return codec.encodeFunction('sweep(address,int24)', [new_, default_]) as `0x${string}`;
+}
+
+export interface FilledEvent {
+  maker: `0x${string}`;
+  note: Indexed;
+  order: Order;
+  amount: bigint;
+}
+
+// Filled(address,string,(address,uint256[],bytes32),uint256)
+export function decodeFilledEvent(log: { data: string; topics: readonly string[] }): FilledEvent {
+  const { args } = codec.decodeLog(log.data, log.topics, 'Filled(address,string,(address,uint256[],bytes32),uint256)');
+  return { maker: args[0], note: args[1], order: args[2], amount: args[3] };
+}
+
+export interface FlaggedEvent {
+  account: `0x${string}`;
+  flag: boolean;
+}
+
+// Flagged(address,bool) (anonymous)
+export function decodeFlaggedEvent(log: { data: string; topics: readonly string[] }): FlaggedEvent {
+  const { args } = codec.decodeLog(log.data, log.topics, 'Flagged(address,bool)');
+  return { account: args[0], flag: args[1] };
+}
+
+export const exchange = {
+  abi: EXCHANGE_ABI,
+  codec,
+  fill: encodeFill,
+  cancel_address_uint256_bytes32: encodeCancel_address_uint256_bytes32,
+  cancel_bytes32: encodeCancel_bytes32,
+  getOrder: encodeGetOrder,
+  pairs: encodePairs,
+  sweep: encodeSweep,
+  decode: {
+    fill: decodeFillResult,
+    getOrder: decodeGetOrderResult,
+    pairs: decodePairsResult
+  },
+  events: {
+    Filled: decodeFilledEvent,
+    Flagged: decodeFlaggedEvent
+  }
+};
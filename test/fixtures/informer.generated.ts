@@ -0,0 +1,263 @@
+// Generated by @bcoders.gr/abi-toolkit from the Informer ABI. Do not edit.
+import { ABICodec, type AbiFragment } from '../../index.js';
+
+export const INFORMER_ABI: AbiFragment[] = [
+  {
+    "type": "function",
+    "name": "getOwner",
+    "inputs": [
+      {
+        "name": "contractAddress",
+        "type": "address"
+      }
+    ],
+    "outputs": [
+      {
+        "type": "address"
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "getPairAndTokenDetails",
+    "inputs": [
+      {
+        "name": "pairAddress",
+        "type": "address"
+      }
+    ],
+    "outputs": [
+      {
+        "name": "pairDetails",
+        "type": "tuple",
+        "components": [
+          {
+            "name": "pairAddress",
+            "type": "address"
+          },
+          {
+            "name": "name",
+            "type": "string"
+          },
+          {
+            "name": "decimals",
+            "type": "uint8"
+          },
+          {
+            "name": "symbol",
+            "type": "string"
+          },
+          {
+            "name": "totalSupply",
+            "type": "uint256"
+          },
+          {
+            "name": "token0Details",
+            "type": "tuple",
+            "components": [
+              {
+                "name": "tokenAddress",
+                "type": "address"
+              },
+              {
+                "name": "name",
+                "type": "string"
+              },
+              {
+                "name": "decimals",
+                "type": "uint8"
+              },
+              {
+                "name": "symbol",
+                "type": "string"
+              },
+              {
+                "name": "totalSupply",
+                "type": "uint256"
+              }
+            ]
+          },
+          {
+            "name": "token1Details",
+            "type": "tuple",
+            "components": [
+              {
+                "name": "tokenAddress",
+                "type": "address"
+              },
+              {
+                "name": "name",
+                "type": "string"
+              },
+              {
+                "name": "decimals",
+                "type": "uint8"
+              },
+              {
+                "name": "symbol",
+                "type": "string"
+              },
+              {
+                "name": "totalSupply",
+                "type": "uint256"
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "getReserves",
+    "inputs": [
+      {
+        "name": "pairAddress",
+        "type": "address"
+      }
+    ],
+    "outputs": [
+      {
+        "name": "reserves",
+        "type": "tuple",
+        "components": [
+          {
+            "name": "reserve0",
+            "type": "uint112"
+          },
+          {
+            "name": "reserve1",
+            "type": "uint112"
+          },
+          {
+            "name": "blockNumber",
+            "type": "uint256"
+          }
+        ]
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "getTokenBalance",
+    "inputs": [
+      {
+        "name": "tokenAddress",
+        "type": "address"
+      },
+      {
+        "name": "walletAddress",
+        "type": "address"
+      }
+    ],
+    "outputs": [
+      {
+        "type": "uint256"
+      }
+    ]
+  },
+  {
+    "type": "function",
+    "name": "getTotalSupply",
+    "inputs": [
+      {
+        "name": "tokenAddress",
+        "type": "address"
+      }
+    ],
+    "outputs": [
+      {
+        "type": "uint256"
+      }
+    ]
+  }
+];
+
+const codec = new ABICodec(INFORMER_ABI, { numberFormat: 'bigint' });
+
+export interface TokenDetails {
+  tokenAddress: `0x${string}`;
+  name: string;
+  decimals: bigint;
+  symbol: string;
+  totalSupply: bigint;
+}
+
+export interface PairDetails {
+  pairAddress: `0x${string}`;
+  name: string;
+  decimals: bigint;
+  symbol: string;
+  totalSupply: bigint;
+  token0Details: TokenDetails;
+  token1Details: TokenDetails;
+}
+
+export interface Reserves {
+  reserve0: bigint;
+  reserve1: bigint;
+  blockNumber: bigint;
+}
+
+// getOwner(address)
+export function encodeGetOwner(contractAddress: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('getOwner(address)', [contractAddress]) as `0x${string}`;
+}
+
+export function decodeGetOwnerResult(data: string): `0x${string}` {
+  return codec.decodeFunctionResult('getOwner(address)', data)[0];
+}
+
+// getPairAndTokenDetails(address)
+export function encodeGetPairAndTokenDetails(pairAddress: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('getPairAndTokenDetails(address)', [pairAddress]) as `0x${string}`;
+}
+
+export function decodeGetPairAndTokenDetailsResult(data: string): PairDetails {
+  return codec.decodeFunctionResult('getPairAndTokenDetails(address)', data)[0];
+}
+
+// getReserves(address)
+export function encodeGetReserves(pairAddress: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('getReserves(address)', [pairAddress]) as `0x${string}`;
+}
+
+export function decodeGetReservesResult(data: string): Reserves {
+  return codec.decodeFunctionResult('getReserves(address)', data)[0];
+}
+
+// getTokenBalance(address,address)
+export function encodeGetTokenBalance(tokenAddress: `0x${string}`, walletAddress: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('getTokenBalance(address,address)', [tokenAddress, walletAddress]) as `0x${string}`;
+}
+
+export function decodeGetTokenBalanceResult(data: string): bigint {
+  return codec.decodeFunctionResult('getTokenBalance(address,address)', data)[0];
+}
+
+// getTotalSupply(address)
+export function encodeGetTotalSupply(tokenAddress: `0x${string}`): `0x${string}` {
+  return codec.encodeFunction('getTotalSupply(address)', [tokenAddress]) as `0x${string}`;
+}
+
+export function decodeGetTotalSupplyResult(data: string): bigint {
+  return codec.decodeFunctionResult('getTotalSupply(address)', data)[0];
+}
+
+export const informer = {
+  abi: INFORMER_ABI,
+  codec,
+  getOwner: encodeGetOwner,
+  getPairAndTokenDetails: encodeGetPairAndTokenDetails,
+  getReserves: encodeGetReserves,
+  getTokenBalance: encodeGetTokenBalance,
+  getTotalSupply: encodeGetTotalSupply,
+  decode: {
+    getOwner: decodeGetOwnerResult,
+    getPairAndTokenDetails: decodeGetPairAndTokenDetailsResult,
+    getReserves: decodeGetReservesResult,
+    getTokenBalance: decodeGetTokenBalanceResult,
+    getTotalSupply: decodeGetTotalSupplyResult
+  },
+  events: {}
+};
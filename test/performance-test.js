@@ -98,25 +98,51 @@ const complexGas = measureGas(tokenTrader.btwr(
 assert(complexGas < 100000, `Complex operation gas cost reasonable (${complexGas} gas)`);
 
 // Test 6: Cache hit performance
-const codec = new ABICodec([{
-    "inputs": [{"name": "value", "type": "uint256"}],
-    "name": "test",
-    "outputs": [{"name": "", "type": "bool"}],
+// Type plans are reused across calls, so a warm codec should beat one with caching disabled
+const orderAbi = [{
+    "inputs": [{
+        "name": "orders",
+        "type": "tuple[]",
+        "components": [
+            {"name": "maker", "type": "address"},
+            {"name": "amounts", "type": "uint256[2]"},
+            {"name": "path", "type": "address[]"},
+            {"name": "data", "type": "bytes"}
+        ]
+    }],
+    "name": "fillOrders",
+    "outputs": [],
     "type": "function"
-}]);
+}];
+const orders = Array.from({ length: 10 }, (_, i) => ({
+    maker: `0x${(i + 1).toString(16).padStart(40, '0')}`,
+    amounts: [`${i}000`, `${i}999`],
+    path: ['0x742d35cc6634c0532925a3b8d4c9db96c4b4d8b6', '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc'],
+    data: '0x1234'
+}));
 
-// First call (cache miss)
-const cacheMissTime = measurePerformance(() => {
-    codec.encodeFunction('test', ['123']);
-});
+const cachedCodec = new ABICodec(orderAbi);
+const uncachedCodec = new ABICodec(orderAbi, { cache: false });
+const orderCalldata = cachedCodec.encodeFunction('fillOrders', [orders]);
 
-// Second call (cache hit)
-const cacheHitTime = measurePerformance(() => {
-    codec.encodeFunction('test', ['123']);
-});
+const runOrders = codec => () => {
+    codec.encodeFunction('fillOrders', [orders]);
+    codec.decodeFunction('fillOrders', orderCalldata);
+};
+// Warm up both codecs before measuring
+measurePerformance(runOrders(cachedCodec), 100);
+measurePerformance(runOrders(uncachedCodec), 100);
+
+const uncachedTime = measurePerformance(runOrders(uncachedCodec), 500);
+const cachedTime = measurePerformance(runOrders(cachedCodec), 500);
+
+assert(cachedTime < uncachedTime,
+    `Cache improves performance (Uncached: ${uncachedTime.toFixed(3)}ms, Cached: ${cachedTime.toFixed(3)}ms)`);
 
-assert(cacheHitTime <= cacheMissTime, 
-    `Cache improves performance (Miss: ${cacheMissTime.toFixed(3)}ms, Hit: ${cacheHitTime.toFixed(3)}ms)`);
+const cacheStats = cachedCodec.getCacheStats();
+assert(cacheStats.decoder.types.hitRate > 0.9 && cacheStats.encoder.types.hitRate > 0.9,
+    `Type plan cache hit rate above 90% (Decoder: ${(cacheStats.decoder.types.hitRate * 100).toFixed(1)}%)`);
+assert(uncachedCodec.getCacheStats().decoder.types.size === 0, 'Disabled cache stores nothing');
 
 // Test 7: Batch processing performance
 const startBatch = performance.now();
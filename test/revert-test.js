@@ -0,0 +1,167 @@
+import { ABICodec, ContractRevertError, erc20, revertUtils } from '../index.js';
+
+console.log('🧪 Running Revert Decoding Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const TOKEN = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+// Revert payloads below were generated with ethers v6 Interface.encodeErrorResult
+const word = (hex) => hex.padStart(64, '0');
+const ERROR_STRING_DATA = '0x08c379a0' + word('20') + word('16') +
+    Buffer.from('Insufficient liquidity').toString('hex').padEnd(64, '0');
+const PANIC_DATA = '0x4e487b71' + word('12');
+const INSUFFICIENT_BALANCE_DATA = '0xe450d38c' + word(WETH.slice(2)) + word('5') + word('64');
+
+const CUSTOM_ABI = [{
+    "inputs": [
+        {"name": "order", "type": "tuple", "components": [
+            {"name": "a", "type": "address"},
+            {"name": "b", "type": "uint256[]"}
+        ]},
+        {"name": "ok", "type": "bool"}
+    ],
+    "name": "Custom",
+    "type": "error"
+}];
+const CUSTOM_DATA = '0x7fe38d75' + word('40') + word('1') + word(WETH.slice(2)) + word('40') +
+    word('2') + word('1') + word('2');
+
+console.log('--- Built-in Errors ---');
+
+// Test 1: Error(string)
+try {
+    const revert = revertUtils.decodeError(ERROR_STRING_DATA);
+    assert(revert.name === 'Error' && revert.signature === 'Error(string)', 'Recognises Error(string)');
+    assert(revert.selector === '0x08c379a0', 'Reports the error selector');
+    assert(revert.args.message === 'Insufficient liquidity', 'Decodes the revert message as a named arg');
+    assert(revert.reason === 'Insufficient liquidity', 'Uses the message as reason');
+} catch (error) {
+    assert(false, `Error(string) test failed: ${error.message}`);
+}
+
+// Test 2: Panic(uint256)
+try {
+    const revert = revertUtils.decodeError(PANIC_DATA);
+    assert(revert.name === 'Panic' && revert.args.code === '18', 'Recognises Panic(uint256)');
+    assert(revert.reason === 'Division or modulo by zero (0x12)', 'Maps panic code to a readable reason');
+    assert(revertUtils.getPanicReason(0x11) === 'Arithmetic overflow or underflow (0x11)', 'Describes overflow panics');
+    assert(revertUtils.getPanicReason(0x99) === 'Unknown panic code (0x99)', 'Keeps unknown panic codes');
+} catch (error) {
+    assert(false, `Panic test failed: ${error.message}`);
+}
+
+console.log('\n--- Custom Errors ---');
+
+// Test 3: Custom errors declared in the ABI
+try {
+    const codec = new ABICodec(CUSTOM_ABI);
+    const revert = codec.decodeError(CUSTOM_DATA);
+    assert(revert.name === 'Custom' && revert.signature === 'Custom((address,uint256[]),bool)',
+        'Decodes custom error name and canonical signature');
+    assert(revert.args.order.a === WETH && revert.args.order.b[1] === '2' && revert.args.ok === true,
+        'Decodes custom error args by name');
+    assert(revert.reason === `Custom([${WETH}, [1, 2]], true)`, 'Formats custom errors as a reason');
+    assert(codec.decodeError(PANIC_DATA).name === 'Panic', 'Codec still recognises built-in errors');
+    assert(codec.decodeError(CUSTOM_DATA, { numberFormat: 'bigint' }).args.order.b[0] === 1n,
+        'Honours per-call number format');
+} catch (error) {
+    assert(false, `Custom error test failed: ${error.message}`);
+}
+
+// Test 4: Unknown and malformed data
+try {
+    const codec = new ABICodec(CUSTOM_ABI);
+    let threw = false;
+    try {
+        codec.decodeError('0xdeadbeef');
+    } catch (error) {
+        threw = error.message === 'Error not found: 0xdeadbeef';
+    }
+    assert(threw, 'decodeError throws for unknown selectors');
+    assert(codec.parseRevert('0xdeadbeef') === null, 'parseRevert returns null for unknown selectors');
+    assert(codec.parseRevert('0x') === null, 'parseRevert returns null for empty data');
+    assert(codec.parseRevert('0x08c379a0' + word('20')) === null, 'parseRevert returns null for truncated data');
+} catch (error) {
+    assert(false, `Unknown revert test failed: ${error.message}`);
+}
+
+console.log('\n--- Provider Helpers ---');
+
+// Silence the helpers' console.error output while testing failures
+const expectRevert = async (provider, check, message) => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await erc20.getBalanceOf(provider, TOKEN, WETH);
+        assert(false, message);
+    } catch (error) {
+        assert(check(error), message);
+    } finally {
+        console.error = originalError;
+    }
+};
+
+// Test 5: erc20 helpers surface decoded revert reasons
+try {
+    assert(erc20.decodeError(INSUFFICIENT_BALANCE_DATA).reason === `ERC20InsufficientBalance(${WETH}, 5, 100)`,
+        'ERC20 codec knows the ERC-6093 errors');
+
+    // JSON-RPC style error with revert data
+    await expectRevert({
+        call: async () => { throw Object.assign(new Error('execution reverted'), { code: 3, data: ERROR_STRING_DATA }); }
+    }, error => error instanceof ContractRevertError &&
+        error.message === 'Execution reverted: Insufficient liquidity' &&
+        error.revert.name === 'Error' && error.cause.code === 3,
+    'Throws ContractRevertError with the Error(string) reason');
+
+    // Client libraries nest the RPC error
+    await expectRevert({
+        call: async () => { throw { message: 'call failed', info: { error: { code: 3, data: INSUFFICIENT_BALANCE_DATA } } }; }
+    }, error => error instanceof ContractRevertError && error.revert.args.needed === '100',
+    'Finds nested revert data and decodes custom errors');
+
+    // Providers that return revert data as the call result
+    await expectRevert({ call: async () => PANIC_DATA },
+        error => error instanceof ContractRevertError && error.message === 'Execution reverted: Division or modulo by zero (0x12)',
+        'Detects revert data returned as a call result');
+
+    // Unknown revert selectors still throw with the raw data
+    await expectRevert({
+        call: async () => { throw { message: 'reverted', data: '0xdeadbeef' }; }
+    }, error => error instanceof ContractRevertError && error.revert === null && error.data === '0xdeadbeef',
+    'Keeps raw data for unrecognised reverts');
+
+    // Errors without revert data are rethrown unchanged
+    const networkError = new Error('network down');
+    await expectRevert({ call: async () => { throw networkError; } },
+        error => error === networkError, 'Rethrows provider errors without revert data');
+
+    const balance = await erc20.getBalanceOf({ call: async () => '0x' + word('3e8') }, TOKEN, WETH);
+    assert(balance === '1000', 'Successful calls still decode normally');
+} catch (error) {
+    assert(false, `Provider helper test failed: ${error.message}`);
+}
+
+console.log('\n=== Revert Decoding Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All revert decoding tests passed!');
+} else {
+    console.log('\n⚠️  Some revert decoding tests failed.');
+    process.exit(1);
+}
@@ -342,7 +342,114 @@ await runner.runTest('Edge Cases and Complex Types', async () => {
     );
 });
 
-// Test 8: Error Handling for Batch Generation
+// Test 8: Canonical Signatures for Struct Parameters
+await runner.runTest('Struct Canonical Signatures', async () => {
+    const exactInputSingle = {
+        "inputs": [{
+            "components": [
+                {"name": "tokenIn", "type": "address"},
+                {"name": "tokenOut", "type": "address"},
+                {"name": "fee", "type": "uint24"},
+                {"name": "recipient", "type": "address"},
+                {"name": "deadline", "type": "uint256"},
+                {"name": "amountIn", "type": "uint256"},
+                {"name": "amountOutMinimum", "type": "uint256"},
+                {"name": "sqrtPriceLimitX96", "type": "uint160"}
+            ],
+            "name": "params",
+            "type": "tuple"
+        }],
+        "name": "exactInputSingle",
+        "outputs": [{"name": "amountOut", "type": "uint256"}],
+        "type": "function"
+    };
+
+    runner.assert(
+        utils.getFunctionSignature(exactInputSingle) === 'exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))',
+        'Struct parameter expands into its components'
+    );
+    runner.assert(
+        utils.getFunctionSelector(exactInputSingle) === '0x414bf389',
+        'Struct function selector matches Uniswap V3 exactInputSingle'
+    );
+
+    // Nested tuples inside arrays, plus a same-named function with a different struct
+    const fillOrders = {
+        "inputs": [
+            {"name": "orders", "type": "tuple[]", "components": [
+                {"name": "maker", "type": "address"},
+                {"name": "legs", "type": "tuple[2]", "components": [
+                    {"name": "amount", "type": "uint"},
+                    {"name": "data", "type": "bytes"}
+                ]}
+            ]},
+            {"name": "mode", "type": "uint8"}
+        ],
+        "name": "fillOrders",
+        "outputs": [],
+        "type": "function"
+    };
+    const fillOrdersOther = {
+        ...fillOrders,
+        "inputs": [
+            {"name": "orders", "type": "tuple[]", "components": [{"name": "maker", "type": "address"}]},
+            {"name": "mode", "type": "uint8"}
+        ]
+    };
+
+    runner.assert(
+        utils.getFunctionSignature(fillOrders) === 'fillOrders((address,(uint256,bytes)[2])[],uint8)',
+        'Nested struct arrays expand recursively'
+    );
+    runner.assert(
+        utils.getFunctionSelector(fillOrders) === '0x32c891fd',
+        'Nested struct selector is correct'
+    );
+    runner.assert(
+        utils.getFunctionSelector(fillOrdersOther) !== utils.getFunctionSelector(fillOrders),
+        'Selector cache distinguishes structs with the same outer type'
+    );
+
+    const orderFilled = {
+        "anonymous": false,
+        "inputs": [
+            {"indexed": false, "name": "orders", "type": "tuple[]", "components": [
+                {"name": "maker", "type": "address"},
+                {"name": "amount", "type": "uint256"}
+            ]},
+            {"indexed": true, "name": "id", "type": "bytes32"}
+        ],
+        "name": "OrderFilled",
+        "type": "event"
+    };
+    runner.assert(
+        utils.getEventSelector(orderFilled) === '0xb60e574d3cdf02eef2658e9ba10302f18281272417b3915f554f04936b293e5d',
+        'Struct event topic0 is correct'
+    );
+
+    // ABICodec dispatches struct functions by their real selector
+    const codec = new ABICodec([exactInputSingle, orderFilled]);
+    const encoded = codec.encodeFunction('exactInputSingle', [[
+        '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+        '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+        3000,
+        '0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6',
+        1700000000,
+        '1000000000000000000',
+        0,
+        0
+    ]]);
+    runner.assert(encoded.startsWith('0x414bf389'), 'ABICodec encodes struct call with correct selector');
+
+    const decoded = codec.decodeFunction('0x414bf389', encoded);
+    runner.assert(decoded[0].fee === '3000', 'ABICodec looks up struct function by selector');
+    runner.assert(
+        codec.getKnownEventTopics().includes('0xb60e574d3cdf02eef2658e9ba10302f18281272417b3915f554f04936b293e5d'),
+        'ABICodec registers struct event under its real topic0'
+    );
+});
+
+// Test 9: Error Handling for Batch Generation
 await runner.runTest('Batch Generation Error Handling', async () => {
     // Test invalid input types
     const invalidInputs = [
@@ -371,6 +478,253 @@ await runner.runTest('Batch Generation Error Handling', async () => {
     }
 });
 
+// Test 10: Overloaded Functions and Events
+await runner.runTest('Overload Resolution', async () => {
+    const address = {"name": "", "type": "address"};
+    const overloadAbi = [
+        {"inputs": [{...address, "name": "from"}, {...address, "name": "to"}, {"name": "tokenId", "type": "uint256"}],
+            "name": "safeTransferFrom", "outputs": [], "stateMutability": "nonpayable", "type": "function"},
+        {"inputs": [{...address, "name": "from"}, {...address, "name": "to"}, {"name": "tokenId", "type": "uint256"}, {"name": "data", "type": "bytes"}],
+            "name": "safeTransferFrom", "outputs": [], "stateMutability": "nonpayable", "type": "function"},
+        {"inputs": [{...address, "name": "owner"}], "name": "balanceOf",
+            "outputs": [{"name": "", "type": "uint256"}], "stateMutability": "view", "type": "function"},
+        {"anonymous": false, "inputs": [{...address, "indexed": true, "name": "user"}, {"indexed": false, "name": "amount", "type": "uint256"}],
+            "name": "Deposit", "type": "event"},
+        {"anonymous": false, "inputs": [{...address, "indexed": true, "name": "user"}, {"indexed": false, "name": "amount", "type": "uint256"}, {"indexed": false, "name": "shares", "type": "uint256"}],
+            "name": "Deposit", "type": "event"}
+    ];
+    const codec = new ABICodec(overloadAbi);
+    const from = '0x742d35cc6634c0532925a3b8d4c9db96c4b4d8b6';
+    const to = '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc';
+
+    // Both overloads stay reachable by signature and selector
+    const short = codec.encodeFunction('safeTransferFrom(address,address,uint256)', [from, to, 1]);
+    const long = codec.encodeFunction('safeTransferFrom(address, address, uint256, bytes)', [from, to, 1, '0x']);
+    runner.assert(short.startsWith('0x42842e0e'), 'Encodes the 3-argument overload by signature');
+    runner.assert(long.startsWith('0xb88d4fde'), 'Encodes the 4-argument overload by signature');
+    runner.assert(codec.decodeFunction('0xB88D4FDE', long).data === '0x', 'Looks up overloads by selector, case-insensitively');
+
+    try {
+        codec.encodeFunction('safeTransferFrom', [from, to, 1]);
+        runner.assert(false, 'Ambiguous bare name should throw');
+    } catch (error) {
+        runner.assert(
+            error.message.includes('Ambiguous function name "safeTransferFrom"') &&
+                error.message.includes('safeTransferFrom(address,address,uint256)') &&
+                error.message.includes('safeTransferFrom(address,address,uint256,bytes)'),
+            'Ambiguous bare name lists the candidate signatures'
+        );
+    }
+    runner.assert(codec.encodeFunction('balanceOf', [from]).startsWith('0x70a08231'), 'Unique bare names still resolve');
+
+    const fn = codec.getFunction('0x42842e0e');
+    runner.assert(
+        fn.name === 'safeTransferFrom' && fn.signature === 'safeTransferFrom(address,address,uint256)' &&
+            fn.selector === '0x42842e0e' && fn.inputs.length === 3 && fn.stateMutability === 'nonpayable',
+        'getFunction returns fragment metadata'
+    );
+
+    const deposit = codec.getEvent('Deposit(address,uint256,uint256)');
+    runner.assert(
+        deposit.inputs.length === 3 && deposit.topic === utils.getEventSelector(overloadAbi[4]) && deposit.anonymous === false,
+        'getEvent returns event metadata by signature'
+    );
+    runner.assert(codec.getEvent(deposit.topic).signature === 'Deposit(address,uint256,uint256)', 'getEvent looks up by topic');
+    runner.assert(codec.getKnownEventTopics().length === 2, 'Both event overloads are registered by topic');
+
+    try {
+        codec.getEvent('Deposit');
+        runner.assert(false, 'Ambiguous event name should throw');
+    } catch (error) {
+        runner.assert(error.message.startsWith('Ambiguous event name "Deposit"'), 'Ambiguous event name throws');
+    }
+
+    try {
+        codec.getFunction('missing()');
+        runner.assert(false, 'Unknown function should throw');
+    } catch (error) {
+        runner.assert(error.message === 'Function not found: missing()', 'Unknown functions still report not found');
+    }
+});
+
+// Test 11: Event Topics from Signature
+await runner.runTest('Event Topic from Signature', async () => {
+    runner.assert(
+        selectorUtils.getEventTopicFromSignature('Transfer(address,address,uint256)') ===
+            '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+        'Transfer(address,address,uint256) hashes to the ERC-20 Transfer topic'
+    );
+    runner.assert(
+        selectorUtils.getEventTopicFromSignature('Sync(uint112,uint112)') ===
+            utils.getEventSelector({ name: 'Sync', inputs: [{ type: 'uint112' }, { type: 'uint112' }] }),
+        'Matches utils.getEventSelector'
+    );
+
+    for (const invalid of ['Transfer', null]) {
+        try {
+            selectorUtils.getEventTopicFromSignature(invalid);
+            runner.assert(false, `Should reject ${invalid}`);
+        } catch (error) {
+            runner.assert(error.message.includes('signature'), `Rejects invalid event signature: ${invalid}`);
+        }
+    }
+});
+
+// Test 12: Offline Selector Registry
+await runner.runTest('Offline Selector Registry', async () => {
+    const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+    // Seeded from every bundled ABI
+    const seeded = [
+        ['0xa9059cbb', 'transfer(address,uint256)'],
+        ['0xe6a43905', 'getPair(address,address)'],
+        ['0x0902f1ac', 'getReserves()'],
+        ['0x38ed1739', 'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)'],
+        ['0x01ffc9a7', 'supportsInterface(bytes4)']
+    ];
+    for (const [selector, signature] of seeded) {
+        runner.assert(selectorUtils.lookupSelector(selector).includes(signature), `Bundled selector ${selector} is ${signature}`);
+    }
+    runner.assert(
+        selectorUtils.lookupSelector(selectorUtils.getFunctionSelectorFromSignature('ERC20InsufficientBalance(address,uint256,uint256)'))
+            .includes('ERC20InsufficientBalance(address,uint256,uint256)'),
+        'Bundled custom errors are registered'
+    );
+    runner.assert(selectorUtils.lookupTopic(TRANSFER_TOPIC)[0] === 'Transfer(address,address,uint256)', 'Bundled event topics are registered');
+    runner.assert(
+        selectorUtils.lookupTopic(utils.getEventSelector({ name: 'PairCreated', inputs: [
+            { type: 'address' }, { type: 'address' }, { type: 'address' }, { type: 'uint256' }] })).length === 1,
+        'Factory events are registered'
+    );
+    runner.assert(selectorUtils.lookupSelector('0xa9059cbb' + '00'.repeat(64)).length === 1, 'Looks up the selector of full calldata');
+    runner.assert(selectorUtils.lookupSelector('0xA9059CBB').length === 1, 'Lookups are case-insensitive');
+    runner.assert(selectorUtils.lookupSelector('0xdeadbeef').length === 0 && selectorUtils.lookupSelector('0x').length === 0,
+        'Unknown selectors have no candidates');
+    runner.assert(selectorUtils.getSelectorRegistry() === selectorUtils.getSelectorRegistry(), 'The default registry is shared');
+
+    // Imported dumps, with several candidates per selector
+    const registry = new selectorUtils.SelectorRegistry();
+    runner.assert(registry.size === 0 && registry.lookupSelector('0xa9059cbb').length === 0, 'New registries start empty');
+
+    const added = registry.importSignatures({
+        '0x42966c68': ['burn(uint256)', 'collate_propagate_storage(bytes16)'],
+        '0xa9059cbb': 'transfer(address,uint256)',
+        [TRANSFER_TOPIC]: ['Transfer(address,address,uint256)']
+    });
+    runner.assert(added === 4, 'Counts imported signatures');
+    const candidates = registry.lookupSelector('0x42966c68');
+    runner.assert(candidates.length === 2 && candidates[0] === 'burn(uint256)' && candidates[1] === 'collate_propagate_storage(bytes16)',
+        'Keeps every candidate for a colliding selector');
+    runner.assert(registry.lookup(TRANSFER_TOPIC)[0] === 'Transfer(address,address,uint256)', 'Imports topics by key length');
+
+    runner.assert(registry.importSignatures({ '0x42966c68': ['burn(uint256)'] }) === 0, 'Skips known signatures');
+    candidates.push('mutated()');
+    runner.assert(registry.lookupSelector('0x42966c68').length === 2, 'Lookups return copies');
+
+    registry.addABI(['function transfer(address to, uint256 amount)', 'event Approval(address indexed, address indexed, uint256)']);
+    runner.assert(registry.lookupSelector('0xa9059cbb').length === 1, 'addABI merges with imported signatures');
+
+    const dump = registry.toJSON();
+    runner.assert(dump['0x42966c68'].length === 2 && dump[TRANSFER_TOPIC][0] === 'Transfer(address,address,uint256)',
+        'Exports in the importable format');
+    const copy = new selectorUtils.SelectorRegistry();
+    copy.importSignatures(JSON.parse(JSON.stringify(registry)));
+    runner.assert(copy.size === registry.size, 'Round-trips through JSON');
+
+    // Validation
+    const invalidDumps = [
+        [[], 'Expected an object'],
+        [{ '0xa9059cb': ['transfer(address,uint256)'] }, 'Invalid selector or topic'],
+        [{ '0xa9059cbb': [42] }, 'expected a string'],
+        [{ '0xa9059cbb': ['transfer(address)'] }, 'does not match']
+    ];
+    for (const [dump, expected] of invalidDumps) {
+        try {
+            registry.importSignatures(dump);
+            runner.assert(false, `Should reject ${JSON.stringify(dump)}`);
+        } catch (error) {
+            runner.assert(error.message.includes(expected), `Rejects dump: ${error.message}`);
+        }
+    }
+    runner.assert(registry.importSignatures({ '0x12345678': ['unverified()'] }, { verify: false }) === 1 &&
+        registry.lookupSelector('0x12345678')[0] === 'unverified()', 'verify: false skips the hash check');
+});
+
+// Test 13: Collision Detection
+await runner.runTest('Selector Collision Detection', async () => {
+    const proxy = {
+        name: 'TokenTraderProxy',
+        abi: [
+            'function upgradeTo(address implementation)',
+            'function owner() view returns (address)',
+            'function burn(uint256 amount)',
+            'event Upgraded(address indexed implementation)',
+            'event Transfer(address indexed from, address indexed to, uint256 value)'
+        ]
+    };
+    const implementation = {
+        name: 'TokenTrader',
+        abi: [
+            'function owner() view returns (address)',
+            'function collate_propagate_storage(bytes16)',
+            'function stwr(address token)',
+            'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+            'event Upgraded(address indexed implementation)',
+            'error Unauthorized()',
+            'error Unauthorized()'
+        ]
+    };
+
+    const report = selectorUtils.findCollisions(proxy, implementation);
+    runner.assert(report.functions.length === 2, `Finds two function clashes (found ${report.functions.length})`);
+
+    const shadowed = report.functions.find(clash => clash.selector === selectorUtils.getFunctionSelectorFromSignature('owner()'));
+    runner.assert(shadowed && shadowed.kind === 'shadowed' &&
+        shadowed.entries.map(entry => entry.contract).join() === 'TokenTraderProxy,TokenTrader',
+        'Reports a function declared by both proxy and implementation as shadowed');
+
+    const collision = report.functions.find(clash => clash.selector === '0x42966c68');
+    runner.assert(collision && collision.kind === 'collision' &&
+        collision.entries.map(entry => entry.signature).join() === 'burn(uint256),collate_propagate_storage(bytes16)',
+        'Reports different signatures with the same selector as a collision');
+
+    runner.assert(report.events.length === 1 && report.events[0].kind === 'layout' &&
+        report.events[0].topic === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef' &&
+        report.events[0].entries[1].layout === 'Transfer(address indexed,address indexed,uint256 indexed)',
+        'Reports events that share a topic but index different inputs');
+    runner.assert(!report.events.some(clash => clash.entries[0].signature.startsWith('Upgraded')),
+        'Identical event declarations are not clashes');
+
+    runner.assert(report.duplicates.length === 1 && report.duplicates[0].contract === 'TokenTrader' &&
+        report.duplicates[0].type === 'error' && report.duplicates[0].signature === 'Unauthorized()' &&
+        report.duplicates[0].count === 2, 'Reports duplicate canonical signatures within one ABI');
+
+    // Diamond facets given as bare ABIs, duplicates spelled differently
+    const facets = selectorUtils.findCollisions(
+        ['function facetAddress(bytes4) view returns (address)', 'function transfer(address to, uint amount)'],
+        ['function transfer(address, uint256) returns (bool)', 'function transfer(address, uint256)']
+    );
+    runner.assert(facets.functions.length === 1 && facets.functions[0].entries[0].contract === 'abi[0]' &&
+        facets.functions[0].entries[1].contract === 'abi[1]', 'Names unnamed ABIs by position');
+    runner.assert(facets.duplicates.length === 1 && facets.duplicates[0].signature === 'transfer(address,uint256)',
+        'Compares canonical signatures when finding duplicates');
+
+    const clean = selectorUtils.findCollisions(TEST_FUNCTIONS);
+    runner.assert(clean.functions.length === 0 && clean.events.length === 0 && clean.duplicates.length === 0,
+        'A single clean ABI has no clashes');
+
+    const anonymous = selectorUtils.findCollisions(
+        ['event Log(uint256 indexed) anonymous'], ['event Log(uint256) anonymous']);
+    runner.assert(anonymous.events.length === 0, 'Anonymous events have no topic to clash on');
+
+    try {
+        selectorUtils.findCollisions({ name: 'Missing' });
+        runner.assert(false, 'Should reject entries without an ABI');
+    } catch (error) {
+        runner.assert(error.message.includes('{ name, abi }'), 'Rejects entries without an ABI');
+    }
+});
+
 // Run summary
 const success = runner.summary();
 
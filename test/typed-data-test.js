@@ -0,0 +1,265 @@
+import { typedData } from '../index.js';
+import { keccak256 } from '../lib/core/crypto-utils.js';
+
+console.log('🧪 Running EIP-712 Typed Data Tests\n');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log(`✅ ${message}`);
+        passed++;
+    } else {
+        console.log(`❌ ${message}`);
+        failed++;
+    }
+}
+
+const expectThrow = (fn, expected, message) => {
+    try {
+        fn();
+        assert(false, message);
+    } catch (error) {
+        assert(error.message.includes(expected), `${message} (${error.message})`);
+    }
+};
+
+// Expected hashes below were generated with ethers v6 TypedDataEncoder
+
+// The example from the EIP-712 specification
+const MAIL = {
+    domain: { name: 'Ether Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' },
+    types: {
+        Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }],
+        Mail: [{ name: 'from', type: 'Person' }, { name: 'to', type: 'Person' }, { name: 'contents', type: 'string' }]
+    },
+    primaryType: 'Mail',
+    message: {
+        from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+        to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+        contents: 'Hello, Bob!'
+    }
+};
+
+// EIP-2612 permit
+const PERMIT = {
+    domain: { name: 'USD Coin', version: '2', chainId: 1, verifyingContract: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' },
+    types: {
+        Permit: [
+            { name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }, { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' }, { name: 'deadline', type: 'uint256' }
+        ]
+    },
+    primaryType: 'Permit',
+    message: {
+        owner: '0x1111111111111111111111111111111111111111',
+        spender: '0x2222222222222222222222222222222222222222',
+        value: '1000000',
+        nonce: 0,
+        deadline: '1893456000'
+    }
+};
+
+// Permit2 PermitBatch: an array of nested structs, domain without a version
+const PERMIT2_BATCH = {
+    domain: { name: 'Permit2', chainId: 1, verifyingContract: '0x000000000022D473030F116dDEE9F6B43aC78BA3' },
+    types: {
+        PermitBatch: [
+            { name: 'details', type: 'PermitDetails[]' }, { name: 'spender', type: 'address' },
+            { name: 'sigDeadline', type: 'uint256' }
+        ],
+        PermitDetails: [
+            { name: 'token', type: 'address' }, { name: 'amount', type: 'uint160' },
+            { name: 'expiration', type: 'uint48' }, { name: 'nonce', type: 'uint48' }
+        ]
+    },
+    primaryType: 'PermitBatch',
+    message: {
+        details: [
+            { token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', amount: '1461501637330902918203684832716283019655932542975',
+                expiration: 1700000000, nonce: 0 },
+            { token: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', amount: '5', expiration: 1700000001, nonce: 7 }
+        ],
+        spender: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+        sigDeadline: '1700003600'
+    }
+};
+
+// Order signing: fixed and nested arrays, bytes, strings, negative ints and a salted domain
+const ORDER = {
+    domain: {
+        name: 'Exchange', version: '3', chainId: 137,
+        verifyingContract: '0x4444444444444444444444444444444444444444', salt: '0x' + '5a'.repeat(32)
+    },
+    types: {
+        Order: [
+            { name: 'maker', type: 'address' }, { name: 'assets', type: 'Asset[2]' }, { name: 'data', type: 'bytes' },
+            { name: 'memo', type: 'string' }, { name: 'tick', type: 'int24' }, { name: 'partial', type: 'bool' },
+            { name: 'hash', type: 'bytes32' }, { name: 'matrix', type: 'uint8[][]' }, { name: 'tags', type: 'string[]' }
+        ],
+        Asset: [{ name: 'token', type: 'address' }, { name: 'amount', type: 'uint256' }, { name: 'fee', type: 'Fee' }],
+        Fee: [{ name: 'recipient', type: 'address' }, { name: 'bps', type: 'uint16' }]
+    },
+    primaryType: 'Order',
+    message: {
+        maker: '0x1111111111111111111111111111111111111111',
+        assets: [
+            { token: '0x2222222222222222222222222222222222222222', amount: 10n,
+                fee: { recipient: '0x3333333333333333333333333333333333333333', bps: 30 } },
+            { token: '0x5555555555555555555555555555555555555555', amount: '0x14',
+                fee: { recipient: '0x6666666666666666666666666666666666666666', bps: 0 } }
+        ],
+        data: '0xdeadbeef',
+        memo: 'gm ☕',
+        tick: -887272,
+        partial: true,
+        hash: '0x' + 'ab'.repeat(32),
+        matrix: [[1, 2], [], [3]],
+        tags: ['a', '']
+    }
+};
+
+const withMessage = (message) => ({ ...ORDER, message: { ...ORDER.message, ...message } });
+
+console.log('--- Type Encoding ---');
+
+// Test 1: encodeType and hashType
+try {
+    assert(typedData.encodeType('Mail', MAIL.types) === 'Mail(Person from,Person to,string contents)Person(string name,address wallet)',
+        'Appends referenced structs to encodeType');
+    assert(typedData.hashType('Mail', MAIL.types) === keccak256('Mail(Person from,Person to,string contents)Person(string name,address wallet)'),
+        'hashType is the keccak256 of encodeType');
+    assert(typedData.encodeType('PermitBatch', PERMIT2_BATCH.types) ===
+        'PermitBatch(PermitDetails[] details,address spender,uint256 sigDeadline)' +
+        'PermitDetails(address token,uint160 amount,uint48 expiration,uint48 nonce)',
+        'Includes structs referenced through arrays');
+    assert(typedData.encodeType('Order', ORDER.types) ===
+        'Order(address maker,Asset[2] assets,bytes data,string memo,int24 tick,bool partial,bytes32 hash,uint8[][] matrix,string[] tags)' +
+        'Asset(address token,uint256 amount,Fee fee)Fee(address recipient,uint16 bps)',
+        'Sorts nested dependencies by name');
+    assert(typedData.encodeType('Person', MAIL.types) === 'Person(string name,address wallet)', 'Encodes only reachable structs');
+
+    const tree = { Node: [{ name: 'value', type: 'uint256' }, { name: 'children', type: 'Node[]' }] };
+    assert(typedData.encodeType('Node', tree) === 'Node(uint256 value,Node[] children)', 'Handles recursive structs');
+    const leaf = { value: 2, children: [] };
+    assert(typedData.hashStruct('Node', { value: 1, children: [leaf] }, tree).length === 66, 'Hashes recursive data');
+} catch (error) {
+    assert(false, `encodeType test failed: ${error.message}`);
+}
+
+console.log('\n--- Hashing ---');
+
+// Test 2: Domain separators, struct hashes and digests
+try {
+    assert(typedData.hashDomain(MAIL.domain) === '0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f',
+        'Mail domain separator');
+    assert(typedData.hashStruct('Mail', MAIL.message, MAIL.types) ===
+        '0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e', 'Mail struct hash');
+    assert(typedData.hashTypedData(MAIL) === '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2',
+        'Mail digest matches the EIP-712 example');
+
+    assert(typedData.hashDomain(PERMIT.domain) === '0x06c37168a7db5138defc7866392bb87a741f9b3d104deb5094588ce041cae335',
+        'Permit domain separator');
+    assert(typedData.hashTypedData(PERMIT) === '0x3fdb22d8bd5dbc4233043b3c4ea154a8156bbde55e2f3beb72d750a35579af5e',
+        'EIP-2612 permit digest');
+    assert(typedData.hashTypedData(PERMIT2_BATCH) === '0x48209c9fda7ee8cd0ea31caeef8b9f94ac1e40f0bda06e665affb9c39c231c29',
+        'Permit2 PermitBatch digest');
+
+    assert(typedData.hashDomain(ORDER.domain) === '0xb869a8c96ce23fb24dd2c362ec34963dd8913270830b4fc2b2afa8b4cc6206a2',
+        'Salted domain separator');
+    assert(typedData.hashStruct('Order', ORDER.message, ORDER.types) ===
+        '0xa66c5d2ca60f233983209c966ff24ec97fe9ebdd1f84c16d152c600a4bfeafad',
+        'Order struct hash with bytes, strings and nested arrays');
+    assert(typedData.hashTypedData(ORDER) === '0x2e6256fd06dca6d2de1ed451761c3838435ee81cb2482a68226511ff1b04c255',
+        'Order digest');
+
+    const encoded = typedData.encodeData('Permit', PERMIT.message, PERMIT.types);
+    assert(encoded.length === 2 + 64 * 6 && encoded.startsWith(typedData.hashType('Permit', PERMIT.types)),
+        'encodeData is the type hash followed by one word per field');
+    assert(keccak256(encoded) === typedData.hashStruct('Permit', PERMIT.message, PERMIT.types), 'hashStruct hashes encodeData');
+} catch (error) {
+    assert(false, `Hashing test failed: ${error.message}`);
+}
+
+// Test 3: eth_signTypedData_v4 payloads and domain types
+try {
+    const v4 = {
+        ...MAIL,
+        types: {
+            EIP712Domain: [
+                { name: 'name', type: 'string' }, { name: 'version', type: 'string' },
+                { name: 'chainId', type: 'uint256' }, { name: 'verifyingContract', type: 'address' }
+            ],
+            ...MAIL.types
+        }
+    };
+    assert(typedData.hashTypedData(v4) === typedData.hashTypedData(MAIL), 'Accepts an EIP712Domain type in the payload');
+    assert(typedData.hashTypedData({ ...MAIL, domain: { ...MAIL.domain, chainId: '0x1' } }) === typedData.hashTypedData(MAIL),
+        'Accepts hex chain IDs');
+
+    const fields = typedData.getDomainType({ chainId: 1, name: 'x', salt: '0x' + '00'.repeat(32) });
+    assert(fields.map(field => field.name).join() === 'name,chainId,salt', 'Orders derived domain fields canonically');
+
+    const domainOnly = typedData.hashTypedData({ domain: MAIL.domain, types: {}, primaryType: 'EIP712Domain' });
+    assert(domainOnly === keccak256('0x1901' + typedData.hashDomain(MAIL.domain).slice(2)),
+        'primaryType EIP712Domain hashes the domain alone');
+
+    const bytesAsBuffer = withMessage({ data: Buffer.from('deadbeef', 'hex'), hash: new Uint8Array(32).fill(0xab) });
+    assert(typedData.hashTypedData(bytesAsBuffer) === typedData.hashTypedData(ORDER), 'Accepts byte arrays for bytes values');
+} catch (error) {
+    assert(false, `Payload test failed: ${error.message}`);
+}
+
+console.log('\n--- Validation ---');
+
+// Test 4: Types
+expectThrow(() => typedData.encodeType('Mail', { Mail: [{ name: 'from', type: 'Persn' }] }),
+    'Unknown type Persn for Mail.from', 'Rejects undeclared struct types');
+expectThrow(() => typedData.encodeType('Missing', MAIL.types), 'Unknown struct type: Missing', 'Rejects unknown primary types');
+expectThrow(() => typedData.encodeType('A', { A: [{ name: 'x', type: 'uint' }] }), 'Unknown type uint', 'Requires explicit integer widths');
+expectThrow(() => typedData.encodeType('A', { A: [{ name: 'x', type: 'uint257' }] }), 'Unknown type uint257', 'Rejects invalid integer widths');
+expectThrow(() => typedData.encodeType('A', { A: [{ name: 'x', type: 'bytes33' }] }), 'Unknown type bytes33', 'Rejects invalid bytes widths');
+expectThrow(() => typedData.encodeType('A', { A: [{ name: 'x', type: 'bool' }, { name: 'x', type: 'bool' }] }),
+    'Duplicate field A.x', 'Rejects duplicate field names');
+expectThrow(() => typedData.encodeType('A', { A: [{ name: 'x' }] }), 'expected { name, type }', 'Rejects malformed fields');
+expectThrow(() => typedData.encodeType('uint256', { uint256: [] }), 'Invalid struct name', 'Rejects elementary type names as structs');
+expectThrow(() => typedData.hashDomain({ name: 'x', chain: 1 }), 'Invalid domain field: chain', 'Rejects unknown domain fields');
+
+// Test 5: Values
+expectThrow(() => typedData.hashStruct('Mail', { ...MAIL.message, contents: undefined }, MAIL.types),
+    'Missing value for Mail.contents', 'Rejects missing fields');
+expectThrow(() => typedData.hashStruct('Mail', { ...MAIL.message, cc: 'Alice' }, MAIL.types),
+    'Unknown field Mail.cc', 'Rejects fields not in the type');
+expectThrow(() => typedData.hashStruct('Mail', { ...MAIL.message, to: { name: 'Bob', wallet: '0x1234' } }, MAIL.types),
+    'Invalid value for Mail.to.wallet: invalid address', 'Reports the path of invalid nested values');
+expectThrow(() => typedData.hashTypedData(withMessage({ tick: 8388608 })),
+    'Invalid value for Order.tick', 'Checks integer ranges');
+expectThrow(() => typedData.hashTypedData(withMessage({ assets: [ORDER.message.assets[0]] })),
+    'expected 2 elements, got 1', 'Checks fixed array lengths');
+expectThrow(() => typedData.hashTypedData(withMessage({ matrix: [[1], 'x'] })),
+    'Invalid value for Order.matrix[1]: expected an array', 'Checks nested arrays');
+expectThrow(() => typedData.hashTypedData(withMessage({ hash: '0xabcd' })),
+    'expected 32 bytes, got 2', 'Requires exact fixed bytes lengths');
+expectThrow(() => typedData.hashTypedData(withMessage({ data: 'deadbeef' })),
+    'invalid hex bytes', 'Rejects non-hex bytes');
+expectThrow(() => typedData.hashTypedData(withMessage({ partial: 1 })),
+    'expected a boolean', 'Rejects non-boolean bools');
+expectThrow(() => typedData.hashTypedData(withMessage({ memo: 42 })),
+    'expected a string', 'Rejects non-string strings');
+expectThrow(() => typedData.hashTypedData(withMessage({ tick: 1.5 })),
+    'invalid integer', 'Rejects fractional integers');
+expectThrow(() => typedData.hashTypedData({ ...PERMIT, domain: { ...PERMIT.domain, verifyingContract: 'usdc' } }),
+    'Invalid value for EIP712Domain.verifyingContract', 'Validates the domain');
+expectThrow(() => typedData.hashTypedData(null), 'Expected typed data', 'Rejects missing payloads');
+
+console.log('\n=== EIP-712 Test Summary ===');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+
+if (failed === 0) {
+    console.log('\n🎉 All EIP-712 tests passed!');
+} else {
+    console.log('\n⚠️  Some EIP-712 tests failed.');
+    process.exit(1);
+}
@@ -0,0 +1,223 @@
+// Compile-only test for the TypeScript declarations: `npm run test:types`.
+// Each statement pins a type; @ts-expect-error lines must fail to compile.
+
+import toolkit, {
+  ABICodec,
+  Encoder,
+  Decoder,
+  Result,
+  Indexed,
+  ABIDecodingError,
+  DecodingErrorCode,
+  ContractRevertError,
+  utils,
+  selectorUtils,
+  hashUtils,
+  revertUtils,
+  typedData,
+  erc20,
+  erc165,
+  uniswapV2,
+  informer,
+  tokenTrader,
+  common
+} from '../index.js';
+import type {
+  AbiFragment,
+  ContractCallProvider,
+  DecodedError,
+  DecodedEvent,
+  DecodedLogs,
+  DecodedReceiptLog,
+  EventInfo,
+  FilterTopic,
+  FunctionInfo,
+  PairDetails,
+  ParsedTransaction,
+  TokenDetails,
+  TransferRecord,
+  TypedData
+} from '../index.js';
+import { LogDecoder } from '../lib/common/utils/log-decoder.js';
+import { ERC20_SIGNATURES, ERC20_EVENTS } from '../lib/common/erc20/abi.js';
+import DefaultDecoder from '../lib/core/decoder.js';
+// @ts-expect-error the encoder module has only a default export
+import { Encoder as NamedEncoder } from '../lib/core/encoder.js';
+import { exchange, encodeFill, decodeFilledEvent, type Order } from './fixtures/exchange.generated.js';
+import { informer as generatedInformer, type PairDetails as GeneratedPairDetails } from './fixtures/informer.generated.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+// --- ABICodec ---
+
+const jsonAbi: AbiFragment[] = [
+  { type: 'function', name: 'balanceOf', inputs: [{ name: 'owner', type: 'address' }], outputs: [{ name: '', type: 'uint256' }], stateMutability: 'view' }
+];
+const codec = new ABICodec(jsonAbi, { numberFormat: 'bigint', strict: true });
+const human = new ABICodec(['function transfer(address to, uint256 amount) returns (bool)', 'event Transfer(address indexed from, address indexed to, uint256 value)']);
+// @ts-expect-error unknown number format
+new ABICodec(jsonAbi, { numberFormat: 'decimal' });
+
+const calldata: string = codec.encodeFunction('balanceOf', [WETH]);
+const args: Result = codec.decodeFunction('balanceOf', calldata);
+const owner: string = args.owner;
+const [balance] = codec.decodeFunctionResult('balanceOf', '0x', { numberFormat: 'hex' });
+const fn: FunctionInfo = codec.getFunction('balanceOf(address)');
+const mutability: 'pure' | 'view' | 'nonpayable' | 'payable' = fn.stateMutability;
+const event: EventInfo = human.getEvent('Transfer');
+const anonymous: boolean = event.anonymous;
+const tx: ParsedTransaction = codec.parseTransaction({ data: calldata, value: 0n });
+const txName: string | null = tx.name;
+const deployData: string = codec.encodeDeploy('0x6080', []);
+const deployArgs: Result = codec.decodeDeployArgs(deployData, '0x6080');
+const log: DecodedEvent = human.decodeLog('0x', ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'], 'Transfer');
+const topics: FilterTopic[] = human.encodeFilterTopics('Transfer', { from: [WETH, USDC] });
+const { topics: logTopics, data }: { topics: string[]; data: string } = human.encodeEventLog('Transfer', [WETH, USDC, 1n]);
+const byFragment: FilterTopic[] = human.encodeFilterTopics(human.getEvent('Transfer').fragment, null);
+const receiptLogs: DecodedReceiptLog[] = human.decodeReceiptLogs({ logs: [{ topics: logTopics, data }] });
+const receiptLogIndex: number = receiptLogs[0].logIndex;
+const transfers: DecodedReceiptLog[] = human.filterLogsByEvent(human.decodeMultipleReceipts([]), 'Transfer');
+const revert: DecodedError | null = codec.parseRevert('0x');
+const sighashes: string[] = codec.format('sighash');
+const minimal: string = codec.format('minimal');
+// @ts-expect-error format('json') is a string
+const jsonLines: string[] = codec.format('json');
+const hitRate: number = codec.getCacheStats().encoder.values.hitRate;
+// @ts-expect-error encodeFunction takes an argument array
+codec.encodeFunction('balanceOf', WETH);
+
+// --- Encoder / Decoder ---
+
+const encoder = new Encoder({ cacheSize: 10 });
+const encoded: string = encoder.encodeParameters(['address', { name: 'amount', type: 'uint256' }], [WETH, '1']);
+const packed: string = encoder.encodePacked(['string'], ['abc']);
+const topic: string = encoder.encodeTopic('string', 'abc');
+const word: Buffer = encoder.encodeUint(5n, 64);
+const decoder = new Decoder({ numberFormat: 'string', maxDynamicLength: 100 });
+const sameDecoder: Decoder = new DefaultDecoder();
+const values: Result = decoder.decodeParameters(['uint256'], encoded);
+const formatted: string | bigint | number = decoder.formatNumber('0x10');
+const { value: flag, nextOffset }: { value: boolean; nextOffset: number } = decoder.decodeBool(word, 0);
+const raw: DecodedEvent = decoder.decodeLog(jsonAbi[0], '0x', []);
+
+// --- Results, Indexed and errors ---
+
+const asObject: Record<string, any> = values.toObject();
+const names: string[] = values.names;
+const rebuilt: Result = Result.fromValues([1, 2], ['a', 'b']);
+const indexed = new Indexed('0xabc');
+const matches: boolean = indexed.matches('string', 'abc');
+const hash: string = indexed.hash;
+if (Indexed.isIndexed(log.args.from)) {
+  const narrowed: Indexed = log.args.from;
+}
+
+try {
+  decoder.decodeParameters(['uint256'], '0x');
+} catch (error) {
+  if (error instanceof ABIDecodingError) {
+    const path: string = error.path;
+    const isBounds: boolean = error.code === DecodingErrorCode.OUT_OF_BOUNDS;
+  }
+  if (error instanceof ContractRevertError) {
+    const reason: string | undefined = error.revert?.reason;
+  }
+}
+
+// --- Utility namespaces ---
+
+const parsed: AbiFragment[] = utils.parseABI('function decimals() view returns (uint8)');
+const selector: string = utils.getFunctionSelector(parsed[0]);
+const selectors: Record<string, string> = selectorUtils.generateSelectors(['transfer(address,uint256)']);
+const valid: boolean = selectorUtils.validateFunctionSelector(selector);
+const candidates: string[] = selectorUtils.lookupSelector('0xa9059cbb');
+const registry = new selectorUtils.SelectorRegistry({ bundled: true }).addABI(['function f()']);
+const imported: number = registry.importSignatures({ '0x42966c68': ['burn(uint256)'] }, { verify: false });
+const report = selectorUtils.findCollisions({ name: 'Proxy', abi: ['function admin()'] }, ['function admin()']);
+const clashKind: 'shadowed' | 'collision' | undefined = report.functions[0]?.kind;
+const interfaceId: string = selectorUtils.computeInterfaceId(['royaltyInfo(uint256,uint256)']);
+// @ts-expect-error signatures must be strings
+selectorUtils.importSignatures({ '0x42966c68': [42] });
+const digest: string = hashUtils.solidityKeccak256(['address', 'uint256'], [WETH, 1]);
+const permit: TypedData = {
+  domain: { name: 'USD Coin', version: '2', chainId: 1n, verifyingContract: USDC },
+  types: { Permit: [{ name: 'owner', type: 'address' }, { name: 'value', type: 'uint256' }] },
+  primaryType: 'Permit',
+  message: { owner: WETH, value: 1000n }
+};
+const permitDigest: string = typedData.hashTypedData(permit);
+const permitType: string = typedData.encodeType('Permit', permit.types);
+// @ts-expect-error chainId must be numeric
+typedData.hashDomain({ chainId: true });
+const panic: string = revertUtils.getPanicReason(0x12);
+const revertData: string | null = revertUtils.getRevertData(new Error('reverted'));
+const decodedError: DecodedError = revertUtils.decodeError('0x4e487b71' + '0'.repeat(62) + '12');
+
+// --- Common modules ---
+
+const provider: ContractCallProvider = { call: async (to, callData) => '0x' + to + callData };
+const transferData: string = erc20.encodeTransfer(USDC, 1000n);
+const tokenBalance: Promise<string> = erc20.getBalanceOf(provider, USDC, WETH);
+const erc20Revert: DecodedError | null = erc20.parseRevert('0x');
+const erc20Abi: AbiFragment[] = erc20.ERC20_ABI;
+const transferSelector: '0xa9059cbb' = ERC20_SIGNATURES.TRANSFER;
+const approvalTopic: string = ERC20_EVENTS.APPROVAL;
+// @ts-expect-error getBalanceOf needs a provider
+erc20.getBalanceOf(USDC, WETH);
+
+const isNft: Promise<boolean> = erc165.supportsInterface(provider, USDC, 'ERC721');
+const byId: string = erc165.encodeSupportsInterface('0x80ac58cd');
+const tokenKinds: Promise<('ERC721' | 'ERC1155')[]> = erc165.getSupportedInterfaces(provider, USDC, ['ERC721', 'ERC1155']);
+const royaltyId: '0x2a55205a' = common.erc165.INTERFACE_IDS.ERC2981;
+
+const swap: string = uniswapV2.router.swapExactETHForTokens('0', [WETH, USDC], WETH, 1700000000);
+const pairAddress: string = uniswapV2.factory.getPair(WETH, USDC);
+const routerAbi: AbiFragment[] = common.uniswapV2.UNISWAP_V2_ROUTER_ABI;
+const quote: string = common.uniswapV2.encodeQuote(1, 2, 3);
+// @ts-expect-error the path is an array of addresses
+uniswapV2.router.getAmountsOut('1', WETH);
+
+const details: PairDetails = informer.decode.getPairAndTokenDetails('0x').pairDetails;
+const token0: TokenDetails = details.token0Details;
+const token0Symbol: string = token0.symbol;
+const reserve0: string = informer.decode.getReserves('0x').reserves.reserve0;
+const informerOwner: string = informer.decode.getOwner('0x')[0];
+const detailsCall: string = informer.getPairAndTokenDetails(WETH);
+const informerCodec: ABICodec = informer.codec;
+
+const gmeft: string = tokenTrader.gmeft(WETH, 5n, true);
+const maxEth: string = tokenTrader.decode.gmeft('0x')[0];
+
+// --- Log decoder ---
+
+const decodedLogs: DecodedLogs = common.decoder.decodeLogs({ logs: [{ topics: logTopics, data }] });
+const firstTransfer: TransferRecord = decodedLogs.transfers[0];
+const transferValue: string = firstTransfer.value;
+const pairIndex: string = decodedLogs.pairCreated[0].pairIndex;
+const mintAmount: string = decodedLogs.mints[0].amount0;
+const customName: string = decodedLogs.custom[0].codecName;
+const logDecoder = new LogDecoder();
+logDecoder.addABI(['event Approval(address indexed owner, address indexed spender, uint256 value)'], 'approvals');
+const transferLogs: TransferRecord[] = logDecoder.decodeTransferLogs([{ topics: logTopics, data }]);
+const transferTopic: string | undefined = common.decoder.getEventSignature('transfer');
+
+// --- Default export ---
+
+const defaultCodec: ABICodec = new toolkit.ABICodec(jsonAbi);
+const defaultSelector: string = toolkit.utils.getEventSelector(human.abi[1]);
+const defaultLogs: DecodedLogs = toolkit.common.decoder.decodeLogs([]);
+
+// --- Generated wrappers (test/fixtures, see codegen-test.js) ---
+
+const order: Order = { maker: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', amounts: [1n, 2n], salt: '0x00' };
+const fillData: `0x${string}` = encodeFill([order], '0x');
+const filled: bigint = exchange.decode.fill('0x').filled;
+const note: Indexed = decodeFilledEvent({ data: '0x', topics: [] }).note;
+const generatedDetails: GeneratedPairDetails = generatedInformer.decode.getPairAndTokenDetails('0x');
+const generatedDecimals: bigint = generatedDetails.token1Details.decimals;
+const generatedSupply: bigint = generatedInformer.decode.getTotalSupply('0x');
+// @ts-expect-error generated encoders take bigint amounts
+encodeFill([{ ...order, amounts: ['1'] }], '0x');
+// @ts-expect-error addresses are 0x-prefixed
+generatedInformer.getOwner('c02aaa39b223fe8d0a0e5c4f27ead9083c756cc2');